@@ -11,6 +11,7 @@ module ZukeAuth
   included do
     # Helper method to expose admin status to views
     helper_method :zuke_admin?
+    helper_method :zuke_user_signed_in?, :current_zuke_user
   end
 
   private
@@ -33,4 +34,20 @@ module ZukeAuth
   def current_zuke_admin
     current_milk_admin
   end
+
+  # Returns true if a listener is signed in (their player preferences sync).
+  def zuke_user_signed_in?
+    # In the Portfolio, listeners are Devise Users.
+    user_signed_in?
+  end
+
+  # A before_action filter for listener-only endpoints.
+  def authenticate_zuke_user!
+    authenticate_user!
+  end
+
+  # Returns the signed-in listener.
+  def current_zuke_user
+    current_user
+  end
 end
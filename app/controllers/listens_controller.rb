@@ -0,0 +1,43 @@
+# frozen_string_literal: true
+
+# Listening history for signed-in Zuke listeners. The player reports listens
+# in batches (see Listen.record_batch!), and the "Recently played" view shows
+# what was played last, with play counts.
+class ListensController < ApplicationController
+  include ZukeAuth
+
+  before_action :authenticate_zuke_user!
+
+  # GET /zuke/recent
+  def index
+    @recent = Listen.recently_played(current_zuke_user)
+    songs = Song.where(id: @recent.map { |entry| entry[:song_id] })
+                .includes({ album: :genre }, :artist, :genres)
+                .with_attached_image
+                .with_attached_audio_file
+                .with_attached_waveform_data
+                .index_by(&:id)
+
+    @recent = @recent.select { |entry| songs.key?(entry[:song_id]) }
+    @songs_for_display = @recent.map { |entry| SongPresenter.new(songs[entry[:song_id]]).to_song_hash }
+    @songs_data = @songs_for_display.to_json
+
+    render partial: "zuke/turbo_frames/recently_played", formats: [ :html ]
+  end
+
+  # POST /zuke/listens
+  # Also the target of navigator.sendBeacon, which can't set headers: the
+  # CSRF token comes in the body as authenticity_token.
+  def create
+    render json: { recorded: Listen.record_batch!(current_zuke_user, listen_reports) }
+  end
+
+  private
+
+  def listen_reports
+    reports = params.fetch(:listens, [])
+    return [] unless reports.is_a?(Array)
+
+    reports.map { |report| report.respond_to?(:to_unsafe_h) ? report.to_unsafe_h : report }
+  end
+end
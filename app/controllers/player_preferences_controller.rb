@@ -0,0 +1,32 @@
+# frozen_string_literal: true
+
+# Stores the Zuke player's preferences for signed-in users so they follow them
+# across devices. The player's sync layer sends what changed locally and gets
+# back the merged set (see PlayerPreference.merge! for the conflict rule).
+class PlayerPreferencesController < ApplicationController
+  include ZukeAuth
+
+  before_action :authenticate_zuke_user!
+
+  # GET /zuke/preferences
+  def show
+    render json: { preferences: PlayerPreference.sync_hash(current_zuke_user.player_preferences) }
+  end
+
+  # PATCH /zuke/preferences
+  def update
+    PlayerPreference.merge!(current_zuke_user, preference_changes)
+    show
+  rescue ActiveRecord::RecordInvalid => e
+    render json: { error: e.record.errors.full_messages.to_sentence }, status: :unprocessable_entity
+  end
+
+  private
+
+  # Keys are whatever the player stores in localStorage, so they can't be
+  # listed for strong parameters; PlayerPreference validates each one.
+  def preference_changes
+    changes = params.fetch(:preferences, {})
+    changes.respond_to?(:to_unsafe_h) ? changes.to_unsafe_h : {}
+  end
+end
@@ -40,7 +40,7 @@ class PlaylistsController < ApplicationController
       @songs_data = @songs.to_json
     else
       song_records = @playlist.ordered_songs.includes(
-        :artist, :album,
+        :artist, :genres, { album: :genre },
         { audio_file_attachment: :blob },
         { image_attachment: :blob }, # For mobile_image_variant
         :banner_video_attachment,
@@ -6,6 +6,11 @@
 class ZukeController < ApplicationController
   include ZukeAuth
 
+  # Upper bound for browser-generated waveforms; the player thins longer ones before upload.
+  MAX_UPLOADED_PEAKS = 50_000
+
+  before_action :authenticate_zuke_admin!, only: :upload_waveform
+
   def index; end
 
   # Serves the main music player interface, loading all applicable songs.
@@ -115,8 +120,56 @@ class ZukeController < ApplicationController
     end
   end
 
+  # Stores a waveform the player computed in an admin's browser, for songs whose
+  # GenerateWaveformJob hasn't produced one (e.g. audiowaveform isn't installed).
+  # Peaks arrive normalized (0-1) and are saved in audiowaveform's 8-bit JSON
+  # format, so every player reads them like server-made waveforms. An existing
+  # waveform is never replaced.
+  def upload_waveform
+    song = Song.find(params[:id])
+    return head :unprocessable_entity unless song.audio_file.attached?
+    return head :no_content if song.waveform_data.attached?
+
+    peaks = Array(params[:peaks])
+    valid = peaks.size.between?(1, MAX_UPLOADED_PEAKS) &&
+            peaks.all? { |peak| peak.is_a?(Numeric) && peak.between?(0, 1) }
+    return render json: { error: "Invalid peaks" }, status: :unprocessable_entity unless valid
+
+    song.waveform_data.attach(
+      io: StringIO.new(JSON.generate(browser_waveform_json(peaks, params[:peaks_per_second]))),
+      filename: "#{song.title.parameterize}_waveform.json",
+      content_type: "application/json",
+      metadata: { source: "browser" }
+    )
+    # Browser waveforms carry no loudness; a measured one may have been replaced
+    song.album&.refresh_loudness!
+
+    head :created
+  end
+
   private
 
+  # audiowaveform JSON (version 2, one channel, 8-bit) from normalized peaks.
+  # Each peak becomes a min/max pair, as audiowaveform writes them.
+  def browser_waveform_json(peaks, peaks_per_second)
+    sample_rate = 44_100
+    per_second = peaks_per_second.to_f.positive? ? peaks_per_second.to_f : 100
+    data = peaks.flat_map do |peak|
+      value = (peak * 127).round
+      [ -value, value ]
+    end
+
+    {
+      version: 2,
+      channels: 1,
+      sample_rate: sample_rate,
+      samples_per_pixel: (sample_rate / per_second).round,
+      bits: 8,
+      length: peaks.size,
+      data: data
+    }
+  end
+
   # Establishes the base scope for songs based on user authentication.
   def base_songs_scope
     if zuke_admin?
@@ -130,7 +183,7 @@ class ZukeController < ApplicationController
 
   # Loads all songs within the current scope with necessary associations.
   def load_songs
-    base_songs_scope.includes(:album, :artist)
+    base_songs_scope.includes({ album: :genre }, :artist, :genres)
                     .with_attached_image
                     .with_attached_audio_file
                     .with_attached_waveform_data
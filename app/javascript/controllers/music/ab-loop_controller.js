@@ -0,0 +1,389 @@
+// app/javascript/controllers/music/ab-loop_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { loadLoops, saveLoop, deleteLoop, MIN_LOOP_SECONDS } from "zuke/ab_loops"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * A–B Loop Controller
+ *
+ * Practice loops on the waveform:
+ * - "A–B Loop" in the settings menu starts a selection; drag across the
+ *   waveform to set A and B
+ * - Drag the handles to adjust either end, or the region to move it
+ * - Loop on/off, plus named loops saved per song
+ *
+ * The region lives inside WaveSurfer's scrolling wrapper so it stays lined
+ * up with the zoomed waveform. That wrapper is in WaveSurfer's shadow DOM,
+ * where Tailwind classes don't reach, so the region is styled inline.
+ * The player does the looping; this controller sends it `player:loop:set`.
+ */
+
+const REGION_COLOR = "rgba(132, 204, 22, 0.25)" // lime-500
+const HANDLE_COLOR = "rgb(132, 204, 22)"
+export default class extends Controller {
+  static targets = [
+    "toolbar", "hint", "controls", "range", "loopToggle",
+    "nameInput", "savedSelect", "deleteButton"
+  ]
+  static classes = ["active", "inactive"]
+
+  connect() {
+    this.region = null       // { start, end } in seconds
+    this.enabled = false
+    this.selecting = false
+    this.drag = null
+    this.songUrl = null
+
+    this.boundHandleSongChange = this.handleSongChange.bind(this)
+    this.boundAttach = () => this.attach()
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("audio:changed", this.boundHandleSongChange)
+    on("audio:ready", this.boundAttach)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+
+    this.attach()
+    this.render()
+  }
+
+  disconnect() {
+    off("audio:changed", this.boundHandleSongChange)
+    off("audio:ready", this.boundAttach)
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+    this.overlay?.remove()
+  }
+
+  // ========================
+  //  WaveSurfer Overlay
+  // ========================
+
+  /**
+   * Put the selection surface and region into WaveSurfer's wrapper
+   * Safe to call more than once; waits for the player if it isn't ready.
+   */
+  attach() {
+    const wavesurfer = this.playerController()?.wavesurfer
+    const wrapper = wavesurfer?.getWrapper()
+    if (!wrapper || this.overlay?.parentElement === wrapper) return
+
+    this.wavesurfer = wavesurfer
+
+    if (!this.overlay) {
+      this.buildOverlay()
+
+      // Keep our pointer events away from WaveSurfer's click/drag-to-seek
+      this.overlay.addEventListener("pointerdown", (event) => this.handlePointerDown(event))
+      this.overlay.addEventListener("click", (event) => event.stopPropagation())
+    }
+
+    wrapper.appendChild(this.overlay)
+    this.renderRegion()
+  }
+
+  /**
+   * Overlay elements:
+   * - surface: catches the drag while selecting
+   * - region: shaded loop; only its handles and top grip take pointers, so
+   *   clicks inside the loop still seek
+   */
+  buildOverlay() {
+    const element = (part, style) => {
+      const node = document.createElement("div")
+      if (part) node.dataset.part = part
+      Object.assign(node.style, style)
+      return node
+    }
+
+    this.overlay = element(null, { position: "absolute", inset: "0", zIndex: "4", pointerEvents: "none" })
+    this.surface = element("surface", { position: "absolute", inset: "0", cursor: "crosshair", touchAction: "none" })
+    this.regionElement = element(null, { position: "absolute", top: "0", bottom: "0", background: REGION_COLOR, display: "none" })
+
+    const handle = (part, side) => element(part, {
+      position: "absolute", top: "0", bottom: "0", [side]: "-4px", width: "8px",
+      borderLeft: side === "left" ? `2px solid ${HANDLE_COLOR}` : "",
+      borderRight: side === "right" ? `2px solid ${HANDLE_COLOR}` : "",
+      cursor: "ew-resize", pointerEvents: "auto", touchAction: "none"
+    })
+    const grip = element("region", {
+      position: "absolute", top: "0", left: "4px", right: "4px", height: "8px",
+      background: HANDLE_COLOR, opacity: "0.6", cursor: "grab", pointerEvents: "auto", touchAction: "none"
+    })
+
+    this.regionElement.append(handle("start", "left"), handle("end", "right"), grip)
+    this.overlay.append(this.surface, this.regionElement)
+  }
+
+  playerController() {
+    const playerElement = document.querySelector('[data-controller*="music--player"]')
+    if (!playerElement) return null
+
+    return this.application.getControllerForElementAndIdentifier(playerElement, "music--player")
+  }
+
+  get duration() {
+    return this.wavesurfer?.getDuration() || 0
+  }
+
+  /**
+   * Waveform time under the pointer
+   * @param {PointerEvent} event
+   * @returns {number} Seconds
+   */
+  timeAt(event) {
+    const rect = this.overlay.getBoundingClientRect()
+    const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width))
+    return fraction * this.duration
+  }
+
+  // ========================
+  //  Dragging
+  // ========================
+
+  /**
+   * Start creating, resizing or moving the region
+   * @param {PointerEvent} event
+   */
+  handlePointerDown(event) {
+    const part = event.target.closest("[data-part]")?.dataset.part
+    if (!part || !this.duration) return
+
+    // The bare surface only takes pointers while selecting
+    if (part === "surface" && !this.selecting) return
+
+    event.preventDefault()
+    event.stopPropagation()
+
+    const time = this.timeAt(event)
+    const region = this.region || { start: time, end: time }
+
+    this.drag = {
+      part: part === "surface" ? "create" : part,
+      anchor: time,
+      start: region.start,
+      end: region.end,
+      pointerId: event.pointerId
+    }
+
+    event.target.setPointerCapture(event.pointerId)
+    this.boundPointerMove ||= this.handlePointerMove.bind(this)
+    this.boundPointerUp ||= this.handlePointerUp.bind(this)
+    this.overlay.addEventListener("pointermove", this.boundPointerMove)
+    this.overlay.addEventListener("pointerup", this.boundPointerUp)
+    this.overlay.addEventListener("pointercancel", this.boundPointerUp)
+  }
+
+  handlePointerMove(event) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return
+    event.stopPropagation()
+
+    const time = this.timeAt(event)
+    const { part, anchor, start, end } = this.drag
+
+    if (part === "create") {
+      this.region = { start: Math.min(anchor, time), end: Math.max(anchor, time) }
+    } else if (part === "start") {
+      this.region = { start: Math.min(time, end - MIN_LOOP_SECONDS), end }
+    } else if (part === "end") {
+      this.region = { start, end: Math.max(time, start + MIN_LOOP_SECONDS) }
+    } else if (part === "region") {
+      const length = end - start
+      const newStart = Math.max(0, Math.min(this.duration - length, start + time - anchor))
+      this.region = { start: newStart, end: newStart + length }
+    }
+
+    this.region.start = Math.max(0, this.region.start)
+    this.region.end = Math.min(this.duration, this.region.end)
+    this.renderRegion()
+  }
+
+  handlePointerUp(event) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return
+    event.stopPropagation()
+
+    const created = this.drag.part === "create"
+    this.drag = null
+    this.overlay.removeEventListener("pointermove", this.boundPointerMove)
+    this.overlay.removeEventListener("pointerup", this.boundPointerUp)
+    this.overlay.removeEventListener("pointercancel", this.boundPointerUp)
+
+    if (created) {
+      this.selecting = false
+
+      // A click without a drag isn't a loop
+      if (!this.region || this.region.end - this.region.start < MIN_LOOP_SECONDS) {
+        this.region = null
+        this.render()
+        return
+      }
+
+      // A fresh selection starts looping straight away
+      this.enabled = true
+    }
+
+    this.dispatchLoop()
+    this.render()
+  }
+
+  // ========================
+  //  Actions
+  // ========================
+
+  /**
+   * Start a new selection (settings menu "A–B Loop")
+   */
+  select() {
+    this.attach()
+    if (!this.duration) return
+
+    this.selecting = true
+    this.render()
+  }
+
+  cancelSelect() {
+    this.selecting = false
+    this.render()
+  }
+
+  toggleLoop() {
+    if (!this.region) return
+
+    this.enabled = !this.enabled
+    this.dispatchLoop()
+    this.render()
+  }
+
+  clear() {
+    this.region = null
+    this.enabled = false
+    this.selecting = false
+    this.savedSelectTarget.value = ""
+    this.dispatchLoop()
+    this.render()
+  }
+
+  save(event) {
+    event?.preventDefault()
+    if (!this.region || !this.songUrl) return
+
+    const name = this.nameInputTarget.value.trim() || `${this.formatTime(this.region.start)}–${this.formatTime(this.region.end)}`
+    saveLoop(this.songUrl, { name, ...this.region })
+    console.log("🔂 LOOP: Saved", name)
+
+    this.nameInputTarget.value = ""
+    this.renderSavedLoops(name)
+  }
+
+  /**
+   * Saved loop picked from the list
+   */
+  load() {
+    const loop = loadLoops(this.songUrl).find(saved => saved.name === this.savedSelectTarget.value)
+    if (!loop) return
+
+    this.region = { start: loop.start, end: Math.min(loop.end, this.duration || loop.end) }
+    this.enabled = true
+    this.dispatchLoop()
+    this.render()
+  }
+
+  deleteSaved() {
+    const name = this.savedSelectTarget.value
+    if (!name || !confirm(`Delete the saved loop "${name}"?`)) return
+
+    deleteLoop(this.songUrl, name)
+    this.renderSavedLoops()
+  }
+
+  /**
+   * New track: loops belong to the old one
+   * @param {CustomEvent} event - audio:changed { url, id }
+   */
+  handleSongChange(event) {
+    if (event.detail.url === this.songUrl) return
+
+    this.songUrl = event.detail.url
+    this.region = null
+    this.enabled = false
+    this.selecting = false
+    this.render()
+  }
+
+  /**
+   * Show the saved loops another device stored (see zuke/preferences_sync)
+   * The loop being played stays as it is.
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (event.detail.keys.includes("zuke_ab_loops")) this.render()
+  }
+
+  dispatchLoop() {
+    emit("player:loop:set", {
+      start: this.region?.start ?? null,
+      end: this.region?.end ?? null,
+      enabled: this.enabled
+    })
+  }
+
+  // ========================
+  //  Rendering
+  // ========================
+
+  render() {
+    const savedLoops = loadLoops(this.songUrl)
+    const visible = this.selecting || !!this.region || savedLoops.length > 0
+
+    this.toolbarTarget.classList.toggle("hidden", !visible)
+    this.hintTarget.classList.toggle("hidden", !this.selecting)
+    this.controlsTarget.classList.toggle("hidden", this.selecting)
+
+    this.rangeTarget.textContent = this.region
+      ? `A ${this.formatTime(this.region.start)} – B ${this.formatTime(this.region.end)}`
+      : "No loop"
+
+    this.loopToggleTarget.disabled = !this.region
+    this.loopToggleTarget.classList.toggle(this.activeClass, this.enabled)
+    this.loopToggleTarget.classList.toggle(this.inactiveClass, !this.enabled)
+    this.loopToggleTarget.setAttribute("aria-pressed", this.enabled)
+    this.nameInputTarget.disabled = !this.region
+
+    this.renderSavedLoops(this.savedSelectTarget.value)
+    this.renderRegion()
+  }
+
+  /**
+   * @param {string} [selected] - Name to keep selected
+   */
+  renderSavedLoops(selected = "") {
+    const savedLoops = loadLoops(this.songUrl)
+
+    const placeholder = new Option(savedLoops.length ? "Saved loops…" : "No saved loops", "")
+    const options = savedLoops.map(loop =>
+      new Option(`${loop.name} (${this.formatTime(loop.start)}–${this.formatTime(loop.end)})`, loop.name)
+    )
+
+    this.savedSelectTarget.replaceChildren(placeholder, ...options)
+    this.savedSelectTarget.value = savedLoops.some(loop => loop.name === selected) ? selected : ""
+    this.savedSelectTarget.disabled = savedLoops.length === 0
+    this.deleteButtonTarget.disabled = savedLoops.length === 0
+  }
+
+  renderRegion() {
+    if (!this.overlay) return
+
+    this.surface.style.pointerEvents = this.selecting ? "auto" : "none"
+
+    const show = !!this.region && this.duration > 0
+    this.regionElement.style.display = show ? "block" : "none"
+    if (!show) return
+
+    this.regionElement.style.left = `${(this.region.start / this.duration) * 100}%`
+    this.regionElement.style.width = `${((this.region.end - this.region.start) / this.duration) * 100}%`
+    this.regionElement.style.opacity = this.enabled ? "1" : "0.5"
+  }
+
+  formatTime(seconds) {
+    const mins = Math.floor(seconds / 60)
+    const secs = Math.floor(seconds % 60).toString().padStart(2, "0")
+    return `${mins}:${secs}`
+  }
+}
@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { savePreference } from "zuke/preferences_sync"
+import { emit, on, off } from "zuke/player_events"
 
 export default class extends Controller {
   static classes = ["active", "inactive"]
@@ -14,18 +16,33 @@ export default class extends Controller {
     
     // Initialize player state
     this.dispatchState()
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Pick up the auto-advance setting another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (!event.detail.keys.includes("playerAutoAdvance")) return
+
+    this.activeValue = localStorage.getItem("playerAutoAdvance") === "true"
   }
 
   toggle() {
     this.activeValue = !this.activeValue
-    localStorage.setItem("playerAutoAdvance", this.activeValue)
+    savePreference("playerAutoAdvance", this.activeValue)
     this.dispatchState()
   }
 
   dispatchState() {
-    document.dispatchEvent(new CustomEvent("player:auto-advance:changed", {
-      detail: { enabled: this.activeValue }
-    }))
+    emit("player:auto-advance:changed", { enabled: this.activeValue })
   }
 
   activeValueChanged() {
@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { savePreference } from "zuke/preferences_sync"
+import { emit, on, off } from "zuke/player_events"
 
 export default class extends Controller {
   static targets = ["banner", "arrow"]
@@ -17,6 +19,23 @@ export default class extends Controller {
     setTimeout(() => {
       this.dispatchHeightChangeEvent(this.expandedValue)
     }, 100)
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Pick up the banner height another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (!event.detail.keys.includes("bannerExpanded")) return
+
+    this.expandedValue = localStorage.getItem("bannerExpanded") === "true"
   }
 
   toggle(event) {
@@ -31,7 +50,7 @@ export default class extends Controller {
       this.collapse()
     }
     // Save preference to localStorage
-    localStorage.setItem("bannerExpanded", this.expandedValue)
+    savePreference("bannerExpanded", this.expandedValue)
   }
 
   expand() {
@@ -53,8 +72,6 @@ export default class extends Controller {
   }
 
   dispatchHeightChangeEvent(expanded) {
-    window.dispatchEvent(new CustomEvent("music:banner:height-changed", {
-      detail: { expanded: expanded }
-    }))
+    emit("music:banner:height-changed", { expanded: expanded })
   }
 }
@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { savePreference } from "zuke/preferences_sync"
+import { emit, on, off } from "zuke/player_events"
 
 export default class extends Controller {
   static targets = ["thumb"]
@@ -14,6 +16,25 @@ export default class extends Controller {
 
     // Dispatch initial state to banner controller
     this.dispatchVideoPreferenceEvent(isEnabled)
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Pick up the banner video setting another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (!event.detail.keys.includes("bannerVideoEnabled")) return
+
+    const isEnabled = localStorage.getItem("bannerVideoEnabled") === "true"
+    this.updateToggleState(isEnabled)
+    this.dispatchVideoPreferenceEvent(isEnabled)
   }
 
   toggle(event) {
@@ -22,7 +43,7 @@ export default class extends Controller {
     const newState = !currentState
 
     this.updateToggleState(newState)
-    localStorage.setItem("bannerVideoEnabled", newState)
+    savePreference("bannerVideoEnabled", newState)
 
     // Notify banner controller of preference change
     this.dispatchVideoPreferenceEvent(newState)
@@ -39,10 +60,6 @@ export default class extends Controller {
   }
 
   dispatchVideoPreferenceEvent(enabled) {
-    const event = new CustomEvent("music:banner:video-preference", {
-      detail: { enabled },
-      bubbles: true
-    })
-    window.dispatchEvent(event)
+    emit("music:banner:video-preference", { enabled })
   }
 }
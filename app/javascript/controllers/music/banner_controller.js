@@ -1,13 +1,18 @@
 // app/javascript/controllers/music/banner_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { on, off } from "zuke/player_events"
 
 export default class extends Controller {
   static targets = ["image", "video", "title", "subtitle"]
 
   connect() {
-    document.addEventListener("music:banner:update", this.updateBanner.bind(this))
-    window.addEventListener("music:banner:video-preference", this.handleVideoPreference.bind(this))
-    window.addEventListener("audio:ready", this.handleAudioReady.bind(this))
+    this.boundUpdateBanner = this.updateBanner.bind(this)
+    this.boundHandleVideoPreference = this.handleVideoPreference.bind(this)
+    this.boundHandleAudioReady = this.handleAudioReady.bind(this)
+
+    on("music:banner:update", this.boundUpdateBanner)
+    on("music:banner:video-preference", this.boundHandleVideoPreference)
+    on("audio:ready", this.boundHandleAudioReady)
 
     // Load initial video preference
     const videoEnabled = localStorage.getItem("bannerVideoEnabled") === "true"
@@ -15,9 +20,9 @@ export default class extends Controller {
   }
 
   disconnect() {
-    document.removeEventListener("music:banner:update", this.updateBanner.bind(this))
-    window.removeEventListener("music:banner:video-preference", this.handleVideoPreference.bind(this))
-    window.removeEventListener("audio:ready", this.handleAudioReady.bind(this))
+    off("music:banner:update", this.boundUpdateBanner)
+    off("music:banner:video-preference", this.boundHandleVideoPreference)
+    off("audio:ready", this.boundHandleAudioReady)
   }
 
   handleVideoPreference(event) {
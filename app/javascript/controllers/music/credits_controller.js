@@ -1,5 +1,6 @@
 // app/javascript/controllers/music/credits_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { on, off } from "zuke/player_events"
 
 export default class extends Controller {
   static targets = [
@@ -21,11 +22,12 @@ export default class extends Controller {
 
   connect() {
     console.log("Credits controller connected")
-    document.addEventListener("music:credits:update", this.updateCredits.bind(this))
+    this.boundUpdateCredits = this.updateCredits.bind(this)
+    on("music:credits:update", this.boundUpdateCredits)
   }
 
   disconnect() {
-    document.removeEventListener("music:credits:update", this.updateCredits.bind(this))
+    off("music:credits:update", this.boundUpdateCredits)
   }
 
   toggle() {
@@ -0,0 +1,88 @@
+// app/javascript/controllers/music/crossfade_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { savePreference } from "zuke/preferences_sync"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Crossfade Controller
+ *
+ * Settings menu control for track transitions:
+ * - Crossfade length (0-12 seconds, 0 = off)
+ * - Gapless playback (used when crossfade is off)
+ *
+ * Saves both to localStorage and tells the player through
+ * `player:crossfade:changed`.
+ */
+export default class extends Controller {
+  static targets = ["slider", "value", "gaplessToggle", "gaplessHint"]
+  static classes = ["active", "inactive"]
+
+  connect() {
+    this.load()
+    this.render()
+    this.dispatchState()
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  load() {
+    this.seconds = Math.max(0, Math.min(12, Number(localStorage.getItem("playerCrossfade")) || 0))
+    this.gapless = localStorage.getItem("playerGapless") === "true"
+  }
+
+  /**
+   * Pick up transition settings another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    const { keys } = event.detail
+    if (!keys.includes("playerCrossfade") && !keys.includes("playerGapless")) return
+
+    this.load()
+    this.render()
+    this.dispatchState()
+  }
+
+  /**
+   * Slider moved
+   */
+  updateSeconds() {
+    this.seconds = Number(this.sliderTarget.value)
+    savePreference("playerCrossfade", this.seconds)
+
+    this.render()
+    this.dispatchState()
+  }
+
+  /**
+   * Gapless switch clicked
+   */
+  toggleGapless() {
+    this.gapless = !this.gapless
+    savePreference("playerGapless", this.gapless)
+
+    this.render()
+    this.dispatchState()
+  }
+
+  dispatchState() {
+    emit("player:crossfade:changed", { seconds: this.seconds, gapless: this.gapless })
+  }
+
+  render() {
+    this.sliderTarget.value = this.seconds
+    this.valueTarget.textContent = this.seconds > 0 ? `${this.seconds}s` : "Off"
+
+    this.gaplessToggleTarget.classList.toggle(this.activeClass, this.gapless)
+    this.gaplessToggleTarget.classList.toggle(this.inactiveClass, !this.gapless)
+    this.gaplessToggleTarget.setAttribute("aria-checked", this.gapless)
+
+    // Crossfade takes over from gapless while it's on
+    this.gaplessHintTarget.classList.toggle("hidden", this.seconds === 0)
+  }
+}
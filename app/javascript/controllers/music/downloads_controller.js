@@ -0,0 +1,166 @@
+// app/javascript/controllers/music/downloads_controller.js
+import { Controller } from "@hotwired/stimulus"
+import {
+  canDownload,
+  isDownloaded,
+  listDownloads,
+  downloadSong,
+  removeDownload,
+  removeAllDownloads,
+  storageUsage
+} from "zuke/offline_store"
+import { emit } from "zuke/player_events"
+
+/**
+ * Offline Downloads Controller
+ *
+ * Downloads songs for offline play and manages what's stored:
+ * - Takes download requests from song cards and playlists
+ *   (`offline:download:requested`) and fetches them one at a time
+ * - Lists downloaded songs with their size and a remove button
+ * - Shows how much storage downloads use
+ *
+ * Announces every change with `offline:changed` so song cards can show
+ * which songs are available offline.
+ */
+export default class extends Controller {
+  static targets = ["panel", "list", "empty", "usage", "status", "removeAllButton", "itemTemplate"]
+
+  connect() {
+    this.queue = []
+    this.downloading = false
+    this.render()
+  }
+
+  // ========================
+  //  Panel
+  // ========================
+
+  open() {
+    this.panelTarget.classList.remove("hidden")
+    this.render()
+  }
+
+  close() {
+    this.panelTarget.classList.add("hidden")
+  }
+
+  /**
+   * Close when clicking the backdrop (not the panel itself)
+   */
+  closeOnBackdrop(event) {
+    if (event.target === this.panelTarget) this.close()
+  }
+
+  // ========================
+  //  Downloading
+  // ========================
+
+  /**
+   * Queue songs for download
+   * @param {CustomEvent} event - offline:download:requested { songs }
+   */
+  enqueue(event) {
+    const songs = Array.isArray(event.detail?.songs) ? event.detail.songs : []
+    const pending = songs.filter(song =>
+      canDownload(song) &&
+      !isDownloaded(song) &&
+      !this.queue.some(queued => String(queued.id) === String(song.id))
+    )
+
+    if (pending.length === 0) return
+
+    this.queue.push(...pending)
+    console.log(`📥 OFFLINE: Queued ${pending.length} song(s) for download`)
+
+    if (!this.downloading) this.processQueue()
+  }
+
+  /**
+   * Download queued songs one at a time
+   */
+  async processQueue() {
+    this.downloading = true
+    let failed = 0
+
+    while (this.queue.length > 0) {
+      const song = this.queue.shift()
+      this.setStatus(`Downloading "${song.title}"…${this.queue.length ? ` (${this.queue.length} more)` : ""}`)
+
+      try {
+        const bytes = await downloadSong(song)
+        console.log(`📥 OFFLINE: Downloaded "${song.title}" (${this.formatBytes(bytes)})`)
+      } catch (error) {
+        failed++
+        console.error(`📥 OFFLINE: Download failed for "${song.title}":`, error)
+      }
+
+      this.announceChange()
+    }
+
+    this.downloading = false
+    this.setStatus(failed > 0 ? `${failed} download${failed === 1 ? "" : "s"} failed. Check your connection and try again.` : "")
+  }
+
+  // ========================
+  //  Removing
+  // ========================
+
+  async remove(event) {
+    const row = event.currentTarget.closest("li")
+    await removeDownload(row.dataset.songId)
+    this.announceChange()
+  }
+
+  async removeAll() {
+    if (listDownloads().length === 0) return
+    if (!confirm("Remove all downloaded songs from this device?")) return
+
+    await removeAllDownloads()
+    this.announceChange()
+  }
+
+  // ========================
+  //  Rendering
+  // ========================
+
+  /**
+   * Tell song cards which songs are downloaded, then redraw
+   */
+  announceChange() {
+    emit("offline:changed", { songIds: listDownloads().map(entry => String(entry.song.id)) })
+    this.render()
+  }
+
+  async render() {
+    const downloads = listDownloads()
+
+    this.listTarget.replaceChildren(...downloads.map(({ song, bytes }) => {
+      const row = this.itemTemplateTarget.content.firstElementChild.cloneNode(true)
+      row.dataset.songId = song.id
+      row.querySelector('[data-field="title"]').textContent = song.title || "Unknown Track"
+      row.querySelector('[data-field="artist"]').textContent = song.artist || "Unknown Artist"
+      row.querySelector('[data-field="size"]').textContent = this.formatBytes(bytes)
+      return row
+    }))
+
+    this.emptyTarget.classList.toggle("hidden", downloads.length > 0)
+    this.removeAllButtonTarget.disabled = downloads.length === 0
+
+    const { downloads: used, usage, quota } = await storageUsage()
+    this.usageTarget.textContent = quota
+      ? `${this.formatBytes(used)} in downloads · ${this.formatBytes(Math.max(0, quota - usage))} free`
+      : `${this.formatBytes(used)} in downloads`
+  }
+
+  setStatus(message) {
+    this.statusTarget.textContent = message
+    this.statusTarget.classList.toggle("hidden", !message)
+  }
+
+  formatBytes(bytes) {
+    if (!bytes) return "0 MB"
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`
+    return `${(bytes / 1024 ** 2).toFixed(1)} MB`
+  }
+}
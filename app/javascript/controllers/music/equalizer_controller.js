@@ -1,15 +1,50 @@
 // app/javascript/controllers/music/equalizer_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { loadNormalizationSettings, normalizationGainDb, dbToGain } from "zuke/loudness"
+import { semitonesToRatio } from "zuke/playback_rate"
+import {
+  GRAPHIC_FREQUENCIES,
+  FLAT_GAINS,
+  MAX_PARAMETRIC_BANDS,
+  graphicBands,
+  newBand,
+  clampBand,
+  serializeSetting,
+  readSongSettings,
+  writeSongSettings,
+  resolveSetting,
+  saveLevelDefault,
+  removeLevelDefault,
+  loadHeadroomSettings,
+  saveHeadroomSettings,
+  loadUserPresets,
+  saveUserPreset,
+  renameUserPreset,
+  deleteUserPreset
+} from "zuke/eq_settings"
+import { activeHeadphoneProfile } from "zuke/headphone_profiles"
+import { emit, on, off } from "zuke/player_events"
 
 /**
  * Equalizer Controller
  *
- * Manages a 10-band graphic equalizer using Web Audio API BiquadFilterNodes.
+ * Manages the equalizer using Web Audio API BiquadFilterNodes.
  * Features:
- * - 10 frequency bands (32Hz to 16kHz)
- * - Preset configurations (Rock, Bass Boost, etc.)
- * - Per-song EQ settings stored in localStorage
+ * - Graphic mode: 10 frequency bands (32Hz to 16kHz)
+ * - Parametric mode: 1-16 bands with editable type, frequency, gain and Q
+ * - Preset configurations (Rock, Bass Boost, etc.) plus the listener's own
+ * - Per-song EQ settings stored in localStorage (either mode)
+ * - Album, artist, genre and global defaults for songs without their own
+ * - Headphone correction (imported AutoEQ profile) ahead of the per-song bands
+ * - Automatic preamp for the curve's boost, optional limiter and a clip meter
+ * - Frequency response graph with a draggable node per band
+ * - Bypass and hold-to-compare A/B, level matched against the EQ'd sound
  * - Integration with WaveSurfer player
+ * - Extra media elements can be routed in (crossfade uses a second one)
+ * - Loudness normalization gain ahead of the filters
+ * - Pitch shift (AudioWorklet) ahead of the filters, added when first used
+ * - AnalyserNode tap after the filters for the banner visualizer
+ * - On phones, attaches and detaches at runtime as Mobile EQ is toggled
  */
 export default class extends Controller {
   static targets = [
@@ -17,16 +52,36 @@ export default class extends Controller {
     "trigger",
     "triggerIcon",
     "saveButton",
+    "saveScope",
     "songIndicator",
+    "sourceIndicator",
+    "sourceLabel",
     "unavailableMessage",
     "headerContent",
     "mainContent",
+    "modeButton",
+    "graphicEditor",
+    "parametricEditor",
+    "bandList",
+    "bandTemplate",
+    "addBandButton",
+    "userPresetList",
+    "userPresetTemplate",
+    "presetName",
+    "autoPreampToggle",
+    "limiterToggle",
+    "preampDisplay",
+    "clipIndicator",
+    "responseGraph",
+    "responseCurve",
+    "responseNodes",
+    "bypassButton",
     ...Array.from({ length: 10 }, (_, i) => `band${i}`),
     ...Array.from({ length: 10 }, (_, i) => `gainDisplay${i}`)
   ]
 
   // Standard 10-band EQ frequencies
-  frequencies = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]
+  frequencies = GRAPHIC_FREQUENCIES
 
   // EQ Presets (gain values in dB for each band)
   presets = {
@@ -44,16 +99,65 @@ export default class extends Controller {
   filterNodes = []
   audioContext = null
   sourceNode = null
+  inputNode = null          // Shared entry point in front of the filters
+  mediaInputs = new Map()   // media element → { source, normalization, gain }
   isConnected = false
 
   // Current state
   currentSongUrl = null
+  mode = "graphic"          // 'graphic' or 'parametric'
   currentGains = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  parametricBands = graphicBands(FLAT_GAINS)
   
   // URL to match (stripped of query params)
   matchSongUrl = null
 
+  // The current song's album/artist/genre ({ id, name } each, null when unknown)
+  // and the level its EQ was resolved from ('song' ... 'global', or null for flat)
+  songLevels = { album: null, artist: null, genre: null }
+  settingSource = null
+
+  // Loudness normalization
+  loudness = null           // { url, trackLufs, albumLufs, estimated } for the current track
+  normalization = loadNormalizationSettings()
+
+  // Pitch shift (semitones, from the player's per-song playback settings)
+  pitchSemitones = 0
+  pitchShiftNode = null
+  pitchShiftLoading = null
+
+  // Headphone correction: preamp + filters between the input and the song EQ
+  correction = activeHeadphoneProfile()
+  correctionGain = null
+  correctionNodes = []
+
+  // Headroom: preamp ahead of the song EQ, optional limiter at the end,
+  // and a meter tap before the limiter for the clip indicator
+  headroom = loadHeadroomSettings()
+  preampNode = null
+  limiterNode = null
+  meterNode = null
+  preampDb = 0
+
+  // Bypass: the song EQ (wet) and a level-matched dry path meet at the output
+  wetNode = null
+  dryNode = null
+  outputNode = null
+  bypassed = false
+  holdingCompare = false
+  levelMatchDb = 0
+
+  // Visualizer tap (listens to the filtered output, doesn't feed the destination)
+  analyserNode = null
+
+  // False while mobile EQ is off: no listeners, no audio graph
+  active = false
+
   connect() {
+    // Mobile EQ can be switched on and off while the page is open
+    this.boundHandleMobileToggle = this.handleMobileToggle.bind(this)
+    on("mobile-eq:toggled", this.boundHandleMobileToggle)
+
     // Check for mobile first
     if (this.isMobile()) {
       // Check if user has explicitly enabled mobile EQ
@@ -61,21 +165,7 @@ export default class extends Controller {
 
       if (!mobileEQEnabled) {
         console.log("EQ: Mobile device detected - EQ disabled (background playback mode)")
-
-        // Hide the EQ trigger button completely on mobile when disabled
-        if (this.hasTriggerTarget) {
-          this.triggerTarget.classList.add("hidden")
-          console.log("EQ: Trigger button hidden on mobile")
-        }
-
-        if (this.hasUnavailableMessageTarget) {
-          this.unavailableMessageTarget.textContent = "Equalizer is disabled to preserve background playback. Enable 'Mobile EQ' in settings to use the equalizer (disables background playback)."
-          this.unavailableMessageTarget.classList.remove("hidden")
-        }
-
-        if (this.hasHeaderContentTarget) this.headerContentTarget.classList.add("hidden")
-        if (this.hasMainContentTarget) this.mainContentTarget.classList.add("hidden")
-        if (this.hasPanelTarget) this.panelTarget.classList.add("hidden")
+        this.renderMobileDisabled(true)
 
         // Stop here - do not attach listeners or hook into audio
         return
@@ -86,16 +176,47 @@ export default class extends Controller {
       console.log("EQ: Desktop device - enabling Equalizer")
     }
 
+    this.start()
+  }
+
+  /**
+   * Attach listeners and hook into the player's audio
+   */
+  start() {
+    this.active = true
+
     // Listen for player events
-    window.addEventListener("audio:changed", this.handleSongChange.bind(this))
-    window.addEventListener("player:state:changed", this.handlePlayerState.bind(this))
-    window.addEventListener("audio:ready", this.handleAudioReady.bind(this))
+    this.boundHandleSongChange = this.handleSongChange.bind(this)
+    this.boundHandlePlayerState = this.handlePlayerState.bind(this)
+    this.boundHandleAudioReady = this.handleAudioReady.bind(this)
+    on("audio:changed", this.boundHandleSongChange)
+    on("player:state:changed", this.boundHandlePlayerState)
+    on("audio:ready", this.boundHandleAudioReady)
+
+    this.boundHandleLoudness = this.handleLoudnessChange.bind(this)
+    this.boundHandleNormalization = this.handleNormalizationChange.bind(this)
+    on("player:loudness:changed", this.boundHandleLoudness)
+    on("player:normalization:changed", this.boundHandleNormalization)
+
+    this.boundHandlePlaybackRate = this.handlePlaybackRateChange.bind(this)
+    on("player:playback-rate:changed", this.boundHandlePlaybackRate)
+
+    this.boundAnnounceAnalyser = this.announceAnalyser.bind(this)
+    on("equalizer:analyser:request", this.boundAnnounceAnalyser)
+
+    this.boundHandleCorrection = this.handleCorrectionChange.bind(this)
+    on("equalizer:correction:changed", this.boundHandleCorrection)
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
 
     // Try to hook into WaveSurfer initialization
     this.setupWaveSurferIntegration()
 
     // Initialize as disabled until audio is ready
     this.updateSaveButtonState()
+    this.renderUserPresets()
+    this.renderHeadroom()
   }
 
   /**
@@ -152,6 +273,12 @@ export default class extends Controller {
    * Hook into WaveSurfer's audio graph
    */
   hookIntoWaveSurfer(wavesurfer) {
+    // Already hooked (mobile EQ switched back on)
+    if (this.wavesurfer === wavesurfer) {
+      this.interceptAudioGraph()
+      return
+    }
+
     console.log("EQ: Hooking into WaveSurfer:", wavesurfer)
 
     // Store reference
@@ -176,6 +303,9 @@ export default class extends Controller {
    * Following the official WaveSurfer webaudio.js example pattern
    */
   interceptAudioGraph() {
+    // Mobile EQ is off: the audio stays on the browser's direct output
+    if (!this.active) return
+
     try {
       console.log("EQ: interceptAudioGraph() called, this.wavesurfer =", this.wavesurfer)
 
@@ -243,28 +373,6 @@ export default class extends Controller {
         }
       }
 
-      // Create filter nodes (following WaveSurfer example: lowshelf, peaking, highshelf)
-      if (this.filterNodes.length === 0) {
-        this.filterNodes = this.frequencies.map((freq, index) => {
-          const filter = this.audioContext.createBiquadFilter()
-
-          // Use appropriate filter types like the official example
-          if (index === 0) {
-            filter.type = "lowshelf"  // First band (32Hz)
-          } else if (index === this.frequencies.length - 1) {
-            filter.type = "highshelf" // Last band (16kHz)
-          } else {
-            filter.type = "peaking"   // Middle bands
-          }
-
-          filter.frequency.value = freq
-          filter.Q.value = 1.0
-          filter.gain.value = this.currentGains[index]
-          return filter
-        })
-        console.log("EQ: Created filter nodes:", this.filterNodes.length)
-      }
-
       // Disconnect existing connections
       try {
         this.sourceNode.disconnect()
@@ -272,20 +380,38 @@ export default class extends Controller {
         console.log("EQ: Source node already disconnected")
       }
 
+      // Every media element feeds one input gain, so the player can run a
+      // second element through the same filters while crossfading
+      if (!this.inputNode) {
+        this.inputNode = this.audioContext.createGain()
+      }
+
+      this.addMediaInput(audioElement, this.sourceNode)
+
+      // The visualizer reads what the listener hears, after the EQ
+      if (!this.analyserNode) {
+        this.analyserNode = this.audioContext.createAnalyser()
+        this.analyserNode.fftSize = 2048
+        this.analyserNode.smoothingTimeConstant = 0.8
+      }
+
       // Chain filters sequentially (following WaveSurfer example pattern)
-      // source → filter0 → filter1 → ... → filter9 → destination
-      this.filterNodes.reduce((prev, curr) => {
-        prev.connect(curr)
-        return curr
-      }, this.sourceNode).connect(this.audioContext.destination)
+      // input → filter0 → filter1 → ... → filterN → destination
+      this.filterNodes = []
+      this.syncFilters()
 
       this.isConnected = true
       console.log("EQ: ✓ Successfully connected audio graph!")
-      console.log("EQ: Audio path: MediaElement → 10 Filters → Destination")
+      console.log(`EQ: Audio path: MediaElement → Normalization → Gain → ${this.filterNodes.length} Filters → Destination`)
+
+      this.applyNormalization()
+      this.applyPitchShift()
+      if (!this.panelTarget.classList.contains("hidden")) this.startClipMeter()
 
       // Signal to player that EQ is ready
-      document.dispatchEvent(new CustomEvent("equalizer:ready"))
+      emit("equalizer:ready")
       console.log("EQ: Dispatched equalizer:ready event")
+      this.announceAnalyser()
 
     } catch (error) {
       console.error("EQ: Error intercepting audio graph:", error)
@@ -293,24 +419,588 @@ export default class extends Controller {
     }
   }
 
+  /**
+   * Bands the filters should have right now
+   * @returns {Array<{type: string, frequency: number, gain: number, q: number}>}
+   */
+  activeBands() {
+    return this.mode === "parametric" ? this.parametricBands : graphicBands(this.currentGains)
+  }
+
+  /**
+   * Make the filter nodes match the active bands
+   * Same band count: parameters change in place, without a glitch.
+   * Different count (mode switch, band added or removed): the chain is rebuilt.
+   */
+  syncFilters() {
+    if (!this.audioContext || !this.inputNode) return
+
+    const bands = this.activeBands()
+    const correction = this.correction?.filters || []
+    if (this.filterNodes.length !== bands.length || this.correctionNodes.length !== correction.length) {
+      this.rebuildFilterChain(correction.length, bands.length)
+    }
+
+    correction.forEach((band, index) => this.setFilter(this.correctionNodes[index], band))
+    bands.forEach((band, index) => this.setFilter(this.filterNodes[index], band))
+    this.correctionGain.gain.value = dbToGain(this.correction?.preamp || 0)
+    this.updatePreamp()
+    this.scheduleResponseRender()
+  }
+
+  /**
+   * @param {BiquadFilterNode} filter
+   * @param {{type: string, frequency: number, gain: number, q: number}} band
+   */
+  setFilter(filter, band) {
+    filter.type = band.type
+    filter.frequency.value = band.frequency
+    filter.Q.value = band.q
+    filter.gain.value = band.gain
+  }
+
+  /**
+   * (input or pitch shift) → correction preamp → correction filters
+   *   → EQ preamp → filter0 → ... → filterN → wet ┐
+   *   → dry (bypass) ─────────────────────────────┴→ output → [limiter] → destination, analyser
+   * The meter taps the output before the limiter. Headphone correction stays
+   * on while bypassed; bypass compares the song EQ only.
+   * @param {number} correctionCount - Number of headphone correction filters
+   * @param {number} count - Number of song EQ filters
+   */
+  rebuildFilterChain(correctionCount, count) {
+    this.correctionNodes.forEach(filter => filter.disconnect())
+    this.filterNodes.forEach(filter => filter.disconnect())
+    this.correctionNodes = Array.from({ length: correctionCount }, () => this.audioContext.createBiquadFilter())
+    this.filterNodes = Array.from({ length: count }, () => this.audioContext.createBiquadFilter())
+
+    this.correctionGain ||= this.audioContext.createGain()
+    this.preampNode ||= this.audioContext.createGain()
+    this.wetNode ||= this.audioContext.createGain()
+    this.dryNode ||= this.audioContext.createGain()
+    this.outputNode ||= this.audioContext.createGain()
+    this.meterNode ||= Object.assign(this.audioContext.createAnalyser(), { fftSize: 4096 })
+    for (const node of [this.correctionGain, this.preampNode, this.wetNode, this.dryNode, this.outputNode, this.limiterNode]) {
+      node?.disconnect()
+    }
+
+    // Whatever feeds the filters: the pitch shift once it's in use
+    const head = this.pitchShiftNode || this.inputNode
+    head.disconnect()
+    head.connect(this.correctionGain)
+
+    const corrected = this.correctionNodes.reduce((prev, curr) => prev.connect(curr), this.correctionGain)
+    corrected.connect(this.preampNode)
+    corrected.connect(this.dryNode)
+    this.filterNodes.reduce((prev, curr) => prev.connect(curr), this.preampNode).connect(this.wetNode)
+
+    this.wetNode.connect(this.outputNode)
+    this.dryNode.connect(this.outputNode)
+    this.outputNode.connect(this.meterNode)
+    this.applyBypass()
+
+    const output = this.headroom.limiter ? this.outputNode.connect(this.createLimiter()) : this.outputNode
+    output.connect(this.audioContext.destination)
+    if (this.analyserNode) output.connect(this.analyserNode)
+
+    console.log(`EQ: Filter chain rebuilt with ${correctionCount} correction + ${count} EQ bands`,
+      this.headroom.limiter ? "and limiter" : "")
+  }
+
+  // ========================
+  //  Headroom
+  // ========================
+
+  /**
+   * Brick-wall limiter just under 0 dBFS
+   * @returns {DynamicsCompressorNode}
+   */
+  createLimiter() {
+    if (!this.limiterNode) {
+      this.limiterNode = this.audioContext.createDynamicsCompressor()
+      this.limiterNode.threshold.value = -1
+      this.limiterNode.knee.value = 0
+      this.limiterNode.ratio.value = 20
+      this.limiterNode.attack.value = 0.003
+      this.limiterNode.release.value = 0.1
+    }
+    return this.limiterNode
+  }
+
+  /**
+   * Combined response of the song EQ filters, in dB
+   * @param {Float32Array} frequencies - Hz
+   * @returns {Float32Array} dB per frequency (0 when the graph isn't built)
+   */
+  eqResponse(frequencies) {
+    const total = new Float32Array(frequencies.length)
+    const magnitude = new Float32Array(frequencies.length)
+    const phase = new Float32Array(frequencies.length)
+
+    this.filterNodes.forEach(filter => {
+      filter.getFrequencyResponse(frequencies, magnitude, phase)
+      magnitude.forEach((value, i) => { total[i] += 20 * Math.log10(Math.max(value, 1e-6)) })
+    })
+
+    return total
+  }
+
+  /**
+   * Cut the input by the curve's highest boost, so boosting never pushes
+   * a full-scale track past 0 dBFS
+   */
+  updatePreamp() {
+    if (!this.preampNode) return
+
+    if (this.headroom.autoPreamp) {
+      this.responseFrequencies ||= Float32Array.from({ length: 256 }, (_, i) => 20 * 1000 ** (i / 255))
+      const maxBoost = Math.max(0, ...this.eqResponse(this.responseFrequencies))
+      this.preampDb = -Math.round(maxBoost * 10) / 10
+    } else {
+      this.preampDb = 0
+    }
+
+    this.preampNode.gain.setTargetAtTime(dbToGain(this.preampDb), this.audioContext.currentTime, 0.02)
+    this.updateLevelMatch()
+    this.renderHeadroom()
+  }
+
+  toggleAutoPreamp() {
+    this.headroom.autoPreamp = !this.headroom.autoPreamp
+    saveHeadroomSettings(this.headroom)
+    this.updatePreamp()
+    this.renderHeadroom()
+  }
+
+  toggleLimiter() {
+    this.headroom.limiter = !this.headroom.limiter
+    saveHeadroomSettings(this.headroom)
+
+    if (this.isConnected) {
+      this.rebuildFilterChain(this.correctionNodes.length, this.filterNodes.length)
+      this.syncFilters()
+    }
+    this.renderHeadroom()
+  }
+
+  renderHeadroom() {
+    if (this.hasAutoPreampToggleTarget) this.autoPreampToggleTarget.checked = this.headroom.autoPreamp
+    if (this.hasLimiterToggleTarget) this.limiterToggleTarget.checked = this.headroom.limiter
+    if (this.hasPreampDisplayTarget) {
+      this.preampDisplayTarget.textContent = this.preampDb < 0 ? `${this.preampDb.toFixed(1)}dB` : "0dB"
+    }
+  }
+
+  // ========================
+  //  Bypass & A/B
+  // ========================
+
+  /**
+   * Whether the listener hears the dry signal right now
+   * Holding the A/B button flips whatever bypass is set to.
+   */
+  get isBypassed() {
+    return this.bypassed !== this.holdingCompare
+  }
+
+  /**
+   * Average level change of the song EQ (preamp included), weighted equally
+   * per octave like pink noise. The dry path gets the same gain, so the
+   * comparison is about tone, not loudness.
+   */
+  updateLevelMatch() {
+    if (!this.filterNodes.length) return
+
+    this.matchFrequencies ||= Float32Array.from({ length: 64 }, (_, i) => 40 * 400 ** (i / 63))
+    const response = this.eqResponse(this.matchFrequencies)
+    const meanPower = response.reduce((sum, db) => sum + 10 ** (db / 10), 0) / response.length
+
+    this.levelMatchDb = 10 * Math.log10(meanPower) + this.preampDb
+    this.applyBypass()
+  }
+
+  /**
+   * Crossfade between the EQ'd and dry paths
+   */
+  applyBypass() {
+    if (!this.wetNode || !this.dryNode) return
+
+    const now = this.audioContext.currentTime
+    this.wetNode.gain.setTargetAtTime(this.isBypassed ? 0 : 1, now, 0.015)
+    this.dryNode.gain.setTargetAtTime(this.isBypassed ? dbToGain(this.levelMatchDb) : 0, now, 0.015)
+  }
+
+  toggleBypass() {
+    this.bypassed = !this.bypassed
+    console.log("EQ: Bypass", this.bypassed ? "on" : "off", `(level match ${this.levelMatchDb.toFixed(1)} dB)`)
+    this.renderBypass()
+  }
+
+  /**
+   * Hold to hear the other side (pointerdown / keydown)
+   */
+  startCompare(event) {
+    if (event.type === "keydown" && (event.repeat || ![" ", "Enter"].includes(event.key))) return
+    event.preventDefault()
+    this.holdingCompare = true
+    this.renderBypass()
+  }
+
+  /**
+   * Release the A/B button (pointerup / pointerleave / keyup / blur)
+   */
+  endCompare() {
+    if (!this.holdingCompare) return
+    this.holdingCompare = false
+    this.renderBypass()
+  }
+
+  renderBypass() {
+    this.applyBypass()
+
+    if (this.hasBypassButtonTarget) {
+      this.bypassButtonTarget.setAttribute("aria-pressed", this.bypassed)
+      this.bypassButtonTarget.classList.toggle("bg-amber-600", this.bypassed)
+      this.bypassButtonTarget.classList.toggle("text-white", this.bypassed)
+    }
+
+    this.updateTriggerIconColor()
+  }
+
+  /**
+   * Watch the EQ output while the panel is open
+   * Red "CLIP" when samples reach full scale, amber "LIMIT" while the limiter works.
+   */
+  startClipMeter() {
+    if (this.clipMeter || !this.meterNode || !this.hasClipIndicatorTarget) return
+
+    const samples = new Float32Array(this.meterNode.fftSize)
+    this.clipMeter = setInterval(() => {
+      this.meterNode.getFloatTimeDomainData(samples)
+      let peak = 0
+      for (const sample of samples) peak = Math.max(peak, Math.abs(sample))
+
+      // Hold the indicator briefly so single overs are visible
+      if (peak >= 1) this.clippedUntil = Date.now() + 1500
+      const limiting = this.headroom.limiter && (this.limiterNode?.reduction || 0) < -1
+      const clipping = !this.headroom.limiter && Date.now() < (this.clippedUntil || 0)
+
+      this.clipIndicatorTarget.textContent = limiting ? "LIMIT" : "CLIP"
+      this.clipIndicatorTarget.classList.toggle("hidden", !(clipping || limiting))
+      this.clipIndicatorTarget.classList.toggle("bg-red-600", clipping)
+      this.clipIndicatorTarget.classList.toggle("bg-amber-600", limiting)
+    }, 100)
+  }
+
+  stopClipMeter() {
+    clearInterval(this.clipMeter)
+    this.clipMeter = null
+    if (this.hasClipIndicatorTarget) this.clipIndicatorTarget.classList.add("hidden")
+  }
+
+  // ========================
+  //  Headphone Correction
+  // ========================
+
+  /**
+   * Listener imported, switched or turned off a headphone profile
+   * @param {CustomEvent} event - equalizer:correction:changed { profile }
+   */
+  handleCorrectionChange(event) {
+    this.correction = event.detail.profile
+    console.log("EQ: Headphone correction", this.correction ? `"${this.correction.name}"` : "off")
+    if (this.isConnected) this.syncFilters()
+  }
+
+  /**
+   * Pick up EQ settings another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    const keys = event.detail?.keys || []
+
+    if (keys.includes("zuke_eq_headroom")) {
+      this.headroom = loadHeadroomSettings()
+      if (this.isConnected) {
+        this.rebuildFilterChain(this.correctionNodes.length, this.filterNodes.length)
+        this.syncFilters()
+      }
+      this.renderHeadroom()
+    }
+    if (keys.includes("zuke_eq_presets")) this.renderUserPresets()
+    if (keys.includes("zuke_headphone_profiles")) {
+      this.handleCorrectionChange({ detail: { profile: activeHeadphoneProfile() } })
+    }
+    if (keys.includes("zuke_eq_settings") || keys.includes("zuke_eq_defaults")) this.loadSongSettings()
+  }
+
+  /**
+   * Route another media element through the EQ chain
+   * Each element gets its own gain node so the player can fade tracks in
+   * and out independently. Safe to call more than once per element.
+   * @param {HTMLMediaElement} element
+   * @returns {?GainNode} The element's gain node, or null when the EQ isn't connected
+   */
+  routeMediaElement(element) {
+    if (!this.isConnected || !element) return null
+
+    const existing = this.mediaInputs.get(element)
+    if (existing) return existing.gain
+
+    try {
+      const source = this.audioContext.createMediaElementSource(element)
+      console.log("EQ: Routed additional media element through filters")
+      return this.addMediaInput(element, source).gain
+    } catch (error) {
+      console.error("EQ: Failed to route media element:", error)
+      return null
+    }
+  }
+
+  /**
+   * Connect a media source into the chain
+   * source → normalization → gain → input → filters
+   * @param {HTMLMediaElement} element
+   * @param {MediaElementAudioSourceNode} source
+   * @returns {Object} { source, normalization, gain }
+   */
+  addMediaInput(element, source) {
+    const normalization = this.audioContext.createGain()
+    const gain = this.audioContext.createGain()
+    source.connect(normalization).connect(gain).connect(this.inputNode)
+
+    const input = { source, normalization, gain }
+    this.mediaInputs.set(element, input)
+    return input
+  }
+
+  // ========================
+  //  Loudness Normalization
+  // ========================
+
+  /**
+   * Player measured or estimated the current track's loudness
+   * @param {CustomEvent} event - player:loudness:changed
+   */
+  handleLoudnessChange(event) {
+    this.loudness = event.detail
+    this.applyNormalization()
+  }
+
+  /**
+   * Listener changed the normalization mode or target
+   * @param {CustomEvent} event - player:normalization:changed
+   */
+  handleNormalizationChange(event) {
+    this.normalization = { mode: event.detail.mode, targetLufs: event.detail.targetLufs }
+    this.applyNormalization()
+  }
+
+  /**
+   * Set the normalization gain on the element that is playing now
+   * Other elements (a track fading out) keep the gain of their own track.
+   */
+  applyNormalization() {
+    const input = this.mediaInputs.get(this.wavesurfer?.media)
+    if (!input) return
+
+    const gainDb = normalizationGainDb(this.loudness, this.normalization)
+    input.normalization.gain.setTargetAtTime(dbToGain(gainDb), this.audioContext.currentTime, 0.05)
+
+    console.log(`EQ: Normalization ${this.normalization.mode} → ${gainDb.toFixed(1)} dB`,
+      this.loudness?.estimated ? "(estimated loudness)" : "")
+  }
+
+  // ========================
+  //  Pitch Shift
+  // ========================
+
+  /**
+   * Player switched songs or the listener changed the pitch
+   * @param {CustomEvent} event - player:playback-rate:changed { rate, semitones, preservePitch }
+   */
+  handlePlaybackRateChange(event) {
+    this.pitchSemitones = event.detail.semitones || 0
+    this.applyPitchShift()
+  }
+
+  /**
+   * Set the pitch shift, adding the worklet to the chain the first time it's needed
+   * input → pitch shift → filters
+   */
+  async applyPitchShift() {
+    if (!this.isConnected) return
+    if (!this.pitchShiftNode && this.pitchSemitones === 0) return
+
+    try {
+      if (!this.pitchShiftNode) await this.insertPitchShift()
+      if (!this.pitchShiftNode) return
+
+      this.pitchShiftNode.parameters.get("pitchRatio")
+        .setValueAtTime(semitonesToRatio(this.pitchSemitones), this.audioContext.currentTime)
+      console.log(`EQ: Pitch shift ${this.pitchSemitones >= 0 ? "+" : ""}${this.pitchSemitones} semitones`)
+    } catch (error) {
+      console.error("EQ: Could not apply pitch shift:", error)
+    }
+  }
+
+  /**
+   * Load the pitch shift worklet and splice it in front of the filters
+   */
+  async insertPitchShift() {
+    this.pitchShiftLoading ||= this.audioContext.audioWorklet.addModule(
+      import.meta.resolve("zuke/pitch_shift_processor")
+    )
+    await this.pitchShiftLoading
+
+    // The graph may have been torn down while the module loaded
+    if (!this.isConnected || this.pitchShiftNode) return
+
+    this.pitchShiftNode = new AudioWorkletNode(this.audioContext, "zuke-pitch-shift")
+    this.inputNode.disconnect()
+    this.inputNode.connect(this.pitchShiftNode).connect(this.correctionGain)
+    console.log("EQ: Pitch shift added to the audio path")
+  }
+
+  // ========================
+  //  Visualizer
+  // ========================
+
+  /**
+   * Hand the analyser to the visualizer (null while the graph isn't built)
+   * Also answers `equalizer:analyser:request` from a visualizer that connects later.
+   */
+  announceAnalyser() {
+    emit("equalizer:analyser", { analyser: this.isConnected ? this.analyserNode : null })
+  }
+
   disconnect() {
-    window.removeEventListener("audio:changed", this.handleSongChange.bind(this))
-    window.removeEventListener("player:state:changed", this.handlePlayerState.bind(this))
-    window.removeEventListener("audio:ready", this.handleAudioReady.bind(this))
+    off("mobile-eq:toggled", this.boundHandleMobileToggle)
+    if (this.active) this.stop()
+  }
+
+  /**
+   * Remove listeners and take the audio graph down
+   */
+  stop() {
+    this.active = false
+
+    off("audio:changed", this.boundHandleSongChange)
+    off("player:state:changed", this.boundHandlePlayerState)
+    off("audio:ready", this.boundHandleAudioReady)
+    off("player:loudness:changed", this.boundHandleLoudness)
+    off("player:normalization:changed", this.boundHandleNormalization)
+    off("player:playback-rate:changed", this.boundHandlePlaybackRate)
+    off("equalizer:analyser:request", this.boundAnnounceAnalyser)
+    off("equalizer:correction:changed", this.boundHandleCorrection)
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+    cancelAnimationFrame(this.responseFrame)
+    this.responseFrame = null
+    this.graphResizeObserver?.disconnect()
+    this.graphResizeObserver = null
     this.destroyFilters()
   }
 
+  // ========================
+  //  Mobile EQ On / Off
+  // ========================
+
+  /**
+   * Mobile EQ switched in the settings menu
+   * @param {CustomEvent} event - mobile-eq:toggled { enabled }
+   */
+  handleMobileToggle(event) {
+    if (!this.isMobile()) return
+
+    if (event.detail.enabled) {
+      this.enableForMobile()
+    } else {
+      this.disableForMobile()
+    }
+  }
+
+  /**
+   * Start the EQ on the track that's already playing
+   * Runs in the toggle's click, so the AudioContext may start.
+   */
+  enableForMobile() {
+    if (this.active) return
+
+    console.log("EQ: Mobile EQ enabled - routing audio through Web Audio")
+    this.renderMobileDisabled(false)
+    this.start()
+    this.interceptAudioGraph()
+
+    // Catch up on the song that started while the EQ was off
+    emit("player:sync-request")
+    if (this.isConnected) this.loadSongSettings()
+  }
+
+  /**
+   * Give the audio back to the browser for background playback
+   * An element Web Audio has captured can't be released, so the player first
+   * moves playback to a fresh element; then the graph and context go.
+   */
+  async disableForMobile() {
+    if (!this.active) return
+
+    console.log("EQ: Mobile EQ disabled - restoring direct output")
+    await this.playerController()?.moveToDirectOutput()
+
+    this.stop()
+    this.audioContext?.close()
+    this.audioContext = null
+    this.pitchShiftLoading = null
+    this.renderMobileDisabled(true)
+
+    emit("equalizer:detached")
+  }
+
+  /**
+   * Hide the EQ (or show it again) while mobile EQ is off
+   * @param {boolean} disabled
+   */
+  renderMobileDisabled(disabled) {
+    // Hide the EQ trigger button completely on mobile when disabled
+    if (this.hasTriggerTarget) this.triggerTarget.classList.toggle("hidden", disabled)
+
+    if (this.hasUnavailableMessageTarget) {
+      this.unavailableMessageTarget.textContent = "Equalizer is disabled to preserve background playback. Enable 'Mobile EQ' in settings to use the equalizer (disables background playback)."
+      this.unavailableMessageTarget.classList.toggle("hidden", !disabled)
+    }
+
+    if (this.hasHeaderContentTarget) this.headerContentTarget.classList.toggle("hidden", disabled)
+    if (this.hasMainContentTarget) this.mainContentTarget.classList.toggle("hidden", disabled)
+    if (this.hasResponseGraphTarget) this.responseGraphTarget.classList.toggle("hidden", disabled)
+    if (disabled && this.hasPanelTarget) this.panelTarget.classList.add("hidden")
+  }
+
+  /**
+   * @returns {?Object} The music--player controller
+   */
+  playerController() {
+    const playerElement = document.querySelector('[data-controller*="music--player"]')
+    if (!playerElement) return null
+
+    return this.application.getControllerForElementAndIdentifier(playerElement, "music--player")
+  }
+
   /**
    * Toggle EQ panel visibility
    */
   togglePanel() {
     this.panelTarget.classList.toggle("hidden")
+    const open = !this.panelTarget.classList.contains("hidden")
 
     // If opening panel and EQ not initialized, try to initialize
-    if (!this.panelTarget.classList.contains("hidden") && !this.isConnected) {
+    if (open && !this.isConnected) {
       // Check if we can initialize
       this.checkWebAudioAvailability()
     }
+
+    // The clip meter only matters while someone can see it
+    open ? this.startClipMeter() : this.stopClipMeter()
+    if (open) this.scheduleResponseRender()
   }
 
   /**
@@ -335,6 +1025,9 @@ export default class extends Controller {
       if (this.hasMainContentTarget) {
         this.mainContentTarget.classList.add("hidden")
       }
+      if (this.hasResponseGraphTarget) {
+        this.responseGraphTarget.classList.add("hidden")
+      }
     } else {
       // Hide unavailable message, show EQ controls
       console.log("EQ: WebAudio available - showing EQ controls")
@@ -347,6 +1040,9 @@ export default class extends Controller {
       if (this.hasMainContentTarget) {
         this.mainContentTarget.classList.remove("hidden")
       }
+      if (this.hasResponseGraphTarget) {
+        this.responseGraphTarget.classList.remove("hidden")
+      }
     }
   }
 
@@ -358,7 +1054,15 @@ export default class extends Controller {
     console.log("EQ: Song changed to:", this.currentSongUrl)
 
     this.matchSongUrl = this.getStorageKey(this.currentSongUrl)
-    
+
+    const { albumId, album, artistId, artist, genreId, genre } = event.detail
+    this.songLevels = {
+      album: albumId ? { id: String(albumId), name: album } : null,
+      artist: artistId ? { id: String(artistId), name: artist } : null,
+      genre: genreId ? { id: String(genreId), name: genre } : null
+    }
+    this.renderSaveScopes()
+
     this.updateSaveButtonState()
     this.updateTriggerIconColor()
   }
@@ -433,7 +1137,48 @@ export default class extends Controller {
         this.sourceNode = null
       }
 
+      this.mediaInputs.forEach(({ source, normalization, gain }) => {
+        source.disconnect()
+        normalization.disconnect()
+        gain.disconnect()
+      })
+      this.mediaInputs.clear()
+
+      if (this.inputNode) {
+        this.inputNode.disconnect()
+        this.inputNode = null
+      }
+
+      if (this.pitchShiftNode) {
+        this.pitchShiftNode.disconnect()
+        this.pitchShiftNode = null
+      }
+
+      this.correctionNodes.forEach(filter => filter.disconnect())
+      this.correctionNodes = []
+      if (this.correctionGain) {
+        this.correctionGain.disconnect()
+        this.correctionGain = null
+      }
+
+      this.stopClipMeter()
+      for (const node of [this.preampNode, this.limiterNode, this.meterNode, this.wetNode, this.dryNode, this.outputNode]) {
+        node?.disconnect()
+      }
+      this.preampNode = null
+      this.limiterNode = null
+      this.meterNode = null
+      this.wetNode = null
+      this.dryNode = null
+      this.outputNode = null
+
+      if (this.analyserNode) {
+        this.analyserNode.disconnect()
+        this.analyserNode = null
+      }
+
       this.isConnected = false
+      this.announceAnalyser()
     } catch (error) {
       console.error("EQ: Error destroying filters:", error)
     }
@@ -449,25 +1194,36 @@ export default class extends Controller {
 
     console.log(`EQ: Band ${bandIndex} (${this.frequencies[bandIndex]}Hz) set to ${gain}dB`)
 
+    // Try to intercept audio graph if not connected yet
+    if (!this.isConnected) {
+      console.warn(`EQ: Cannot update filter - isConnected: ${this.isConnected}, filterNode exists: ${!!this.filterNodes[bandIndex]}`)
+      console.log("EQ: Attempting to initialize filters now...")
+      this.interceptAudioGraph()
+    }
+
+    this.setGraphicGain(bandIndex, gain)
+  }
+
+  /**
+   * Set one graphic band's gain (from its slider or the response graph)
+   * @param {number} bandIndex
+   * @param {number} gain - dB
+   */
+  setGraphicGain(bandIndex, gain) {
     // Update current gains array
     this.currentGains[bandIndex] = gain
 
     // Update the filter node if connected
-    if (this.isConnected && this.filterNodes[bandIndex]) {
+    if (this.isConnected && this.mode === "graphic" && this.filterNodes[bandIndex]) {
       this.filterNodes[bandIndex].gain.value = gain
-      console.log(`EQ: Filter node ${bandIndex} gain updated to ${gain}dB`)
-    } else {
-      console.warn(`EQ: Cannot update filter - isConnected: ${this.isConnected}, filterNode exists: ${!!this.filterNodes[bandIndex]}`)
-
-      // Try to intercept audio graph if not connected yet
-      if (!this.isConnected) {
-        console.log("EQ: Attempting to initialize filters now...")
-        this.interceptAudioGraph()
-      }
+      this.updatePreamp()
     }
 
-    // Update the gain display
+    // Keep the slider and gain display in step
+    const slider = this[`band${bandIndex}Target`]
+    if (slider) slider.value = gain
     this.updateGainDisplay(bandIndex, gain)
+    this.scheduleResponseRender()
 
     // Check if settings differ from saved settings
     this.updateSongIndicator()
@@ -509,14 +1265,16 @@ export default class extends Controller {
       return
     }
 
-    // Apply gains to sliders and filters
+    // Apply gains to sliders and filters (built-in presets are graphic)
     this.applyGains(gains)
   }
 
   /**
-   * Apply gain values to all bands
+   * Apply gain values to all bands (switches to graphic mode)
    */
   applyGains(gains) {
+    this.mode = "graphic"
+
     gains.forEach((gain, index) => {
       // Update slider
       const slider = this[`band${index}Target`]
@@ -524,11 +1282,6 @@ export default class extends Controller {
         slider.value = gain
       }
 
-      // Update filter node
-      if (this.isConnected && this.filterNodes[index]) {
-        this.filterNodes[index].gain.value = gain
-      }
-
       // Update current gains
       this.currentGains[index] = gain
 
@@ -536,19 +1289,459 @@ export default class extends Controller {
       this.updateGainDisplay(index, gain)
     })
 
+    // Update filter nodes
+    if (this.isConnected) this.syncFilters()
+
+    this.renderMode()
+    this.scheduleResponseRender()
+    this.updateSongIndicator()
+  }
+
+  /**
+   * Apply a stored setting of either mode
+   * @param {{mode: string, gains?: number[], bands?: Array}} setting - From normalizeSetting
+   */
+  applySetting(setting) {
+    if (setting.mode !== "parametric") {
+      this.applyGains(setting.gains)
+      return
+    }
+
+    this.mode = "parametric"
+    this.parametricBands = setting.bands.map(band => ({ ...band }))
+    if (this.isConnected) this.syncFilters()
+
+    this.renderMode()
+    this.renderParametricBands()
+    this.scheduleResponseRender()
     this.updateSongIndicator()
   }
 
+  /**
+   * The setting the listener hears right now
+   * @returns {{mode: string, gains?: number[], bands?: Array}}
+   */
+  currentSetting() {
+    return this.mode === "parametric"
+      ? { mode: "parametric", bands: this.parametricBands.map(band => ({ ...band })) }
+      : { mode: "graphic", gains: [...this.currentGains] }
+  }
+
+  // ========================
+  //  Parametric Mode
+  // ========================
+
+  /**
+   * Switch between graphic and parametric editing
+   * Parametric starts from the graphic curve, so the sound doesn't jump.
+   * @param {Event} event - data-mode on the button
+   */
+  switchMode(event) {
+    const mode = event.currentTarget.dataset.mode
+    if (mode === this.mode) return
+
+    if (mode === "parametric") {
+      this.applySetting({ mode: "parametric", bands: graphicBands(this.currentGains) })
+    } else {
+      this.applyGains([...this.currentGains])
+    }
+  }
+
+  /**
+   * A field of a parametric band changed
+   * @param {Event} event - input/change on a field with data-field
+   */
+  updateParametricBand(event) {
+    const row = event.target.closest("[data-band-index]")
+    const index = Number(row?.dataset.bandIndex)
+    const band = this.parametricBands[index]
+    if (!band) return
+
+    const field = event.target.dataset.field
+    const value = field === "type" ? event.target.value : parseFloat(event.target.value)
+    if (field !== "type" && !Number.isFinite(value)) return
+
+    this.parametricBands[index] = clampBand({ ...band, [field]: value })
+    if (this.isConnected) this.syncFilters()
+    this.scheduleResponseRender()
+
+    // Typing in a number box is left alone until it's committed
+    if (event.type === "change") this.renderBandRow(row, this.parametricBands[index])
+    else row.querySelector('[data-field-display="gain"]').textContent = this.formatGain(this.parametricBands[index].gain)
+
+    this.updateSongIndicator()
+  }
+
+  addBand() {
+    if (this.parametricBands.length >= MAX_PARAMETRIC_BANDS) return
+
+    this.parametricBands.push(newBand())
+    if (this.isConnected) this.syncFilters()
+    this.renderParametricBands()
+    this.scheduleResponseRender()
+  }
+
+  removeBand(event) {
+    if (this.parametricBands.length <= 1) return
+
+    const index = Number(event.currentTarget.closest("[data-band-index]").dataset.bandIndex)
+    this.parametricBands.splice(index, 1)
+    if (this.isConnected) this.syncFilters()
+    this.renderParametricBands()
+    this.scheduleResponseRender()
+  }
+
+  /**
+   * Show the editor for the current mode
+   */
+  renderMode() {
+    if (!this.hasGraphicEditorTarget || !this.hasParametricEditorTarget) return
+
+    const parametric = this.mode === "parametric"
+    this.graphicEditorTarget.classList.toggle("hidden", parametric)
+    this.parametricEditorTarget.classList.toggle("hidden", !parametric)
+
+    this.modeButtonTargets.forEach(button => {
+      const active = button.dataset.mode === this.mode
+      button.classList.toggle("bg-teal-600", active)
+      button.classList.toggle("text-white", active)
+      button.classList.toggle("text-gray-400", !active)
+      button.setAttribute("aria-pressed", active)
+    })
+  }
+
+  renderParametricBands() {
+    if (!this.hasBandListTarget || !this.hasBandTemplateTarget) return
+
+    this.bandListTarget.replaceChildren(...this.parametricBands.map((band, index) => {
+      const row = this.bandTemplateTarget.content.firstElementChild.cloneNode(true)
+      row.dataset.bandIndex = index
+      row.querySelector('[data-field-display="index"]').textContent = index + 1
+      this.renderBandRow(row, band)
+      return row
+    }))
+
+    if (this.hasAddBandButtonTarget) {
+      this.addBandButtonTarget.disabled = this.parametricBands.length >= MAX_PARAMETRIC_BANDS
+    }
+  }
+
+  renderBandRow(row, band) {
+    row.querySelector('[data-field="type"]').value = band.type
+    row.querySelector('[data-field="frequency"]').value = band.frequency
+    row.querySelector('[data-field="gain"]').value = band.gain
+    row.querySelector('[data-field="q"]').value = band.q
+    row.querySelector('[data-field-display="gain"]').textContent = this.formatGain(band.gain)
+
+    // Pass filters have no gain
+    row.querySelector('[data-field="gain"]').disabled = ["lowpass", "highpass", "notch"].includes(band.type)
+  }
+
+  formatGain(gain) {
+    return `${gain > 0 ? "+" : ""}${gain}dB`
+  }
+
+  // ========================
+  //  Response Graph
+  // ========================
+
+  /**
+   * Redraw the response graph on the next frame (many changes, one draw)
+   */
+  scheduleResponseRender() {
+    if (!this.hasResponseGraphTarget || this.responseFrame) return
+
+    this.responseFrame = requestAnimationFrame(() => {
+      this.responseFrame = null
+      this.renderResponse()
+    })
+  }
+
+  /**
+   * Draw the EQ curve and one node per band
+   * The curve comes from the live filter nodes; before the audio graph exists,
+   * from the same bands on a throwaway offline context.
+   */
+  renderResponse() {
+    const graph = this.responseGraphTarget
+    const width = graph.clientWidth
+    const height = graph.clientHeight
+    if (!width || !height) return
+
+    if (!this.graphResizeObserver) {
+      this.graphResizeObserver = new ResizeObserver(() => this.scheduleResponseRender())
+      this.graphResizeObserver.observe(graph)
+    }
+
+    graph.setAttribute("viewBox", `0 0 ${width} ${height}`)
+    this.graphSize = { width, height }
+
+    const points = Math.min(512, Math.max(64, Math.round(width / 2)))
+    const frequencies = Float32Array.from({ length: points }, (_, i) => this.xToFrequency((i / (points - 1)) * width))
+    const response = this.isConnected ? this.eqResponse(frequencies) : this.offlineResponse(frequencies)
+
+    this.responseCurveTarget.setAttribute("d", Array.from(response, (db, i) =>
+      `${i === 0 ? "M" : "L"}${((i / (points - 1)) * width).toFixed(1)},${this.gainToY(db).toFixed(1)}`
+    ).join(""))
+
+    // One node per band; pass filters and notches have no gain to drag
+    const bands = this.activeBands()
+    const nodes = this.responseNodesTarget
+    while (nodes.children.length > bands.length) nodes.lastElementChild.remove()
+    while (nodes.children.length < bands.length) {
+      const circle = document.createElementNS("http://www.w3.org/2000/svg", "circle")
+      circle.setAttribute("r", 6)
+      circle.setAttribute("fill", "#14b8a6")
+      circle.setAttribute("stroke", "#ffffff")
+      circle.setAttribute("stroke-width", 1.5)
+      circle.style.cursor = "grab"
+      circle.style.touchAction = "none"
+      nodes.appendChild(circle)
+    }
+
+    bands.forEach((band, index) => {
+      const circle = nodes.children[index]
+      const gainless = ["lowpass", "highpass", "notch"].includes(band.type)
+      circle.dataset.bandIndex = index
+      circle.setAttribute("cx", this.frequencyToX(band.frequency).toFixed(1))
+      circle.setAttribute("cy", this.gainToY(gainless ? 0 : band.gain).toFixed(1))
+      circle.setAttribute("fill-opacity", gainless ? 0.4 : 1)
+    })
+  }
+
+  /**
+   * Response of the active bands without a live audio graph
+   * @param {Float32Array} frequencies
+   * @returns {Float32Array} dB
+   */
+  offlineResponse(frequencies) {
+    this.graphContext ||= new OfflineAudioContext(1, 128, 44100)
+    const total = new Float32Array(frequencies.length)
+    const magnitude = new Float32Array(frequencies.length)
+    const phase = new Float32Array(frequencies.length)
+
+    this.activeBands().forEach(band => {
+      const filter = this.graphContext.createBiquadFilter()
+      this.setFilter(filter, band)
+      filter.getFrequencyResponse(frequencies, magnitude, phase)
+      magnitude.forEach((value, i) => { total[i] += 20 * Math.log10(Math.max(value, 1e-6)) })
+    })
+
+    return total
+  }
+
+  // 20 Hz – 20 kHz, log scale; ±15 dB
+  frequencyToX(frequency) {
+    return (Math.log10(frequency / 20) / 3) * this.graphSize.width
+  }
+
+  xToFrequency(x) {
+    return 20 * 1000 ** (x / (this.graphSize?.width || 1))
+  }
+
+  gainToY(gain) {
+    const clamped = Math.max(-15, Math.min(15, gain))
+    return (0.5 - clamped / 30) * this.graphSize.height
+  }
+
+  yToGain(y) {
+    return (0.5 - y / this.graphSize.height) * 30
+  }
+
+  /**
+   * Start dragging a band's node
+   * @param {PointerEvent} event - pointerdown on the graph
+   */
+  startNodeDrag(event) {
+    const index = event.target.dataset?.bandIndex
+    if (index === undefined) return
+
+    event.preventDefault()
+    event.target.setPointerCapture(event.pointerId)
+    this.draggedBand = Number(index)
+  }
+
+  /**
+   * @param {PointerEvent} event - pointermove on the graph
+   */
+  dragNode(event) {
+    if (this.draggedBand === undefined || this.draggedBand === null) return
+
+    const rect = this.responseGraphTarget.getBoundingClientRect()
+    const x = Math.max(0, Math.min(rect.width, event.clientX - rect.left))
+    const y = Math.max(0, Math.min(rect.height, event.clientY - rect.top))
+
+    if (this.mode === "parametric") {
+      // Vertical for gain, horizontal for frequency
+      const band = this.parametricBands[this.draggedBand]
+      this.parametricBands[this.draggedBand] = clampBand({
+        ...band,
+        frequency: this.xToFrequency(x),
+        gain: Math.round(this.yToGain(y) * 2) / 2
+      })
+      this.afterGraphEdit()
+    } else {
+      // Graphic bands have fixed frequencies and whole-dB steps like the sliders
+      this.setGraphicGain(this.draggedBand, Math.max(-12, Math.min(12, Math.round(this.yToGain(y)))))
+    }
+  }
+
+  endNodeDrag() {
+    this.draggedBand = null
+  }
+
+  /**
+   * Scroll on a parametric node to widen or narrow it
+   * @param {WheelEvent} event - wheel on the graph
+   */
+  adjustNodeQ(event) {
+    const index = event.target.dataset?.bandIndex
+    if (index === undefined || this.mode !== "parametric") return
+
+    event.preventDefault()
+    const band = this.parametricBands[Number(index)]
+    this.parametricBands[Number(index)] = clampBand({ ...band, q: band.q * (event.deltaY < 0 ? 1.1 : 1 / 1.1) })
+    this.afterGraphEdit()
+  }
+
+  /**
+   * Apply a parametric edit made on the graph and mirror it in the band list
+   */
+  afterGraphEdit() {
+    if (this.isConnected) this.syncFilters()
+    this.scheduleResponseRender()
+
+    if (this.hasBandListTarget) {
+      this.parametricBands.forEach((band, i) => {
+        const row = this.bandListTarget.children[i]
+        if (row) this.renderBandRow(row, band)
+      })
+    }
+    this.updateSongIndicator()
+  }
+
+  // ========================
+  //  User Presets
+  // ========================
+
+  /**
+   * Save what's playing now as a named preset
+   */
+  savePreset() {
+    if (!this.hasPresetNameTarget) return
+
+    const id = saveUserPreset(this.presetNameTarget.value, this.currentSetting())
+    if (!id) {
+      this.presetNameTarget.focus()
+      return
+    }
+
+    console.log("EQ: Saved preset", this.presetNameTarget.value)
+    this.presetNameTarget.value = ""
+    this.renderUserPresets()
+  }
+
+  /**
+   * Save with Enter in the name field
+   */
+  savePresetOnEnter(event) {
+    if (event.key !== "Enter") return
+    event.preventDefault()
+    this.savePreset()
+  }
+
+  applyUserPreset(event) {
+    const id = event.currentTarget.closest("[data-preset-id]").dataset.presetId
+    const preset = loadUserPresets().find(preset => preset.id === id)
+    if (preset) this.applySetting(preset.setting)
+  }
+
+  renamePreset(event) {
+    const id = event.currentTarget.closest("[data-preset-id]").dataset.presetId
+    const preset = loadUserPresets().find(preset => preset.id === id)
+    if (!preset) return
+
+    const name = prompt("Rename preset", preset.name)
+    if (name !== null && renameUserPreset(id, name)) this.renderUserPresets()
+  }
+
+  deletePreset(event) {
+    const id = event.currentTarget.closest("[data-preset-id]").dataset.presetId
+    const preset = loadUserPresets().find(preset => preset.id === id)
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return
+
+    deleteUserPreset(id)
+    this.renderUserPresets()
+  }
+
+  renderUserPresets() {
+    if (!this.hasUserPresetListTarget || !this.hasUserPresetTemplateTarget) return
+
+    this.userPresetListTarget.replaceChildren(...loadUserPresets().map(preset => {
+      const row = this.userPresetTemplateTarget.content.firstElementChild.cloneNode(true)
+      row.dataset.presetId = preset.id
+      row.querySelector('[data-field="name"]').textContent = preset.name
+      row.querySelector('[data-field="name"]').title = preset.setting.mode === "parametric"
+        ? `Parametric, ${preset.setting.bands.length} bands`
+        : "Graphic"
+      return row
+    }))
+  }
+
   /**
    * Reset to flat (no EQ)
    */
   reset() {
-    this.applyGains(this.presets["flat"])
+    this.applyGains(FLAT_GAINS)
 
     // If a song is playing, remove its saved settings
     if (this.currentSongUrl) {
       this.removeSongSettings()
     }
+
+    // Flat until the next song, even if an album/artist/genre default applies
+    this.settingSource = null
+    this.renderSettingSource()
+  }
+
+  /**
+   * Save the current EQ at the level picked next to the Save button
+   */
+  save() {
+    const scope = this.hasSaveScopeTarget ? this.saveScopeTarget.value : "song"
+
+    if (scope === "song") {
+      this.saveForSong()
+      return
+    }
+
+    const target = this.songLevels[scope]
+    if (scope !== "global" && !target) {
+      console.warn(`EQ: Current song has no ${scope} to save for`)
+      return
+    }
+
+    saveLevelDefault(scope, target?.id ?? null, this.currentSetting(), target?.name)
+    console.log(`EQ: Saved ${scope} default`, target ? `for ${target.name}` : "")
+
+    // A song's own setting still wins over the new default
+    if (!this.hasSavedSettings()) this.settingSource = scope
+    this.renderSettingSource()
+    this.showSaveFeedback()
+    this.updateTriggerIconColor()
+  }
+
+  /**
+   * Remove the album/artist/genre/global default the current EQ came from,
+   * then fall back to the next level down
+   */
+  clearSourceDefault() {
+    const level = this.settingSource
+    if (!level || level === "song") return
+
+    removeLevelDefault(level, this.songLevels[level]?.id ?? null)
+    console.log(`EQ: Removed ${level} default`)
+    this.loadSongSettings()
   }
 
   /**
@@ -566,17 +1759,19 @@ export default class extends Controller {
     // Use consistent storage key
     this.matchSongUrl = this.getStorageKey(this.currentSongUrl)
 
-    // Save current gains for this song
+    // Save current gains (or parametric bands) for this song
     settings[this.matchSongUrl] = {
-      gains: [...this.currentGains],
+      ...serializeSetting(this.currentSetting()),
       timestamp: Date.now()
     }
 
     // Save back to localStorage
-    localStorage.setItem("zuke_eq_settings", JSON.stringify(settings))
-    console.log("EQ: Saved settings for song:", this.matchSongUrl, "Gains:", this.currentGains)
+    writeSongSettings(settings)
+    console.log("EQ: Saved settings for song:", this.matchSongUrl, settings[this.matchSongUrl])
 
-    // Update indicator
+    // Update indicators
+    this.settingSource = "song"
+    this.renderSettingSource()
     this.updateSongIndicator()
 
     // Show feedback
@@ -584,9 +1779,7 @@ export default class extends Controller {
 
     // Dispatch event so song cards can update their indicators
     console.log("EQ: Dispatching equalizer:saved event for:", this.matchSongUrl)
-    document.dispatchEvent(new CustomEvent("equalizer:saved", {
-      detail: { url: this.currentSongUrl }
-    }))
+    emit("equalizer:saved", { url: this.currentSongUrl })
 
     // Update trigger icon color
     this.updateTriggerIconColor()
@@ -598,22 +1791,74 @@ export default class extends Controller {
   loadSongSettings() {
     if (!this.matchSongUrl) return
 
-    const settings = this.getEQSettings()
-    const songSettings = settings[this.matchSongUrl]
+    // The song's own setting, else its album's, artist's, genre's, else the global default
+    const { level, setting } = resolveSetting(this.levelKeys())
+    this.settingSource = level
 
-    if (songSettings && songSettings.gains) {
-      // Apply saved gains
-      this.applyGains(songSettings.gains)
-      console.log("EQ: Loaded saved settings for song")
+    if (setting) {
+      // Apply saved gains or parametric bands
+      this.applySetting(setting)
+      console.log("EQ: Loaded saved", setting.mode, "settings from", level)
     } else {
       // Reset to flat for songs without custom EQ
-      this.applyGains(this.presets["flat"])
+      this.applyGains(FLAT_GAINS)
     }
 
+    this.renderSettingSource()
+
     // Update trigger icon color
     this.updateTriggerIconColor()
   }
 
+  /**
+   * Storage keys for each level of the current song
+   * @returns {{song: ?string, album: ?string, artist: ?string, genre: ?string}}
+   */
+  levelKeys() {
+    return {
+      song: this.matchSongUrl,
+      album: this.songLevels.album?.id ?? null,
+      artist: this.songLevels.artist?.id ?? null,
+      genre: this.songLevels.genre?.id ?? null
+    }
+  }
+
+  /**
+   * Show where a curve that isn't the song's own came from
+   */
+  renderSettingSource() {
+    if (!this.hasSourceIndicatorTarget) return
+
+    const level = this.settingSource
+    const inherited = level && level !== "song"
+    this.sourceIndicatorTarget.classList.toggle("hidden", !inherited)
+    if (!inherited || !this.hasSourceLabelTarget) return
+
+    const name = this.songLevels[level]?.name
+    const labels = { album: "Album", artist: "Artist", genre: "Genre" }
+    this.sourceLabelTarget.textContent = level === "global"
+      ? "Default EQ"
+      : `${labels[level]} EQ${name ? `: ${name}` : ""}`
+  }
+
+  /**
+   * Label the Save options with the current song's album/artist/genre,
+   * disabling the ones it doesn't have
+   */
+  renderSaveScopes() {
+    if (!this.hasSaveScopeTarget) return
+
+    Array.from(this.saveScopeTarget.options).forEach(option => {
+      const level = this.songLevels[option.value]
+      if (option.value === "song" || option.value === "global") return
+
+      option.disabled = !level
+      option.textContent = level?.name ? `${option.dataset.label}: ${level.name}` : option.dataset.label
+    })
+
+    if (this.saveScopeTarget.selectedOptions[0]?.disabled) this.saveScopeTarget.value = "song"
+  }
+
   /**
    * Remove saved settings for current song
    */
@@ -622,14 +1867,12 @@ export default class extends Controller {
 
     const settings = this.getEQSettings()
     delete settings[this.matchSongUrl]
-    localStorage.setItem("zuke_eq_settings", JSON.stringify(settings))
+    writeSongSettings(settings)
 
     this.updateSongIndicator()
 
     // Dispatch event so song cards can update
-    document.dispatchEvent(new CustomEvent("equalizer:removed", {
-      detail: { url: this.matchSongUrl }
-    }))
+    emit("equalizer:removed", { url: this.matchSongUrl })
 
     // Update trigger icon color
     this.updateTriggerIconColor()
@@ -639,13 +1882,7 @@ export default class extends Controller {
    * Get EQ settings from localStorage
    */
   getEQSettings() {
-    try {
-      const json = localStorage.getItem("zuke_eq_settings")
-      return json ? JSON.parse(json) : {}
-    } catch (error) {
-      console.error("EQ: Error reading settings:", error)
-      return {}
-    }
+    return readSongSettings()
   }
 
   /**
@@ -677,8 +1914,12 @@ export default class extends Controller {
   updateTriggerIconColor() {
     if (!this.hasTriggerIconTarget) return
 
-    if (this.hasSavedSettings()) {
-      // Current song has custom EQ - make icon amber/gold
+    // Bypassed: dimmed, whatever the song has saved
+    this.triggerIconTarget.classList.toggle("opacity-40", this.isBypassed)
+    if (this.hasTriggerTarget) this.triggerTarget.title = this.isBypassed ? "Equalizer (bypassed)" : "Equalizer"
+
+    if (resolveSetting(this.levelKeys()).level) {
+      // Current song has custom EQ (its own or a default) - make icon amber/gold
       this.triggerIconTarget.classList.remove("text-white")
       this.triggerIconTarget.classList.add("text-amber-400")
       console.log("EQ: Icon color changed to amber (custom EQ active)")
@@ -0,0 +1,155 @@
+// app/javascript/controllers/music/headphone-correction_controller.js
+import { Controller } from "@hotwired/stimulus"
+import {
+  parseEqualizerApo,
+  loadHeadphoneProfiles,
+  activeHeadphoneProfile,
+  saveHeadphoneProfile,
+  deleteHeadphoneProfile,
+  setActiveHeadphoneProfile
+} from "zuke/headphone_profiles"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Headphone Correction Controller
+ *
+ * Imports AutoEQ `ParametricEQ.txt` / Equalizer APO configs (pasted or from
+ * a file) and lets the listener switch between profiles for different
+ * headphones, or turn correction off.
+ *
+ * The equalizer applies the active profile beneath the per-song EQ; this
+ * controller tells it about changes with `equalizer:correction:changed`.
+ */
+export default class extends Controller {
+  static targets = ["panel", "text", "file", "name", "error", "list", "empty", "offOption", "itemTemplate"]
+
+  connect() {
+    this.render()
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Show the profiles another device saved (see zuke/preferences_sync)
+   * The equalizer re-applies the active one itself.
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (event.detail.keys.includes("zuke_headphone_profiles")) this.render()
+  }
+
+  // ========================
+  //  Panel
+  // ========================
+
+  open() {
+    this.panelTarget.classList.remove("hidden")
+    this.render()
+  }
+
+  close() {
+    this.panelTarget.classList.add("hidden")
+    this.showError("")
+  }
+
+  /**
+   * Close when clicking the backdrop (not the panel itself)
+   */
+  closeOnBackdrop(event) {
+    if (event.target === this.panelTarget) this.close()
+  }
+
+  // ========================
+  //  Importing
+  // ========================
+
+  /**
+   * Read a chosen file into the text box, naming the profile after it
+   */
+  async loadFile() {
+    const file = this.fileTarget.files[0]
+    if (!file) return
+
+    this.textTarget.value = await file.text()
+    if (!this.nameTarget.value.trim()) {
+      this.nameTarget.value = file.name.replace(/\.txt$/i, "").replace(/\s*ParametricEQ$/i, "")
+    }
+    this.fileTarget.value = ""
+  }
+
+  import() {
+    let parsed
+    try {
+      parsed = parseEqualizerApo(this.textTarget.value)
+    } catch (error) {
+      this.showError(error.message)
+      return
+    }
+
+    const name = this.nameTarget.value.trim() || "Headphones"
+    saveHeadphoneProfile(name, parsed)
+    console.log(`🎧 CORRECTION: Imported "${name}" (${parsed.filters.length} filters, preamp ${parsed.preamp} dB)`)
+
+    this.textTarget.value = ""
+    this.nameTarget.value = ""
+    this.showError("")
+    this.announceChange()
+  }
+
+  // ========================
+  //  Profiles
+  // ========================
+
+  /**
+   * @param {Event} event - change on a profile's radio button (value is the id, "" for off)
+   */
+  activate(event) {
+    setActiveHeadphoneProfile(event.target.value || null)
+    this.announceChange()
+  }
+
+  remove(event) {
+    const id = event.currentTarget.closest("li").dataset.profileId
+    deleteHeadphoneProfile(id)
+    this.announceChange()
+  }
+
+  /**
+   * Tell the equalizer which profile is active, then redraw
+   */
+  announceChange() {
+    emit("equalizer:correction:changed", { profile: activeHeadphoneProfile() })
+    this.render()
+  }
+
+  render() {
+    const { activeId, profiles } = loadHeadphoneProfiles()
+
+    this.listTarget.replaceChildren(...profiles.map(profile => {
+      const row = this.itemTemplateTarget.content.firstElementChild.cloneNode(true)
+      row.dataset.profileId = profile.id
+
+      const radio = row.querySelector('input[type="radio"]')
+      radio.value = profile.id
+      radio.checked = profile.id === activeId
+
+      row.querySelector('[data-field="name"]').textContent = profile.name
+      row.querySelector('[data-field="summary"]').textContent =
+        `${profile.filters.length} filters · preamp ${profile.preamp > 0 ? "+" : ""}${profile.preamp} dB`
+      return row
+    }))
+
+    this.offOptionTarget.checked = !activeId
+    this.emptyTarget.classList.toggle("hidden", profiles.length > 0)
+  }
+
+  showError(message) {
+    this.errorTarget.textContent = message
+    this.errorTarget.classList.toggle("hidden", !message)
+  }
+}
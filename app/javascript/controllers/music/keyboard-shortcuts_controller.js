@@ -0,0 +1,141 @@
+// app/javascript/controllers/music/keyboard-shortcuts_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Keyboard Shortcuts Controller
+ *
+ * Global keyboard control for the Zuke player. Each shortcut dispatches the
+ * same `player:*` event the on-screen controls and Media Session use, so the
+ * player doesn't need to know where a command came from.
+ *
+ * Shortcuts are ignored while typing (search box, Trix editors, any form
+ * field) and when a modifier key is held, so browser shortcuts still work.
+ * "?" opens a cheat sheet listing every shortcut.
+ */
+
+const SEEK_SECONDS = 5
+const LONG_SEEK_SECONDS = 15
+
+export default class extends Controller {
+  static targets = ["overlay"]
+
+  connect() {
+    this.playing = false
+    this.boundHandleState = (event) => { this.playing = event.detail.playing }
+    on("player:state:changed", this.boundHandleState)
+  }
+
+  disconnect() {
+    off("player:state:changed", this.boundHandleState)
+  }
+
+  /**
+   * Route a keydown to its player command
+   * @param {KeyboardEvent} event - keydown on document
+   */
+  handleKeydown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return
+    if (this.isTyping(event.target)) return
+
+    // Escape only closes the cheat sheet
+    if (event.key === "Escape") {
+      if (this.isOpen) this.close()
+      return
+    }
+
+    if (event.key === "?") {
+      event.preventDefault()
+      this.toggle()
+      return
+    }
+
+    // Space on a focused button or link should click it, not toggle playback
+    if (event.key === " " && event.target.closest?.("button, a, [role='button'], [role='switch']")) return
+
+    const command = this.commandFor(event)
+    if (!command) return
+
+    event.preventDefault()
+    if (event.repeat && !command.repeatable) return
+
+    emit(command.name, command.detail)
+  }
+
+  /**
+   * Player event for a key, or null if the key isn't a shortcut
+   * @param {KeyboardEvent} event
+   * @returns {?{name: string, detail: ?Object, repeatable: boolean}}
+   */
+  commandFor(event) {
+    const seconds = event.shiftKey ? LONG_SEEK_SECONDS : SEEK_SECONDS
+
+    switch (event.key) {
+      case " ":
+      case "k":
+      case "K":
+        return { name: this.playing ? "player:pause" : "player:play", detail: null, repeatable: false }
+      case "ArrowRight":
+        return { name: "player:seek:forward", detail: { seconds }, repeatable: true }
+      case "ArrowLeft":
+        return { name: "player:seek:backward", detail: { seconds }, repeatable: true }
+      case "n":
+      case "N":
+        return { name: "player:next:requested", detail: { source: "keyboard" }, repeatable: false }
+      case "p":
+      case "P":
+        return { name: "player:prev:requested", detail: { source: "keyboard" }, repeatable: false }
+      case "m":
+      case "M":
+        return { name: "player:mute:toggle", detail: null, repeatable: false }
+      case "s":
+      case "S":
+        return { name: "player:shuffle:toggle", detail: null, repeatable: false }
+      case "r":
+      case "R":
+        return { name: "player:repeat:toggle", detail: null, repeatable: false }
+      default:
+        return null
+    }
+  }
+
+  /**
+   * Whether the listener is typing somewhere shortcuts would get in the way
+   * @param {EventTarget} target
+   * @returns {boolean}
+   */
+  isTyping(target) {
+    if (!(target instanceof Element)) return false
+
+    return target.isContentEditable ||
+      target.matches("input, textarea, select") ||
+      !!target.closest("trix-editor, [data-controller~='music--search']")
+  }
+
+  // ========================
+  //  Cheat Sheet
+  // ========================
+
+  get isOpen() {
+    return !this.overlayTarget.classList.contains("hidden")
+  }
+
+  toggle() {
+    this.isOpen ? this.close() : this.open()
+  }
+
+  open() {
+    this.overlayTarget.classList.remove("hidden")
+  }
+
+  close() {
+    this.overlayTarget.classList.add("hidden")
+  }
+
+  /**
+   * Close when clicking the backdrop (not the sheet itself)
+   */
+  closeOnBackdrop(event) {
+    if (event.target === this.overlayTarget) this.close()
+  }
+}
@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { emit, on } from "zuke/player_events"
 
 /**
  * Media Session Controller
@@ -35,45 +36,37 @@ export default class extends Controller {
       // Play action
       navigator.mediaSession.setActionHandler('play', () => {
         console.log("🎵 MEDIA SESSION: Play action triggered")
-        document.dispatchEvent(new CustomEvent("player:play"))
+        emit("player:play")
       })
 
       // Pause action
       navigator.mediaSession.setActionHandler('pause', () => {
         console.log("🎵 MEDIA SESSION: Pause action triggered")
-        document.dispatchEvent(new CustomEvent("player:pause"))
+        emit("player:pause")
       })
 
       // Previous track
       navigator.mediaSession.setActionHandler('previoustrack', () => {
         console.log("🎵 MEDIA SESSION: Previous track action triggered")
-        document.dispatchEvent(new CustomEvent("player:prev:requested", {
-          detail: { source: 'media-session' }
-        }))
+        emit("player:prev:requested", { source: 'media-session' })
       })
 
       // Next track
       navigator.mediaSession.setActionHandler('nexttrack', () => {
         console.log("🎵 MEDIA SESSION: Next track action triggered")
-        document.dispatchEvent(new CustomEvent("player:next:requested", {
-          detail: { source: 'media-session' }
-        }))
+        emit("player:next:requested", { source: 'media-session' })
       })
 
       // Seek backward (optional - 10 seconds)
       navigator.mediaSession.setActionHandler('seekbackward', (details) => {
         console.log("🎵 MEDIA SESSION: Seek backward action triggered")
-        document.dispatchEvent(new CustomEvent("player:seek:backward", {
-          detail: { seconds: details.seekOffset || 10 }
-        }))
+        emit("player:seek:backward", { seconds: details.seekOffset || 10 })
       })
 
       // Seek forward (optional - 10 seconds)
       navigator.mediaSession.setActionHandler('seekforward', (details) => {
         console.log("🎵 MEDIA SESSION: Seek forward action triggered")
-        document.dispatchEvent(new CustomEvent("player:seek:forward", {
-          detail: { seconds: details.seekOffset || 10 }
-        }))
+        emit("player:seek:forward", { seconds: details.seekOffset || 10 })
       })
 
       console.log("🎵 MEDIA SESSION: Action handlers configured successfully")
@@ -87,12 +80,12 @@ export default class extends Controller {
    */
   setupEventListeners() {
     // Update metadata when track changes
-    document.addEventListener("player:play-requested", (event) => {
+    on("player:play-requested", (event) => {
       this.updateMetadata(event.detail)
     })
 
     // Also update metadata when audio actually changes (covers auto-advance cases)
-    document.addEventListener("audio:changed", (event) => {
+    on("audio:changed", (event) => {
       // Only update if we have the full metadata (from player:play-requested)
       // This event might fire before metadata is available
       if (this.currentMetadata) {
@@ -101,12 +94,12 @@ export default class extends Controller {
     })
 
     // Update playback state
-    document.addEventListener("player:state:changed", (event) => {
+    on("player:state:changed", (event) => {
       this.updatePlaybackState(event.detail.playing)
     })
 
     // Update position state
-    document.addEventListener("player:time:update", (event) => {
+    on("player:time:update", (event) => {
       this.updatePositionState(event.detail)
     })
   }
@@ -167,16 +160,17 @@ export default class extends Controller {
   }
 
   /**
-   * Update position state (current time / duration)
+   * Update position state (current time / duration / speed)
+   * The lock screen uses playbackRate to advance the position between updates
    */
-  updatePositionState({ current, duration }) {
+  updatePositionState({ current, duration, rate }) {
     if (!('mediaSession' in navigator)) return
     if (!('setPositionState' in navigator.mediaSession)) return
 
     try {
       navigator.mediaSession.setPositionState({
         duration: duration || 0,
-        playbackRate: 1.0,
+        playbackRate: rate || 1.0,
         position: current || 0
       })
     } catch (error) {
@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { savePreference } from "zuke/preferences_sync"
+import { emit, on, off } from "zuke/player_events"
 
 /**
  * Mobile EQ Toggle Controller
@@ -6,6 +8,9 @@ import { Controller } from "@hotwired/stimulus"
  * Manages the localStorage setting for enabling/disabling EQ on mobile devices.
  * When enabled: User gets EQ functionality but loses background playback
  * When disabled: User gets background playback but no EQ
+ *
+ * A toggle takes effect straight away: the equalizer listens for
+ * `mobile-eq:toggled` and attaches to (or detaches from) the playing track.
  */
 export default class extends Controller {
   static targets = ["thumb"]
@@ -23,6 +28,29 @@ export default class extends Controller {
     // Load saved state from localStorage (default: false/disabled)
     const enabled = localStorage.getItem("mobileEQEnabled") === "true"
     this.updateUI(enabled)
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    if (this.boundHandlePreferencesSynced) off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Show the mobile EQ setting another device saved (see zuke/preferences_sync)
+   * Only the toggle changes: syncs run from timers and network events, and the
+   * equalizer may only attach inside a tap (mobile browsers start an
+   * AudioContext created elsewhere suspended, silencing the track). The saved
+   * setting takes effect on the next toggle or reload.
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (!event.detail.keys.includes("mobileEQEnabled")) return
+
+    const enabled = localStorage.getItem("mobileEQEnabled") === "true"
+    this.updateUI(enabled)
+    console.log("Mobile EQ synced from another device:", enabled, "(applies on next toggle or reload)")
   }
 
   /**
@@ -45,19 +73,14 @@ export default class extends Controller {
     const newState = !currentState
 
     // Save to localStorage
-    localStorage.setItem("mobileEQEnabled", newState.toString())
+    savePreference("mobileEQEnabled", newState.toString())
     console.log("Mobile EQ toggled:", newState)
 
     // Update UI
     this.updateUI(newState)
 
-    // Dispatch event so other controllers know the setting changed
-    document.dispatchEvent(new CustomEvent("mobile-eq:toggled", {
-      detail: { enabled: newState }
-    }))
-
-    // Show warning message
-    this.showWarning(newState)
+    // Dispatch event so the equalizer can attach or detach now
+    emit("mobile-eq:toggled", { enabled: newState })
   }
 
   /**
@@ -74,19 +97,4 @@ export default class extends Controller {
       this.element.setAttribute("aria-checked", "false")
     }
   }
-
-  /**
-   * Show warning message when toggling
-   */
-  showWarning(enabled) {
-    const message = enabled
-      ? "EQ enabled! Background playback will stop when screen locks. Reload the page for this change to take effect."
-      : "EQ disabled! Background playback restored. Reload the page for this change to take effect."
-
-    // Dispatch event for a toast notification (if you have one)
-    // Or just use alert for now
-    if (confirm(message + "\n\nReload now?")) {
-      window.location.reload()
-    }
-  }
 }
@@ -0,0 +1,70 @@
+// app/javascript/controllers/music/normalization_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { loadNormalizationSettings, saveNormalizationSettings } from "zuke/loudness"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Normalization Controller
+ *
+ * Settings menu control for loudness normalization:
+ * - Mode: Off / Track / Album
+ * - Target loudness in LUFS
+ *
+ * The equalizer applies the gain; this controller saves the preference
+ * and announces it with `player:normalization:changed`.
+ */
+export default class extends Controller {
+  static targets = ["mode", "target"]
+
+  connect() {
+    const { mode, targetLufs } = loadNormalizationSettings()
+    this.modeTarget.value = mode
+    this.targetTarget.value = targetLufs
+    this.updateTargetState()
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Pick up normalization settings another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    const { keys } = event.detail
+    if (!keys.includes("playerNormalization") && !keys.includes("playerTargetLufs")) return
+
+    const settings = loadNormalizationSettings()
+    this.modeTarget.value = settings.mode
+    this.targetTarget.value = settings.targetLufs
+    this.updateTargetState()
+
+    emit("player:normalization:changed", settings)
+  }
+
+  /**
+   * Mode or target changed
+   */
+  change() {
+    const settings = {
+      mode: this.modeTarget.value,
+      targetLufs: Number(this.targetTarget.value)
+    }
+
+    saveNormalizationSettings(settings)
+    this.updateTargetState()
+
+    emit("player:normalization:changed", settings)
+  }
+
+  /**
+   * The target only matters while normalization is on
+   */
+  updateTargetState() {
+    this.targetTarget.disabled = this.modeTarget.value === "off"
+  }
+}
@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { savePreference } from "zuke/preferences_sync"
+import { emit, on, off } from "zuke/player_events"
 
 export default class extends Controller {
   static classes = ["active", "inactive"]
@@ -14,18 +16,33 @@ export default class extends Controller {
     
     // Initialize player state
     this.dispatchPlayOnLoadState()
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Pick up the play on load setting another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (!event.detail.keys.includes("audioPlayOnLoad")) return
+
+    this.activeValue = localStorage.getItem("audioPlayOnLoad") === "true"
   }
 
   toggle() {
     this.activeValue = !this.activeValue
-    localStorage.setItem("audioPlayOnLoad", this.activeValue)
+    savePreference("audioPlayOnLoad", this.activeValue)
     this.dispatchPlayOnLoadState()
   }
 
   dispatchPlayOnLoadState() {
-    document.dispatchEvent(new CustomEvent("player:play-on-load:changed", {
-      detail: { enabled: this.activeValue }
-    }))
+    emit("player:play-on-load:changed", { enabled: this.activeValue })
   }
 
   activeValueChanged() {
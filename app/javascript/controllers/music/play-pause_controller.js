@@ -1,26 +1,27 @@
 // app/javascript/controllers/play_pause_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { emit, on, off } from "zuke/player_events"
 
 export default class extends Controller {
   static targets = ["playButton", "pauseButton"]
   
   connect() {
     this.boundToggle = this.toggleButtons.bind(this)
-    document.addEventListener("player:state:changed", this.boundToggle)
+    on("player:state:changed", this.boundToggle)
   }
   
   disconnect() {
-    document.removeEventListener("player:state:changed", this.boundToggle)
+    off("player:state:changed", this.boundToggle)
   }
   
   play() {
     // this.toggleButtons({ detail: { playing: true } })
-    document.dispatchEvent(new CustomEvent("player:play"))
+    emit("player:play")
   }
   
   pause() {
     // this.toggleButtons({ detail: { playing: false } })
-    document.dispatchEvent(new CustomEvent("player:pause"))
+    emit("player:pause")
   }
   
   toggleButtons(event) {
@@ -0,0 +1,135 @@
+// app/javascript/controllers/music/playback-rate_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Playback Rate Controller
+ *
+ * Settings menu controls for practice and listening speed:
+ * - Speed (0.5x-2x), remembered per song by the player
+ * - Preserve pitch while changing speed
+ * - Pitch shift in semitones, independent of speed
+ *
+ * Sends `player:playback-rate:set` and mirrors `player:playback-rate:changed`,
+ * which the player dispatches on every track change. Pitch shift runs in the
+ * equalizer's Web Audio graph, so it's only offered while that is active.
+ */
+export default class extends Controller {
+  static targets = ["rateSlider", "rateValue", "preservePitchToggle", "pitchSlider", "pitchValue", "pitchHint"]
+  static classes = ["active", "inactive"]
+
+  connect() {
+    this.state = { rate: 1, semitones: 0, preservePitch: true }
+
+    this.boundHandleChange = this.handleChange.bind(this)
+    this.boundHandleEqualizerReady = () => this.setPitchAvailable(true)
+    this.boundHandleEqualizerDetached = () => this.setPitchAvailable(false)
+    on("player:playback-rate:changed", this.boundHandleChange)
+    on("equalizer:ready", this.boundHandleEqualizerReady)
+    on("equalizer:detached", this.boundHandleEqualizerDetached)
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+
+    this.setPitchAvailable(this.equalizerConnected())
+    emit("player:playback-rate:request")
+  }
+
+  disconnect() {
+    off("player:playback-rate:changed", this.boundHandleChange)
+    off("equalizer:ready", this.boundHandleEqualizerReady)
+    off("equalizer:detached", this.boundHandleEqualizerDetached)
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Pick up speed and pitch settings another device saved (see zuke/preferences_sync)
+   * The player owns them; it re-reads them and answers with player:playback-rate:changed.
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    const { keys } = event.detail
+    if (!keys.includes("playerPreservePitch") && !keys.includes("zuke_playback_settings")) return
+
+    emit("player:playback-rate:reload")
+  }
+
+  /**
+   * Speed slider moved
+   */
+  updateRate() {
+    this.set({ rate: Number(this.rateSliderTarget.value) })
+  }
+
+  /**
+   * Speed label clicked: back to 1x
+   */
+  resetRate() {
+    this.set({ rate: 1 })
+  }
+
+  togglePreservePitch() {
+    this.set({ preservePitch: !this.state.preservePitch })
+  }
+
+  /**
+   * Pitch slider moved
+   */
+  updatePitch() {
+    this.set({ semitones: Number(this.pitchSliderTarget.value) })
+  }
+
+  /**
+   * Pitch label clicked: back to the original key
+   */
+  resetPitch() {
+    this.set({ semitones: 0 })
+  }
+
+  set(changes) {
+    emit("player:playback-rate:set", changes)
+  }
+
+  /**
+   * @param {CustomEvent} event - player:playback-rate:changed { rate, semitones, preservePitch }
+   */
+  handleChange(event) {
+    const { rate, semitones, preservePitch } = event.detail
+    this.state = { rate, semitones, preservePitch }
+    this.render()
+  }
+
+  render() {
+    const { rate, semitones, preservePitch } = this.state
+
+    this.rateSliderTarget.value = rate
+    this.rateValueTarget.textContent = `${rate.toFixed(2)}x`
+
+    this.preservePitchToggleTarget.classList.toggle(this.activeClass, preservePitch)
+    this.preservePitchToggleTarget.classList.toggle(this.inactiveClass, !preservePitch)
+    this.preservePitchToggleTarget.setAttribute("aria-checked", preservePitch)
+
+    this.pitchSliderTarget.value = semitones
+    this.pitchValueTarget.textContent = semitones === 0 ? "0 st" : `${semitones > 0 ? "+" : ""}${semitones} st`
+  }
+
+  /**
+   * @param {boolean} available - Whether the equalizer's audio graph is running
+   */
+  setPitchAvailable(available) {
+    this.pitchSliderTarget.disabled = !available
+    this.pitchHintTarget.classList.toggle("hidden", available)
+  }
+
+  equalizerConnected() {
+    const eqElement = document.querySelector('[data-controller*="music--equalizer"]')
+    if (!eqElement) return false
+
+    const eqController = this.application.getControllerForElementAndIdentifier(
+      eqElement,
+      "music--equalizer"
+    )
+
+    return !!eqController?.isConnected
+  }
+}
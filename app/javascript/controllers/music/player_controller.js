@@ -1,6 +1,44 @@
 import { Controller } from "@hotwired/stimulus"
 import WaveSurfer from "wavesurfer.js"
 import Hls from "hls.js"
+import PlayQueue from "zuke/play_queue"
+import PlayHistory from "zuke/play_history"
+import ShuffleCycle from "zuke/smart_shuffle"
+import ListeningHistory from "zuke/listening_history"
+import { loadSession, saveSession } from "zuke/player_session"
+import { estimateLoudnessFromPeaks, estimateLoudnessFromAudio } from "zuke/loudness"
+import { isDownloaded, offlineUrlFor, cachedResponse } from "zuke/offline_store"
+import { getCachedPeaks, putCachedPeaks } from "zuke/peaks_cache"
+import { fetchAudio, generatePeaks, PEAKS_PER_SECOND } from "zuke/waveform_generator"
+import {
+  SLEEP_TIMER_OFF,
+  createSleepTimer,
+  loadSleepTimer,
+  saveSleepTimer,
+  sleepTimerRemaining,
+  sleepFadeLevel
+} from "zuke/sleep_timer"
+import {
+  loadSongPlayback,
+  saveSongPlayback,
+  loadPreservePitch,
+  savePreservePitch,
+  clampRate,
+  clampSemitones
+} from "zuke/playback_rate"
+import { emit, on } from "zuke/player_events"
+
+// Seconds before a transition starts that the next track begins buffering
+const TRANSITION_PRELOAD_SECONDS = 10
+
+// Gapless: how close to the end we schedule the next track's start
+const GAPLESS_LOOKAHEAD_SECONDS = 0.35
+
+// Past this point Previous restarts the song instead of going back
+const RESTART_THRESHOLD_SECONDS = 3
+
+// Generated waveforms are thinned to this many peaks before upload (matches the server limit)
+const MAX_UPLOADED_PEAKS = 50000
 
 /**
  * Global Audio Player Controller
@@ -8,6 +46,16 @@ import Hls from "hls.js"
  * Manages core audio playback functionality including:
  * - WaveSurfer initialization and management
  * - Track loading and playback control
+ * - Manual "Up Next" queue on top of the song list
+ * - Resuming the last session after a reload or PWA relaunch
+ * - Crossfade and gapless transitions using a second media element
+ * - Reporting track loudness for normalization
+ * - Playing downloaded copies when the network is gone
+ * - Generating waveforms in the browser for songs without one
+ * - Sleep timer that fades out and stops playback
+ * - Per-song playback speed and pitch shift
+ * - A–B loop regions for practice
+ * - Listening history and play counts for signed-in listeners
  * - Event handling and state management
  * - Error handling and recovery
  */
@@ -34,6 +82,11 @@ export default class extends Controller {
     shuffle: { type: Boolean, default: false },
     repeatMode: { type: String, default: "off" }, // 'off', 'all', 'one'
     waveformUrl: { type: String, default: "" }, // Added for SoundCloud waveforms
+    crossfade: { type: Number, default: 0 }, // Seconds of overlap between tracks (0-12)
+    gapless: { type: Boolean, default: false }, // Start the next track right at the end (when crossfade is 0)
+    waveformUploadPath: { type: String, default: "" }, // Admins only: where generated waveforms are sent ("SONG_ID" is replaced)
+    listensUrl: { type: String, default: "" }, // Signed-in listeners only: where listening history is sent
+    listenerId: { type: String, default: "" }, // Whose listens are queued on this device
   }
 
 
@@ -76,42 +129,57 @@ export default class extends Controller {
     const repeatMode = localStorage.getItem("playerRepeat") || (autoAdvance ? "all" : "off");
     this.repeatModeValue = repeatMode;
 
+    this.crossfadeValue = Number(localStorage.getItem("playerCrossfade")) || 0;
+    this.gaplessValue = localStorage.getItem("playerGapless") === "true";
+
     // 2. Initialize queue state
     this.currentQueue = [];
     this.currentIndex = -1;
     this.currentUrl = null;
-    this.recentlyPlayed = []; // Track recently played songs for shuffle
+    this.currentSong = null;
+    this.shuffle = new ShuffleCycle(); // Shuffle order: every song once per cycle, artists spread out
+    this.upNext = new PlayQueue(); // Manual "Up Next" songs, played before the list
+    this.playingFromUpNext = false;
+    this.history = new PlayHistory(); // What actually played, for Previous/Next
+    this.transition = null; // Next track being prepared on the spare media element
+    this.fadingOut = null;  // Previous track still fading out after a crossfade
+    this.sleepTimer = loadSleepTimer(); // Survives Turbo navigations (sessionStorage)
+    this.sleepLevel = 1;
+    this.playbackRate = 1;   // Per song, loaded on each track change
+    this.pitchSemitones = 0; // Per song, applied by the equalizer
+    this.preservePitch = loadPreservePitch();
+    this.loop = null; // A–B loop { start, end, enabled } on the current track
+    this.listening = this.listensUrlValue
+      ? new ListeningHistory({ url: this.listensUrlValue, userId: this.listenerIdValue })
+      : null; // Guests' listens aren't recorded
+    this.listening?.connect();
 
     // 3. Sync initial states
-    document.dispatchEvent(new CustomEvent("player:auto-advance:changed", {
-      detail: { enabled: this.autoAdvanceValue }
-    }));
+    emit("player:auto-advance:changed", { enabled: this.autoAdvanceValue });
+
+    emit("player:play-on-load:changed", { enabled: this.playOnLoadValue });
+
+    emit("player:shuffle:changed", { enabled: this.shuffleValue });
+
+    emit("player:crossfade:changed", { seconds: this.crossfadeValue, gapless: this.gaplessValue });
 
-    document.dispatchEvent(new CustomEvent("player:play-on-load:changed", {
-      detail: { enabled: this.playOnLoadValue }
-    }));
+    if (this.sleepTimer.mode !== "off") this.startSleepTicker();
+    this.dispatchSleepTimerChange();
 
-    document.dispatchEvent(new CustomEvent("player:shuffle:changed", {
-      detail: { enabled: this.shuffleValue }
-    }));
+    // 4. Pick up the last session once the song list has sent fresh song data
+    // (signed audio URLs in the saved copy may have expired). Restore anyway
+    // if no song list shows up.
+    this.pendingSession = loadSession()
+    if (this.pendingSession) {
+      console.log("🎵 PLAYER: Saved session found for", this.pendingSession.song.title)
+      this.restoreTimeout = setTimeout(() => this.restoreSession([]), 1000)
+    }
 
-    // 4. REQUEST queue from song-list controller
+    // 5. REQUEST queue from song-list controller
     console.log("🎵 PLAYER: Requesting queue from song-list controller")
     setTimeout(() => {
-      document.dispatchEvent(new CustomEvent("player:queue:request"))
+      emit("player:queue:request")
     }, 50)
-
-    // 5. Queue listener remains important!
-    document.addEventListener("player:queue:updated", (event) => {
-      
-      // Improved queue update with validation
-      this.currentQueue = Array.isArray(event.detail.queue) ? event.detail.queue : [];
-      
-      // More robust index finding
-      this.currentIndex = this.currentQueue.findIndex(song => {
-        return song?.url === this.currentUrl;
-      });
-    });
   }
 
   /**
@@ -119,7 +187,12 @@ export default class extends Controller {
    * Stops playback and destroys WaveSurfer instance
    */
   disconnect() {
+    clearTimeout(this.restoreTimeout)
+    this.stopSleepTicker()
+    this.persistSession()
+    this.listening?.disconnect()
     this.destroyWaveSurfer()
+    if (this.generatedAudioUrl) URL.revokeObjectURL(this.generatedAudioUrl)
   }
 
   // ========================
@@ -190,15 +263,8 @@ export default class extends Controller {
         crossOrigin: "anonymous"
       })
 
-      // Force crossOrigin on the media element
-      const media = this.wavesurfer.getMediaElement()
-      if (media) {
-        media.crossOrigin = "anonymous"
-        // Critical for iOS background audio and inline playback
-        media.setAttribute("playsinline", "")
-        media.setAttribute("webkit-playsinline", "")
-      }
-      
+      this.prepareMediaElement(this.wavesurfer.getMediaElement())
+
       this.setupWaveSurferEvents()
     } catch (error) {
       console.error("WaveSurfer initialization failed:", error)
@@ -206,6 +272,20 @@ export default class extends Controller {
     }
   }
 
+  /**
+   * Configure an audio element for playback
+   * @param {?HTMLMediaElement} media
+   */
+  prepareMediaElement(media) {
+    if (!media) return
+
+    // Force crossOrigin on the media element
+    media.crossOrigin = "anonymous"
+    // Critical for iOS background audio and inline playback
+    media.setAttribute("playsinline", "")
+    media.setAttribute("webkit-playsinline", "")
+  }
+
   /**
    * Set up WaveSurfer event listeners
    * Handles playback state changes, loading progress, and errors
@@ -223,6 +303,10 @@ export default class extends Controller {
 
     // Time updates
     this.wavesurfer.on("timeupdate", this.updateTimeDisplay.bind(this))
+    this.wavesurfer.on("timeupdate", this.handleSessionTimeUpdate.bind(this))
+    this.wavesurfer.on("timeupdate", this.handleTransitionTimeUpdate.bind(this))
+    this.wavesurfer.on("timeupdate", this.handleLoopTimeUpdate.bind(this))
+    this.wavesurfer.on("timeupdate", this.handleListeningTimeUpdate.bind(this))
   }
 
   /**
@@ -269,8 +353,8 @@ export default class extends Controller {
    */
   setupEventListeners() {
     // Existing listeners
-    window.addEventListener("player:play-requested", this.handlePlayRequest.bind(this));
-    document.addEventListener("player:play", () => {
+    on("player:play-requested", this.handlePlayRequest.bind(this));
+    on("player:play", () => {
       const playPromise = this.wavesurfer.play()
       if (playPromise !== undefined) {
         playPromise.catch((error) => {
@@ -278,70 +362,143 @@ export default class extends Controller {
         })
       }
     });
-    document.addEventListener("player:pause", () => this.wavesurfer.pause());
+    on("player:pause", () => {
+      // While another tab plays, this tab's controls steer that one
+      if (this.tabSyncController()?.forward("pause")) return
+      this.wavesurfer.pause()
+    });
+    on("player:mute:toggle", () => this.toggleMute());
 
-    document.addEventListener("player:auto-advance:changed", (event) => {
+    on("player:auto-advance:changed", (event) => {
       this.autoAdvanceValue = event.detail.enabled
     })
 
-    document.addEventListener("player:play-on-load:changed", (event) => {
+    on("player:play-on-load:changed", (event) => {
       this.playOnLoadValue = event.detail.enabled
     })
 
-    document.addEventListener("player:shuffle:changed", (event) => {
-      this.shuffleValue = event.detail.enabled
+    on("player:shuffle:changed", (event) => {
+      const { enabled, seed } = event.detail
+      const seedChanged = Number.isInteger(seed) && seed >>> 0 !== this.shuffle.seed
+
+      // Turning shuffle on (or a new seed) starts a fresh cycle; repeated
+      // announcements of the same state keep the current one
+      if (seedChanged || (enabled && !this.shuffleValue)) {
+        this.shuffle = new ShuffleCycle({ seed })
+      }
+
+      this.shuffleValue = enabled
+      this.cancelTransition()
+      this.dispatchUpNextChange()
     })
 
-    document.addEventListener("player:repeat:changed", (event) => {
+    on("player:repeat:changed", (event) => {
       this.repeatModeValue = event.detail.mode
       console.log("🔁 Player received repeat mode change:", this.repeatModeValue)
+      this.cancelTransition()
+      this.dispatchUpNextChange()
+    })
+
+    on("player:crossfade:changed", (event) => {
+      this.crossfadeValue = Math.max(0, Math.min(12, Number(event.detail.seconds) || 0))
+      this.gaplessValue = !!event.detail.gapless
+      this.cancelTransition()
     })
 
+    // Played to the end (also sent when a crossfade starts): a completed listen
+    on("audio:ended", () => this.listening?.complete())
+
     // Add the queue update listener
-    document.addEventListener("player:queue:updated", (event) => {
-      this.currentQueue = event.detail.queue;
+    on("player:queue:updated", this.handleQueueUpdate.bind(this));
 
-      // Sync index if we"re already playing a song
-      if (this.currentUrl) {
-        const currentSong = this.currentQueue.find(song => song.url === this.currentUrl);
-        if (currentSong) {
-          this.setCurrentIndex(currentSong.id);
-        }
-      }
-    });
+    // Save the session when the page is hidden or closed (PWA may be killed after this)
+    window.addEventListener("pagehide", () => this.persistSession())
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) this.persistSession()
+    })
 
     // Listen for sync requests and broadcast current state
-    window.addEventListener("player:sync-request", () => {
+    on("player:sync-request", () => {
       if (this.currentUrl) {
-        window.dispatchEvent(new CustomEvent("audio:changed", {
-          detail: { url: this.currentUrl }
-        }))
+        emit("audio:changed", this.currentSong ? this.trackChangeDetail(this.currentSong) : { url: this.currentUrl })
       }
     })
 
     // Media Session API event handlers
-    document.addEventListener("player:next:requested", (event) => {
+    on("player:next:requested", (event) => {
       console.log("🎵 PLAYER: Next track requested via", event.detail?.source || 'unknown')
+      if (this.tabSyncController()?.forward("next")) return
       this.playNext()
     })
 
-    document.addEventListener("player:prev:requested", (event) => {
+    on("player:prev:requested", (event) => {
       console.log("🎵 PLAYER: Previous track requested via", event.detail?.source || 'unknown')
+      if (this.tabSyncController()?.forward("prev")) return
       this.playPrevious()
     })
 
     // Seek handlers for Media Session API
-    document.addEventListener("player:seek:forward", (event) => {
+    on("player:seek:forward", (event) => {
       const seconds = event.detail.seconds || 10
       console.log("🎵 PLAYER: Seek forward requested:", seconds, "seconds")
       this.seekRelative(seconds)
     })
 
-    document.addEventListener("player:seek:backward", (event) => {
+    on("player:seek:backward", (event) => {
       const seconds = event.detail.seconds || 10
       console.log("🎵 PLAYER: Seek backward requested:", seconds, "seconds")
       this.seekRelative(-seconds)
     })
+
+    // Up Next queue edits (from song cards and the Up Next panel)
+    on("player:up-next:add", (event) => {
+      this.addToUpNext(event.detail.song, event.detail.position)
+    })
+
+    on("player:up-next:move", (event) => {
+      this.moveInQueue(event.detail)
+    })
+
+    on("player:up-next:remove", (event) => {
+      this.removeFromQueue(event.detail)
+    })
+
+    on("player:up-next:clear", () => {
+      this.upNext.clear()
+      this.cancelTransition()
+      this.dispatchUpNextChange()
+    })
+
+    on("player:up-next:request", () => {
+      this.dispatchUpNextChange()
+    })
+
+    // Sleep timer (from the settings menu)
+    on("player:sleep-timer:set", (event) => {
+      this.setSleepTimer(event.detail)
+    })
+
+    on("player:sleep-timer:request", () => {
+      this.dispatchSleepTimerChange()
+    })
+
+    // Playback speed and pitch (from the settings menu)
+    on("player:playback-rate:set", (event) => {
+      this.setPlayback(event.detail)
+    })
+
+    on("player:playback-rate:request", () => {
+      this.dispatchPlaybackRateChange()
+    })
+
+    on("player:playback-rate:reload", () => {
+      this.reloadPlaybackSettings()
+    })
+
+    // A–B loop (from the loop region on the waveform)
+    on("player:loop:set", (event) => {
+      this.setLoop(event.detail)
+    })
   }
 
   // ========================
@@ -358,9 +515,7 @@ export default class extends Controller {
       this.hideLoadingIndicator()
 
       // Notify that audio is ready - safe to load video now
-      window.dispatchEvent(new CustomEvent("audio:ready", {
-        detail: { url: this.currentUrl }
-      }))
+      emit("audio:ready", { url: this.currentUrl })
     } catch (error) {
       console.error("Error handling track ready:", error)
       this.handleAudioError()
@@ -378,7 +533,11 @@ export default class extends Controller {
    * Handle pause state change
    */
   handlePause() {
+    // Paused and resumed in the same turn (a transition handoff): still playing
+    if (this.wavesurfer?.isPlaying()) return
+
     this.dispatchStateChange(false)
+    this.persistSession()
   }
 
   /**
@@ -386,21 +545,38 @@ export default class extends Controller {
    */
   handleTrackEnd() {
     if (this.isChangingTrack) return;
-    
+
+    // Sleep timer set to the end of this track: stop here instead of advancing
+    if (this.sleepTimer.mode === "track") {
+      emit("audio:ended", { url: this.currentUrl })
+      this.sleepNow();
+      return;
+    }
+
+    // A–B loop ending at the very end of the track: loop instead of repeating or advancing
+    if (this.loop?.enabled) {
+      this.restartLoop();
+      return;
+    }
+
+    // The next track is already buffered on the spare element (gapless backstop)
+    if (this.transition?.ready) {
+      this.startTransition();
+      return;
+    }
+
     console.log("🎵 Track ended - Repeat:", this.repeatModeValue, "Shuffle:", this.shuffleValue, "Queue length:", this.currentQueue.length)
 
     // Dispatch ended event BEFORE state changes
-    window.dispatchEvent(new CustomEvent("audio:ended", {
-      detail: { url: this.currentUrl }
-    }))
+    emit("audio:ended", { url: this.currentUrl })
 
     // Update play/pause state
     this.handlePause()
 
     // Handle repeat modes
-    if (this.repeatModeValue === 'one') {
-      // Repeat One: replay the same song
-      console.log("🔁 Repeat One - replaying current track")
+    if (this.repeatModeValue === 'one' || (this.repeatModeValue === 'all' && this.nextIsCurrentTrack())) {
+      // Repeat One (or Repeat All with nothing else to play): replay the same song
+      console.log("🔁 Repeat", this.repeatModeValue === 'one' ? "One" : "All with one song", "- replaying current track")
       try {
         this.wavesurfer.seekTo(0)
         const playPromise = this.wavesurfer.play()
@@ -425,6 +601,10 @@ export default class extends Controller {
         console.error("❌ Error during repeat all:", error)
         this.resetPlayback()
       }
+    } else if (this.upNext.size > 0) {
+      // Repeat Off, but the listener queued songs: keep going until Up Next is empty
+      console.log("⏭️ Repeat Off - playing next song from Up Next")
+      this.playNext()
     } else {
       // Repeat Off: stop playback
       console.log("⏸️ Repeat Off - stopping playback")
@@ -451,71 +631,20 @@ export default class extends Controller {
   }
 
   /**
-   * Smart EQ coordination: Wait for EQ to be ready before playing
-   * Uses event-based coordination with timeout fallback to preserve user gesture
+   * Make sure the EQ is in the audio path, then play
+   * Building the EQ graph is synchronous, so playback starts in the same turn
+   * and keeps the user gesture (iOS needs it). With mobile EQ off the
+   * equalizer isn't active and the element plays on its direct output.
    */
   waitForEqualizerThenPlay(playCallback) {
-    const isMobileOrPWA = this.isMobile() || this.isPWA()
+    const eqController = this.equalizerController()
 
-    // On mobile/PWA: Check if user has enabled EQ
-    if (isMobileOrPWA) {
-      const mobileEQEnabled = localStorage.getItem("mobileEQEnabled") === "true"
-
-      if (!mobileEQEnabled) {
-        console.log("📱 Mobile/PWA: EQ disabled (background playback mode), playing immediately")
-        playCallback()
-        return
-      } else {
-        console.log("📱 Mobile/PWA: EQ enabled, waiting for initialization (background playback disabled)")
-        // Fall through to desktop EQ logic
-      }
-    }
-
-    // Desktop: Check if EQ is already connected (from previous track)
-    const eqElement = document.querySelector('[data-controller*="music--equalizer"]')
-    if (eqElement) {
-      const eqController = this.application.getControllerForElementAndIdentifier(
-        eqElement,
-        "music--equalizer"
-      )
-
-      if (eqController?.isConnected) {
-        console.log("⚡ EQ already connected, playing immediately")
-        playCallback()
-        return
-      }
-    }
-
-    // Desktop or Mobile with EQ enabled: EQ not ready yet, wait for signal with timeout
-    const isMobileWithEQ = (this.isMobile() || this.isPWA()) && localStorage.getItem("mobileEQEnabled") === "true"
-    const timeout = isMobileWithEQ ? 50 : 100 // Shorter timeout for mobile to preserve gesture
-
-    const deviceType = isMobileWithEQ ? "Mobile/PWA (EQ mode)" : "Desktop"
-    console.log(`⏳ ${deviceType}: Waiting for EQ initialization (${timeout}ms timeout)...`)
-
-    let timeoutId
-    let handled = false
-
-    const handleReady = () => {
-      if (handled) return
-      handled = true
-      clearTimeout(timeoutId)
-      document.removeEventListener('equalizer:ready', handleReady)
-      console.log(`✅ ${deviceType}: EQ ready signal received, playing now`)
-      playCallback()
+    if (eqController?.active && !eqController.isConnected) {
+      console.log("🎚️ Connecting EQ before playback")
+      eqController.interceptAudioGraph()
     }
 
-    // Listen for EQ ready event
-    document.addEventListener('equalizer:ready', handleReady, { once: true })
-
-    // Timeout fallback
-    timeoutId = setTimeout(() => {
-      if (handled) return
-      handled = true
-      document.removeEventListener('equalizer:ready', handleReady)
-      console.log(`⏰ ${deviceType}: EQ timeout (${timeout}ms), playing anyway`)
-      playCallback()
-    }, timeout)
+    playCallback()
   }
 
   /**
@@ -523,12 +652,10 @@ export default class extends Controller {
    * @param {boolean} [playing] - Optional play/pause state
    */
   dispatchStateChange(playing) {
-    document.dispatchEvent(new CustomEvent("player:state:changed", {
-      detail: { 
-        playing: playing ?? this.wavesurfer.isPlaying(),
-        url: this.currentUrl 
-      }
-    }))
+    emit("player:state:changed", { 
+      playing: playing ?? this.wavesurfer.isPlaying(),
+      url: this.currentUrl 
+    })
   }
 
   // ========================
@@ -541,16 +668,23 @@ export default class extends Controller {
    */
   handlePlayRequest(e) {
     try {
+      // Picking a song from a list switches from the restored queue to that list
+      this.adoptPendingQueue();
+
       const songFromEvent = e.detail;
       // Use a type-insensitive comparison for the ID
       const requestedIndex = this.currentQueue.findIndex(s => String(s.id) === String(songFromEvent.id));
+      const isLoadedSong = this.playingFromUpNext
+        ? String(this.currentSong?.id) === String(songFromEvent.id)
+        : requestedIndex !== -1 && requestedIndex === this.currentIndex
 
       // If the clicked song is the one currently loaded in the player, just toggle playback.
-      if (requestedIndex !== -1 && requestedIndex === this.currentIndex && this.wavesurfer && this.wavesurfer.getMediaElement()) {
+      if (isLoadedSong && this.wavesurfer && this.wavesurfer.getMediaElement()) {
         this.togglePlayback();
       } else {
         // Otherwise, it's a new song.
         this.currentIndex = requestedIndex;
+        this.playingFromUpNext = false;
         const songToPlay = this.currentQueue[this.currentIndex];
         
         // Determine playOnLoad preference from event or fallback to controller value
@@ -574,19 +708,17 @@ export default class extends Controller {
    * @param {Object} song - Song object
    */
   dispatchPlayRequest(song) {
-    window.dispatchEvent(new CustomEvent("player:play-requested", {
-      detail: {
-        url: song.url,
-        title: song.title,
-        artist: song.artist,
-        banner: song.banner,
-        bannerMobile: song.bannerMobile,
-        bannerVideo: song.bannerVideo,
-        autoplay: true,
-        updateBanner: true,
-        playOnLoad: true // Explicitly request play
-      }
-    }))
+    emit("player:play-requested", {
+      url: song.url,
+      title: song.title,
+      artist: song.artist,
+      banner: song.banner,
+      bannerMobile: song.bannerMobile,
+      bannerVideo: song.bannerVideo,
+      autoplay: true,
+      updateBanner: true,
+      playOnLoad: true // Explicitly request play
+    })
   }
 
   /**
@@ -600,16 +732,51 @@ export default class extends Controller {
   /**
    * Orchestrates waveform peak extraction by detecting the URL format.
    * SoundCloud's API can provide either a JSON file with peak data or a PNG
-   * image of the waveform. This method handles both cases.
+   * image of the waveform. This method handles both cases, and caches the
+   * normalized peaks in IndexedDB.
    * @param {string} waveformUrl - The URL of the waveform data (.png or .json).
+   * @param {Object} [song] - The song it belongs to, so a downloaded copy can be read offline.
    * @returns {Promise<number[]>} A promise that resolves with an array of normalized peak values.
    */
-  async extractPeaks(waveformUrl) {
+  async extractPeaks(waveformUrl, song = null) {
     if (!waveformUrl || typeof waveformUrl !== 'string') return [];
 
+    // Cached peaks draw instantly (and offline); stale ones are refreshed for next time
+    const cached = await getCachedPeaks(waveformUrl);
+    if (cached) {
+      console.log("🌊 Waveform peaks served from cache", cached.stale ? "(stale, revalidating)" : "");
+      if (cached.stale && navigator.onLine) this.revalidatePeaks(waveformUrl);
+      return cached.peaks;
+    }
+
+    const peaks = await this.fetchPeaks(waveformUrl, song);
+    if (peaks.length > 0) putCachedPeaks(waveformUrl, peaks);
+    return peaks;
+  }
+
+  /**
+   * Refresh cached peaks in the background
+   * @param {string} waveformUrl
+   */
+  async revalidatePeaks(waveformUrl) {
+    try {
+      const peaks = await this.fetchPeaks(waveformUrl);
+      if (peaks.length > 0) await putCachedPeaks(waveformUrl, peaks);
+    } catch (error) {
+      console.warn("🌊 Could not revalidate waveform peaks:", error);
+    }
+  }
+
+  /**
+   * Fetch and normalize peaks from the waveform URL (JSON or SoundCloud PNG)
+   * @param {string} waveformUrl
+   * @param {Object} [song] - Owner of the waveform, for its downloaded copy
+   * @returns {Promise<number[]>}
+   */
+  async fetchPeaks(waveformUrl, song = null) {
     if (waveformUrl.endsWith('.json')) {
       console.log("Waveform URL is JSON, fetching directly.");
-      return this._fetchJsonPeaks(waveformUrl);
+      return this._fetchJsonPeaks(waveformUrl, song);
     } else if (waveformUrl.endsWith('.png')) {
       console.log("Waveform URL is PNG, extracting from image.");
       return this._extractPeaksFromPng(waveformUrl);
@@ -622,9 +789,10 @@ export default class extends Controller {
   /**
    * Fetches waveform data from a JSON file and normalizes it.
    * @param {string} jsonUrl - The URL of the waveform JSON file.
+   * @param {Object} [song] - The song it belongs to; a downloaded copy is read from Cache Storage.
    * @returns {Promise<number[]>} A promise resolving to an array of normalized peaks.
    */
-  async _fetchJsonPeaks(jsonUrl) {
+  async _fetchJsonPeaks(jsonUrl, song = null) {
     console.log(`📡 [FETCH] Starting waveform fetch for: ${jsonUrl}`);
     
     // Create an AbortController for a 3-second timeout
@@ -632,7 +800,10 @@ export default class extends Controller {
     const timeoutId = setTimeout(() => controller.abort(), 3000);
 
     try {
-      const response = await fetch(jsonUrl, {
+      // Downloaded songs read their waveform straight from Cache Storage
+      const offlineCopy = await cachedResponse(song, 'waveform');
+
+      const response = offlineCopy || await fetch(jsonUrl, {
         signal: controller.signal,
         mode: 'cors',
         credentials: 'omit' // S3 doesn't need cookies, omit can prevent some CORS issues
@@ -740,6 +911,71 @@ export default class extends Controller {
     });
   }
 
+  /**
+   * Peaks for a song without a waveform file, computed in a Web Worker
+   * The audio is fetched once and handed to WaveSurfer as an object URL,
+   * so decoding doesn't cost a second download. Results are cached by audio
+   * URL, and admins send them back to the server for everyone else.
+   * @param {Object} song - Song object from the queue
+   * @returns {Promise<?{peaks: number[], duration: ?number, audioBuffer: ?AudioBuffer, url: ?string}>} null on failure
+   */
+  async generateWaveform(song) {
+    const cached = await getCachedPeaks(song.url);
+    if (cached) {
+      console.log("🌊 Generated waveform peaks served from cache");
+      return { peaks: cached.peaks, duration: null, audioBuffer: null, url: null };
+    }
+
+    try {
+      const blob = await fetchAudio(await this.playableUrl(song), this.handleLoadingProgress.bind(this));
+      const { peaks, duration, audioBuffer } = await generatePeaks(blob);
+      if (peaks.length === 0) return null;
+
+      console.log(`🌊 Generated ${peaks.length} waveform peaks in the browser`);
+      putCachedPeaks(song.url, peaks);
+      this.uploadWaveform(song, peaks);
+
+      if (this.generatedAudioUrl) URL.revokeObjectURL(this.generatedAudioUrl);
+      this.generatedAudioUrl = URL.createObjectURL(blob);
+
+      return { peaks, duration, audioBuffer, url: this.generatedAudioUrl };
+    } catch (error) {
+      console.warn("🌊 Could not generate waveform peaks:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Store generated peaks on the server so the next listener gets them precomputed
+   * Only rendered for Zuke admins; the server keeps an existing waveform.
+   * @param {Object} song
+   * @param {number[]} peaks - Normalized peaks (0-1)
+   */
+  async uploadWaveform(song, peaks) {
+    if (!this.waveformUploadPathValue || song.audioSource === 'SoundCloud' || !navigator.onLine) return;
+
+    const data = peaks.length > MAX_UPLOADED_PEAKS ? this._resamplePeaks(peaks, MAX_UPLOADED_PEAKS) : peaks;
+
+    try {
+      const response = await fetch(this.waveformUploadPathValue.replace("SONG_ID", encodeURIComponent(song.id)), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": document.querySelector('[name="csrf-token"]')?.content || ""
+        },
+        body: JSON.stringify({ peaks: data.map(peak => Math.round(peak * 1000) / 1000), peaks_per_second: PEAKS_PER_SECOND * data.length / peaks.length })
+      });
+
+      if (response.ok) {
+        console.log("🌊 Uploaded generated waveform for", song.title);
+      } else {
+        console.warn("🌊 Waveform upload rejected. Status:", response.status);
+      }
+    } catch (error) {
+      console.warn("🌊 Waveform upload failed:", error);
+    }
+  }
+
   /**
    * Resamples an array of peaks to a new, desired length. This is the core
    * logic to ensure pre-computed waveforms look consistent with analyzed ones.
@@ -805,21 +1041,61 @@ export default class extends Controller {
   playNext() {
     console.log("🔄 playNext() called - Index:", this.currentIndex, "Queue:", this.currentQueue.length, "Shuffle:", this.shuffleValue)
 
-    if (this.currentQueue.length === 0) {
-      console.warn("⚠️ Cannot play next - queue is empty")
+    // After a track ends on its own its listen is already complete, so this only marks real skips
+    this.listening?.skip();
+
+    const next = this.chooseNextTrack();
+    if (!next) return;
+
+    const nextSong = next.song;
+    console.log("🎶 Next song selected:", nextSong.title, "by", nextSong.artist, next.fromUpNext ? "from Up Next" : `at index: ${next.index}`)
+
+    if (!nextSong.url) {
+      console.error("❌ Next song has no URL:", nextSong)
       return;
     }
 
+    if (this.isCurrentTrack(next)) {
+      console.warn("⚠️ Next song is same as current - skipping")
+      return;
+    }
+
+    this.commitNextTrack(next);
+
+    console.log("✅ Calling playSongFromQueue() for:", nextSong.title)
+    this.playSongFromQueue(nextSong, true); // Force play for auto-advance
+  }
+
+  /**
+   * Work out which song plays next without changing which songs have played
+   * Shuffle picks follow the cycle order, so a prepared transition keeps its choice
+   * @returns {?{song: Object, index: number, fromUpNext: boolean}}
+   */
+  chooseNextTrack() {
+    // Songs the listener queued by hand always come first
+    if (this.upNext.size > 0) {
+      return { song: this.upNext.peek(), index: this.currentIndex, fromUpNext: true };
+    }
+
+    // After stepping back, Next retraces what was played before picking anything new
+    const forward = this.history.peekForward();
+    if (forward) return this.historyTrack(forward);
+
     if (!Array.isArray(this.currentQueue)) {
       console.error("❌ Queue is not an array!", this.currentQueue)
-      return;
+      return null;
+    }
+
+    if (this.currentQueue.length === 0) {
+      console.warn("⚠️ Cannot play next - queue is empty")
+      return null;
     }
 
     let nextIndex;
 
     if (this.shuffleValue) {
-      // Shuffle mode: pick random song avoiding recently played
-      nextIndex = this.getRandomIndex();
+      // Shuffle mode: next song in this cycle's order
+      nextIndex = this.shuffle.peek(this.currentQueue, this.currentSong);
     } else {
       // Normal mode: sequential playback
       nextIndex = (this.currentIndex + 1) % this.currentQueue.length;
@@ -830,206 +1106,422 @@ export default class extends Controller {
       }
     }
 
-    this.currentIndex = nextIndex;
-    const nextSong = this.currentQueue[this.currentIndex];
-
-    console.log("🎶 Next song selected:", nextSong?.title, "by", nextSong?.artist, "at index:", this.currentIndex)
+    const song = this.currentQueue[nextIndex];
 
     // Verify we have a valid song to play
-    if (!nextSong) {
+    if (!song) {
       console.error("❌ Next song is null/undefined at index:", nextIndex)
-      return;
+      return null;
     }
 
-    if (!nextSong.url) {
-      console.error("❌ Next song has no URL:", nextSong)
+    return { song, index: nextIndex, fromUpNext: false };
+  }
+
+  /**
+   * Move the queue on to a track picked by chooseNextTrack()
+   * @param {Object} next - { song, index, fromUpNext, fromHistory }
+   */
+  commitNextTrack(next) {
+    if (next.fromHistory) {
+      this.history.forward();
+      this.currentIndex = next.index;
+      this.playingFromUpNext = next.offList;
       return;
     }
 
-    if (nextSong.url === this.currentUrl) {
-      console.warn("⚠️ Next song is same as current - skipping")
+    if (next.fromUpNext) {
+      this.upNext.shift();
+      this.playingFromUpNext = true;
       return;
     }
 
-    // Track recently played for shuffle
-    this.trackRecentlyPlayed(nextIndex);
+    // The shuffle cycle moves on only now; choosing the track left it alone
+    if (this.shuffleValue) this.shuffle.advance(this.currentQueue, this.currentSong);
 
-    console.log("✅ Calling playSongFromQueue() for:", nextSong.title)
-    this.playSongFromQueue(nextSong, true); // Force play for auto-advance
+    this.currentIndex = next.index;
+    this.playingFromUpNext = false;
   }
 
   /**
-   * Get random index avoiding recently played songs
+   * Restart the song if it's a few seconds in, otherwise go back to the song
+   * played before it. Falls back to list order when there's no history.
    */
-  getRandomIndex() {
-    const queueLength = this.currentQueue.length;
+  playPrevious() {
+    if (this.wavesurfer && this.wavesurfer.getCurrentTime() > RESTART_THRESHOLD_SECONDS) {
+      console.log("⏮️ Previous - restarting current track")
+      this.wavesurfer.seekTo(0)
+      return
+    }
 
-    // If queue is small, just pick random
-    if (queueLength <= 3) {
-      return Math.floor(Math.random() * queueLength);
+    const previous = this.history.back()
+    if (previous) {
+      this.listening?.skip()
+      const track = this.historyTrack(previous)
+      this.currentIndex = track.index
+      this.playingFromUpNext = track.offList
+      this.playSongFromQueue(track.song, true)
+      return
     }
 
-    // Build available indices (excluding recently played)
-    const maxRecent = Math.min(5, Math.floor(queueLength / 3)); // Track last 5 or 1/3 of queue
-    const recentSet = new Set(this.recentlyPlayed.slice(-maxRecent));
+    if (!this.currentSong) return
 
-    const availableIndices = [];
-    for (let i = 0; i < queueLength; i++) {
-      if (!recentSet.has(i) && i !== this.currentIndex) {
-        availableIndices.push(i);
-      }
+    // Shuffle has no "previous in the list", and an Up Next song may have no
+    // list behind it - start the song over instead
+    if (this.shuffleValue || this.currentQueue.length === 0) {
+      this.wavesurfer?.seekTo(0)
+      return
     }
 
-    // If no available indices (shouldn't happen), reset recently played
-    if (availableIndices.length === 0) {
-      this.recentlyPlayed = [];
-      return Math.floor(Math.random() * queueLength);
+    // Leaving an Up Next song goes back to where we were in the list
+    if (this.playingFromUpNext && this.currentQueue[this.currentIndex]) {
+      this.listening?.skip()
+      this.playingFromUpNext = false
+      this.playSongFromQueue(this.currentQueue[this.currentIndex], true)
+      return
     }
 
-    // Pick random from available
-    return availableIndices[Math.floor(Math.random() * availableIndices.length)];
+    this.listening?.skip()
+    this.currentIndex = (this.currentIndex - 1 + this.currentQueue.length) % this.currentQueue.length
+    this.playingFromUpNext = false
+    const prevSong = this.currentQueue[this.currentIndex]
+    this.playSongFromQueue(prevSong, true) // Force play for previous button
   }
 
   /**
-   * Track recently played song index
+   * A history entry as a track to play
+   * Songs still in the list play from there; others (Up Next songs, songs
+   * since removed) play without moving the list position.
+   * @param {{song: Object, fromUpNext: boolean}} entry
+   * @returns {{song: Object, index: number, fromUpNext: boolean, fromHistory: boolean, offList: boolean}}
    */
-  trackRecentlyPlayed(index) {
-    this.recentlyPlayed.push(index);
-
-    // Keep only last 10
-    if (this.recentlyPlayed.length > 10) {
-      this.recentlyPlayed.shift();
+  historyTrack(entry) {
+    const index = entry.fromUpNext ? -1 : this.currentQueue.findIndex(song => String(song.id) === String(entry.song.id))
+    const offList = index === -1
+
+    return {
+      song: offList ? entry.song : this.currentQueue[index],
+      index: offList ? this.currentIndex : index,
+      fromUpNext: false,
+      fromHistory: true,
+      offList
     }
   }
 
-  playPrevious() {
-    if (this.currentQueue.length === 0) return
-    
-    this.currentIndex = (this.currentIndex - 1 + this.currentQueue.length) % this.currentQueue.length
-    const prevSong = this.currentQueue[this.currentIndex]
-    this.playSongFromQueue(prevSong, true) // Force play for previous button
-  }
+  // ========================
+  //  Queue Updates & Session
+  // ========================
 
-  async playSongFromQueue(song, playOnLoad = this.playOnLoadValue) {
-    try {
-      this.isChangingTrack = true;
+  /**
+   * Handle a new song list from the song-list controller
+   * @param {CustomEvent} event - player:queue:updated
+   */
+  handleQueueUpdate(event) {
+    const queue = Array.isArray(event.detail.queue) ? event.detail.queue : [];
 
-      // If the song is from SoundCloud, refresh its data to get a fresh stream URL
-      if (song.audioSource === 'SoundCloud') {
-        console.log("🔄 Refreshing SoundCloud track:", song.title);
-        try {
-          const response = await fetch(`/zuke/refresh_soundcloud_track/${song.id}`);
-          if (response.ok) {
-            const refreshedSongData = await response.json();
-            console.log("✅ Refreshed data received:", refreshedSongData);
-            // Update the song object with the fresh data
-            Object.assign(song, refreshedSongData);
-
-            // Also update the song in the main queue
-            const songInQueue = this.currentQueue.find(s => s.id === song.id);
-            if (songInQueue) {
-              Object.assign(songInQueue, refreshedSongData);
-            }
-          } else {
-            console.error("❌ Failed to refresh SoundCloud track. Status:", response.status);
-            // Proceed with the potentially expired URL, it might still work.
-          }
-        } catch (error) {
-          console.error("❌ Error refreshing SoundCloud track:", error);
-        }
-      }
+    // First list after a reload: use its fresh song data to restore the session
+    if (this.pendingSession) {
+      this.restoreSession(queue);
+      return;
+    }
 
-      // Destroy previous HLS instance if it exists. This is crucial to prevent
-      // the old HLS instance from interfering with the playback of subsequent
-      // tracks, especially non-HLS local files.
-      if (this.hls) {
-        console.log("Destroying previous HLS instance.");
-        this.hls.destroy();
-        this.hls = null;
-      }
+    this.cancelTransition();
 
-      console.log("🎵 playSongFromQueue() called with:", song?.title, "playOnLoad:", playOnLoad)
+    // Keep the restored queue until the listener picks a song from a list
+    if (this.keepRestoredQueue) {
+      this.pendingQueue = queue;
+      return;
+    }
 
-      if (!song || !song.url) {
-        console.error("❌ Invalid song object in queue:", song);
-        return;
-      }
+    this.currentQueue = queue;
+    this.currentIndex = this.currentQueue.findIndex(song => song?.url === this.currentUrl);
+    this.shuffle.sync(this.currentQueue, this.currentSong);
+    this.history.pruneForward(this.currentQueue);
+    this.dispatchUpNextChange();
+  }
 
-      // Clear current track completely before loading new one
-      this.wavesurfer?.stop();
-      this.wavesurfer?.empty();
+  /**
+   * Switch from the restored session queue to the page's song list
+   */
+  adoptPendingQueue() {
+    if (!this.keepRestoredQueue) return;
+
+    this.keepRestoredQueue = false;
+    if (this.pendingQueue) {
+      this.currentQueue = this.pendingQueue;
+      this.currentIndex = this.currentQueue.findIndex(song => song?.url === this.currentUrl);
+      this.shuffle.sync(this.currentQueue, this.currentSong);
+      this.history.pruneForward(this.currentQueue);
+      this.pendingQueue = null;
+    }
+  }
 
-      // Update UI first
-      this.updateBanner({
-        banner: song.banner,
-        bannerMobile: song.bannerMobile,
-        bannerVideo: song.bannerVideo,
-        title: song.title,
-        artist: song.artist
-      });
+  /**
+   * Restore the saved session: queue, Up Next, shuffle cycle, play history and the song
+   * at its saved position. Playback only starts on its own when Play on Load
+   * is enabled; otherwise the resume prompt waits for the listener.
+   * @param {Object[]} freshSongs - Current song list, used to refresh saved song data
+   */
+  restoreSession(freshSongs) {
+    clearTimeout(this.restoreTimeout);
+    const session = this.pendingSession;
+    this.pendingSession = null;
+    if (!session) return;
+
+    // Prefer fresh song data (new signed URLs) wherever the song is still listed
+    const freshById = new Map(freshSongs.map(song => [String(song.id), song]));
+    const refresh = (song) => freshById.get(String(song.id)) || song;
+
+    this.currentQueue = session.queue.length > 0 ? session.queue.map(refresh) : freshSongs;
+    this.currentIndex = session.index < this.currentQueue.length ? session.index : -1;
+    this.upNext = new PlayQueue(session.upNext.map(refresh));
+    this.shuffle = new ShuffleCycle(session.shuffle || {});
+    this.history = new PlayHistory({
+      entries: (session.history?.entries || []).map(entry => ({ ...entry, song: refresh(entry.song) })),
+      position: session.history?.position
+    });
+    this.playingFromUpNext = session.playingFromUpNext;
+    this.keepRestoredQueue = true;
+    this.pendingQueue = freshSongs.length > 0 ? freshSongs : null;
 
-      // Update credits
-      this.updateCredits({
-        title: song.title,
-        artist: song.artist,
-        imageCredit: song.imageCredit,
-        imageCreditUrl: song.imageCreditUrl,
-        imageLicense: song.imageLicense,
-        audioSource: song.audioSource,
-        audioLicense: song.audioLicense,
-        additionalCredits: song.additionalCredits
-      });
+    // A song that had finished starts over
+    const song = refresh(session.song);
+    const nearEnd = song.duration > 0 && session.position >= song.duration - 1;
+    const position = nearEnd ? 0 : session.position;
 
-      // Set current URL before loading
-      this.currentUrl = song.url;
+    console.log("🎵 PLAYER: Restoring session -", song.title, "at", position, "s, autoplay:", this.playOnLoadValue);
+    this.playSongFromQueue(song, this.playOnLoadValue, { startAt: position });
 
-      // Dispatch track change event
-      this.dispatchTrackChange(song);
+    emit("player:session:restored", { song, position, autoplay: this.playOnLoadValue });
+  }
 
-      console.log("📥 Loading track:", song.title, "URL:", song.url.substring(0, 80) + "...")
+  /**
+   * Save the session every few seconds while playing
+   */
+  handleSessionTimeUpdate() {
+    const now = Date.now();
+    if (now - (this.lastSessionSave || 0) < 5000) return;
 
-      // Shared playback logic
-      const attemptPlayback = () => {
-        if (playOnLoad) {
-          console.log("✅ Play on load is active. Attempting to play...");
-          const playPromise = this.wavesurfer.play();
-          if (playPromise !== undefined) {
-            playPromise.then(() => {
-              this.isChangingTrack = false;
-            }).catch((error) => {
-              console.error("🚫 Autoplay blocked by browser or failed:", error);
-              this.isChangingTrack = false;
-              document.dispatchEvent(new CustomEvent("player:autoplay-blocked", { detail: { song, error } }));
-            });
-          } else {
-            this.isChangingTrack = false;
-          }
-        } else {
-           console.log("⏸️ Play on load is inactive. Waiting for user interaction.");
-           this.isChangingTrack = false;
-        }
-      };
-      
-      const setupReadyListener = () => {
-        this.wavesurfer.once('ready', () => {
-          console.log("✅ Track ready, checking playback preference...");
+    this.lastSessionSave = now;
+    this.persistSession();
+  }
 
-          // CRITICAL: Wait for EQ to be ready, but use smart timing to preserve user gesture
-          // - On first track: EQ needs ~50ms to build audio graph
-          // - On subsequent tracks: EQ is already built, just loads settings
-          // - In PWA/mobile: Use shorter timeout (30ms) to preserve gesture chain
-          // - In desktop: Use longer timeout (100ms) for safety
-          this.waitForEqualizerThenPlay(attemptPlayback);
-        });
-      };
+  /**
+   * Add to the listen in progress (counts a play after 30s or half the track)
+   * @param {number} currentTime - Current playback position in seconds
+   */
+  handleListeningTimeUpdate(currentTime) {
+    this.listening?.progress(currentTime, this.wavesurfer.getDuration(), this.playbackRate);
+  }
 
-      // Conditional HLS loading
-      // SoundCloud V2 uses HLS (.m3u8), but V1 (fallback) uses progressive MP3.
+  /**
+   * Write the current song, position and queue state to localStorage
+   */
+  persistSession() {
+    if (!this.currentSong) return;
+
+    saveSession({
+      song: this.currentSong,
+      // Until a resumed song has loaded, keep the position we are about to seek to
+      position: this.pendingStartAt ?? this.wavesurfer?.getCurrentTime() ?? 0,
+      queue: this.currentQueue,
+      index: this.currentIndex,
+      upNext: this.upNext.toJSON(),
+      playingFromUpNext: this.playingFromUpNext,
+      shuffle: this.shuffle.toJSON(),
+      history: this.history.toJSON()
+    });
+  }
+
+  // ========================
+  //  Up Next Queue
+  // ========================
+
+  /**
+   * Add a song to the Up Next queue
+   * Prefers the full song object from the current list when the song is in it
+   * @param {Object} song - Song details (at least id and url)
+   * @param {string} [position="end"] - 'next' to play it right after the current song
+   */
+  addToUpNext(song, position = "end") {
+    if (!song?.url) {
+      console.warn("⚠️ Cannot queue song without a URL:", song)
+      return
+    }
+
+    const fullSong = this.currentQueue.find(s => String(s.id) === String(song.id)) || song
+
+    if (position === "next") {
+      this.upNext.playNext(fullSong)
+    } else {
+      this.upNext.add(fullSong)
+    }
+
+    console.log(`➕ Queued "${fullSong.title}" (${position}) - Up Next:`, this.upNext.size)
+    this.cancelTransition()
+    this.dispatchUpNextChange()
+  }
+
+  /**
+   * Reorder a song in the Up Next queue or in the rest of the list
+   * @param {Object} detail - { source: 'upNext'|'list', from, to }
+   */
+  moveInQueue({ source, from, to }) {
+    if (source === "list") {
+      if (from === to || !this.currentQueue[from]) return
+
+      // Keep currentIndex on the same song after the move
+      const anchor = this.currentQueue[this.currentIndex]
+      const [song] = this.currentQueue.splice(from, 1)
+      this.currentQueue.splice(Math.min(to, this.currentQueue.length), 0, song)
+      this.currentIndex = this.currentQueue.indexOf(anchor)
+    } else {
+      this.upNext.move(from, to)
+    }
+
+    this.cancelTransition()
+    this.dispatchUpNextChange()
+  }
+
+  /**
+   * Remove a song from the Up Next queue or from the rest of the list
+   * @param {Object} detail - { source: 'upNext'|'list', index }
+   */
+  removeFromQueue({ source, index }) {
+    if (source === "list") {
+      if (!this.currentQueue[index] || index === this.currentIndex) return
+
+      this.currentQueue.splice(index, 1)
+      if (index < this.currentIndex) this.currentIndex--
+    } else {
+      this.upNext.remove(index)
+    }
+
+    this.cancelTransition()
+    this.dispatchUpNextChange()
+  }
+
+  /**
+   * Songs that will play from the list once Up Next is empty
+   * Returns nothing in shuffle mode, where list order isn't play order
+   * @param {number} [limit=25] - Maximum number of songs to return
+   * @returns {Array<{song: Object, index: number}>}
+   */
+  upcomingFromList(limit = 25) {
+    if (this.shuffleValue || this.currentQueue.length === 0) return []
+
+    const upcoming = []
+    const wraps = this.repeatModeValue === "all"
+    const count = wraps ? this.currentQueue.length - 1 : this.currentQueue.length - this.currentIndex - 1
+
+    for (let step = 1; step <= count && upcoming.length < limit; step++) {
+      const index = (this.currentIndex + step) % this.currentQueue.length
+      upcoming.push({ song: this.currentQueue[index], index })
+    }
+
+    return upcoming
+  }
+
+  /**
+   * Broadcast the current Up Next state for the queue panel
+   */
+  dispatchUpNextChange() {
+    // Every queue or track change passes through here, so save the session too
+    this.persistSession()
+
+    emit("player:up-next:changed", {
+      nowPlaying: this.currentSong || null,
+      upNext: this.upNext.toJSON(),
+      upcoming: this.upcomingFromList(),
+      shuffle: this.shuffleValue
+    })
+  }
+
+  /**
+   * Load a song into the player and optionally start playback
+   * @param {Object} song - Song object from the queue
+   * @param {boolean} [playOnLoad] - Start playing once loaded
+   * @param {Object} [options]
+   * @param {number} [options.startAt=0] - Position in seconds to start from (session resume)
+   */
+  async playSongFromQueue(song, playOnLoad = this.playOnLoadValue, { startAt = 0 } = {}) {
+    try {
+      this.isChangingTrack = true;
+      this.pendingStartAt = startAt > 0 ? startAt : null;
+
+      // A manual track change drops any prepared transition and cuts off a fading tail
+      this.cancelTransition();
+      this.releaseFadingOut();
+
+      // If the song is from SoundCloud, refresh its data to get a fresh stream URL
+      await this.refreshSoundCloudSong(song);
+
+      // Destroy previous HLS instance if it exists. This is crucial to prevent
+      // the old HLS instance from interfering with the playback of subsequent
+      // tracks, especially non-HLS local files.
+      if (this.hls) {
+        console.log("Destroying previous HLS instance.");
+        this.hls.destroy();
+        this.hls = null;
+      }
+
+      console.log("🎵 playSongFromQueue() called with:", song?.title, "playOnLoad:", playOnLoad)
+
+      if (!song || !song.url) {
+        console.error("❌ Invalid song object in queue:", song);
+        return;
+      }
+
+      // Clear current track completely before loading new one
+      this.wavesurfer?.stop();
+      this.wavesurfer?.empty();
+
+      // Update UI first
+      this.announceSong(song);
+
+      console.log("📥 Loading track:", song.title, "URL:", song.url.substring(0, 80) + "...")
+
+      // Shared playback logic
+      const attemptPlayback = () => {
+        // Seek to the resumed position before playing
+        if (this.pendingStartAt) {
+          this.wavesurfer.setTime(this.pendingStartAt);
+          this.pendingStartAt = null;
+        }
+
+        if (playOnLoad) {
+          console.log("✅ Play on load is active. Attempting to play...");
+          const playPromise = this.wavesurfer.play();
+          if (playPromise !== undefined) {
+            playPromise.then(() => {
+              this.isChangingTrack = false;
+            }).catch((error) => {
+              console.error("🚫 Autoplay blocked by browser or failed:", error);
+              this.isChangingTrack = false;
+              emit("player:autoplay-blocked", { song, error });
+            });
+          } else {
+            this.isChangingTrack = false;
+          }
+        } else {
+           console.log("⏸️ Play on load is inactive. Waiting for user interaction.");
+           this.isChangingTrack = false;
+        }
+      };
+      
+      const setupReadyListener = () => {
+        this.wavesurfer.once('ready', () => {
+          console.log("✅ Track ready, checking playback preference...");
+
+          // Connect the EQ first (synchronously, so the user gesture survives)
+          this.waitForEqualizerThenPlay(attemptPlayback);
+        });
+      };
+
+      // Conditional HLS loading
+      // SoundCloud V2 uses HLS (.m3u8), but V1 (fallback) uses progressive MP3.
       // We check for .m3u8 or if the audio source is explicitly SoundCloud AND the URL doesn't look like a standard file.
       // However, the most reliable check for the V1 redirect is likely just checking if it's NOT an m3u8.
-      const isHls = Hls.isSupported() && (song.url.includes('.m3u8') || song.url.includes('hls'));
-
-      if (song.audioSource === 'SoundCloud' && isHls) {
+      if (this.isHlsSong(song)) {
         // The loading process for HLS tracks with pre-computed peaks is sensitive
         // to the order of operations to avoid race conditions between Wavesurfer and HLS.js.
         // The correct sequence is:
@@ -1041,15 +1533,12 @@ export default class extends Controller {
         console.log("HLS stream detected, using global Hls object.");
         
         // 1. Get raw peaks first
-        const rawPeaks = song.waveformUrl ? await this.extractPeaks(song.waveformUrl) : [];
+        const rawPeaks = song.waveformUrl ? await this.extractPeaks(song.waveformUrl, song) : [];
+        this.announceLoudness(song, { peaks: rawPeaks });
         
         // 2. Resample peaks to match the density defined by minPxPerSec
-        const minPxPerSec = this.wavesurfer.options.minPxPerSec || 50;
-        const barWidth = this.wavesurfer.options.barWidth || 2;
-        const barGap = this.wavesurfer.options.barGap || 1;
-        const totalWidth = song.duration * minPxPerSec;
-        const numBars = Math.floor(totalWidth / (barWidth + barGap));
-        
+        const numBars = this.peakBarCount(song.duration);
+
         console.log(`Resampling peaks: original ${rawPeaks.length}, target bars ${numBars} for duration ${song.duration}s`);
         const peaks = this._resamplePeaks(rawPeaks, numBars);
 
@@ -1080,17 +1569,14 @@ export default class extends Controller {
           console.log("File with waveformUrl detected (Local or SC MP3).");
           
           // 1. Get raw peaks - use extractPeaks to support both JSON (local) and PNG (SoundCloud)
-          const rawPeaks = await this.extractPeaks(song.waveformUrl);
+          const rawPeaks = await this.extractPeaks(song.waveformUrl, song);
+          this.announceLoudness(song, { peaks: rawPeaks });
 
           // 2. Resample peaks to match the density defined by minPxPerSec
           let peaks = rawPeaks;
           if (song.duration && song.duration > 0) {
-            const minPxPerSec = this.wavesurfer.options.minPxPerSec || 50;
-            const barWidth = this.wavesurfer.options.barWidth || 2;
-            const barGap = this.wavesurfer.options.barGap || 1;
-            const totalWidth = song.duration * minPxPerSec;
-            const numBars = Math.floor(totalWidth / (barWidth + barGap));
-            
+            const numBars = this.peakBarCount(song.duration);
+
             console.log(`Resampling peaks: original ${rawPeaks.length}, target bars ${numBars} for duration ${song.duration}s`);
             peaks = this._resamplePeaks(rawPeaks, numBars);
           } else {
@@ -1101,13 +1587,34 @@ export default class extends Controller {
           // Setup listener strictly before loading but AFTER async fetch
           setupReadyListener();
           // Use undefined for duration if it's 0 so WaveSurfer can auto-detect from media
-          this.wavesurfer.load(song.url, peaks, song.duration || undefined);
+          this.wavesurfer.load(await this.playableUrl(song), peaks, song.duration || undefined);
 
         } else {
-          // Fallback for files without a waveform
-          console.log("File without waveformUrl, loading directly.");
-          setupReadyListener();
-          this.wavesurfer.load(song.url);
+          // Fallback for files without a waveform: compute peaks in the browser
+          console.log("File without waveformUrl, generating peaks in the browser.");
+          const generated = await this.generateWaveform(song);
+
+          // Another track was picked while this one was decoding
+          if (this.currentSong !== song) return;
+
+          if (generated?.peaks.length > 0) {
+            this.announceLoudness(song, generated.audioBuffer ? { audioBuffer: generated.audioBuffer } : { peaks: generated.peaks });
+
+            const duration = song.duration || generated.duration || 0;
+            const peaks = duration > 0
+              ? this._resamplePeaks(generated.peaks, this.peakBarCount(duration))
+              : generated.peaks;
+
+            setupReadyListener();
+            this.wavesurfer.load(generated.url || await this.playableUrl(song), peaks, duration || undefined);
+          } else {
+            console.log("No generated peaks, loading directly.");
+            this.wavesurfer.once('ready', () => {
+              this.announceLoudness(song, { audioBuffer: this.wavesurfer.getDecodedData() });
+            });
+            setupReadyListener();
+            this.wavesurfer.load(await this.playableUrl(song));
+          }
         }
       }
     } catch (error) {
@@ -1117,6 +1624,147 @@ export default class extends Controller {
   }
 
 
+  /**
+   * Refresh a SoundCloud song's data to get a fresh stream URL
+   * Updates the song object (and its copy in the queue) in place
+   * @param {Object} song - Song object from the queue
+   */
+  async refreshSoundCloudSong(song) {
+    if (song?.audioSource !== 'SoundCloud' || !navigator.onLine) return;
+
+    console.log("🔄 Refreshing SoundCloud track:", song.title);
+    try {
+      const response = await fetch(`/zuke/refresh_soundcloud_track/${song.id}`);
+      if (response.ok) {
+        const refreshedSongData = await response.json();
+        console.log("✅ Refreshed data received:", refreshedSongData);
+        // Update the song object with the fresh data
+        Object.assign(song, refreshedSongData);
+
+        // Also update the song in the main queue
+        const songInQueue = this.currentQueue.find(s => s.id === song.id);
+        if (songInQueue) {
+          Object.assign(songInQueue, refreshedSongData);
+        }
+      } else {
+        console.error("❌ Failed to refresh SoundCloud track. Status:", response.status);
+        // Proceed with the potentially expired URL, it might still work.
+      }
+    } catch (error) {
+      console.error("❌ Error refreshing SoundCloud track:", error);
+    }
+  }
+
+  /**
+   * URL to load a song from
+   * Downloaded songs play from Cache Storage, online or not.
+   * @param {Object} song - Song object from the queue
+   * @returns {Promise<string>}
+   */
+  async playableUrl(song) {
+    if (!isDownloaded(song)) return song.url;
+
+    try {
+      const offlineUrl = await offlineUrlFor(song);
+      if (offlineUrl) {
+        console.log("📥 Playing downloaded copy of", song.title);
+        return offlineUrl;
+      }
+    } catch (error) {
+      console.warn("📥 Offline copy unavailable for", song.title, error);
+    }
+
+    return song.url;
+  }
+
+  /**
+   * Whether a song streams over HLS (SoundCloud V2) rather than a plain file
+   * @param {Object} song
+   * @returns {boolean}
+   */
+  isHlsSong(song) {
+    // SoundCloud V2 uses HLS (.m3u8), but V1 (fallback) uses progressive MP3.
+    return song.audioSource === 'SoundCloud' && Hls.isSupported() &&
+      (song.url.includes('.m3u8') || song.url.includes('hls'));
+  }
+
+  /**
+   * Number of waveform bars a track of the given length needs
+   * Matches the density defined by minPxPerSec, barWidth and barGap
+   * @param {number} duration - Track length in seconds
+   * @returns {number}
+   */
+  peakBarCount(duration) {
+    const minPxPerSec = this.wavesurfer.options.minPxPerSec || 50;
+    const barWidth = this.wavesurfer.options.barWidth || 2;
+    const barGap = this.wavesurfer.options.barGap || 1;
+    return Math.floor((duration * minPxPerSec) / (barWidth + barGap));
+  }
+
+  /**
+   * Point the UI and listeners at a new song
+   * Updates banner and credits, then announces the track change
+   * @param {Object} song - Song object from the queue
+   */
+  announceSong(song) {
+    this.updateBanner({
+      banner: song.banner,
+      bannerMobile: song.bannerMobile,
+      bannerVideo: song.bannerVideo,
+      title: song.title,
+      artist: song.artist
+    });
+
+    // Update credits
+    this.updateCredits({
+      title: song.title,
+      artist: song.artist,
+      imageCredit: song.imageCredit,
+      imageCreditUrl: song.imageCreditUrl,
+      imageLicense: song.imageLicense,
+      audioSource: song.audioSource,
+      audioLicense: song.audioLicense,
+      additionalCredits: song.additionalCredits
+    });
+
+    // Set current URL before loading
+    this.currentUrl = song.url;
+    this.currentSong = song;
+    if (this.shuffleValue) this.shuffle.markPlayed(song); // Hand-picked songs count toward the cycle too
+    this.history.visit(song, this.playingFromUpNext);
+    this.listening?.start(song); // Ends the previous listen
+
+    this.loadPlaybackSettings(song);
+    this.loop = null; // Loops belong to a track; the loop region resets on audio:changed
+
+    // Dispatch track change event
+    this.dispatchTrackChange(song);
+    this.dispatchUpNextChange();
+  }
+
+  /**
+   * Tell the equalizer how loud the current track is
+   * Uses the measured values from the server when present, otherwise an
+   * estimate from the waveform peaks or the decoded audio.
+   * @param {Object} song - Song object from the queue
+   * @param {Object} [sources]
+   * @param {number[]} [sources.peaks] - Normalized waveform peaks
+   * @param {?AudioBuffer} [sources.audioBuffer] - Decoded audio (files without a waveform)
+   */
+  announceLoudness(song, { peaks = [], audioBuffer = null } = {}) {
+    const measured = Number.isFinite(song.loudness)
+    const trackLufs = measured
+      ? song.loudness
+      : audioBuffer ? estimateLoudnessFromAudio(audioBuffer) : estimateLoudnessFromPeaks(peaks)
+
+    emit("player:loudness:changed", {
+      url: song.url,
+      trackLufs,
+      albumLufs: Number.isFinite(song.albumLoudness) ? song.albumLoudness : null,
+      estimated: !measured
+    })
+  }
+
   /**
    * Toggle between play and pause states
    */
@@ -1124,6 +1772,19 @@ export default class extends Controller {
     this.wavesurfer.playPause()
   }
 
+  /**
+   * Mute or unmute playback
+   */
+  toggleMute() {
+    if (!this.wavesurfer) return
+
+    const muted = !this.wavesurfer.getMuted()
+    this.wavesurfer.setMuted(muted)
+    console.log("🎵 PLAYER:", muted ? "Muted" : "Unmuted")
+
+    emit("player:mute:changed", { muted })
+  }
+
   /**
    * Seek relative to current position
    * @param {number} seconds - Number of seconds to seek (positive = forward, negative = backward)
@@ -1139,6 +1800,771 @@ export default class extends Controller {
     this.wavesurfer.seekTo(newTime / duration)
   }
 
+  // ========================
+  //  Crossfade & Gapless
+  // ========================
+
+  /**
+   * Which transition is switched on
+   * Crossfade wins over gapless when both are set
+   * @returns {?string} 'crossfade', 'gapless' or null
+   */
+  transitionMode() {
+    if (this.crossfadeValue > 0) return 'crossfade'
+    return this.gaplessValue ? 'gapless' : null
+  }
+
+  /**
+   * Whether the current track flows into another one when it ends
+   * Mirrors the rules in handleTrackEnd
+   * @returns {boolean}
+   */
+  willAutoAdvance() {
+    if (this.sleepTimer.mode === 'track') return false
+    if (this.loop?.enabled) return false
+    if (this.repeatModeValue === 'one') return false
+    if (this.repeatModeValue === 'all' && this.currentQueue.length > 0) return true
+    return this.upNext.size > 0
+  }
+
+  /**
+   * Fade length for a track, never more than half of it
+   * @param {number} duration - Track length in seconds (at 1x)
+   * @returns {number} Real seconds at the current speed (0 for gapless or no transition)
+   */
+  crossfadeDuration(duration) {
+    if (this.transitionMode() !== 'crossfade') return 0
+    return Math.min(this.crossfadeValue, duration / this.playbackRate / 2)
+  }
+
+  /**
+   * Watch the playhead and prepare / start the transition to the next track
+   * @param {number} currentTime - Current playback position in seconds
+   */
+  handleTransitionTimeUpdate(currentTime) {
+    const mode = this.transitionMode()
+    if (!mode || this.isChangingTrack || this.fadingOut || !this.wavesurfer?.isPlaying()) return
+
+    // The sleep timer is fading out: let this track play on quietly instead
+    if (this.sleepLevel < 1) return
+
+    const duration = this.wavesurfer.getDuration()
+    if (!duration) return
+
+    // Real seconds left, so fades and the gapless timer follow the playback speed
+    const remaining = (duration - currentTime) / this.playbackRate
+    const fade = this.crossfadeDuration(duration)
+    const transition = this.transition
+
+    if (!transition) {
+      if (remaining <= fade + TRANSITION_PRELOAD_SECONDS && this.willAutoAdvance()) {
+        this.prepareTransition()
+      }
+      return
+    }
+
+    // The listener seeked back out of the window: drop the prepared track
+    if (remaining > fade + TRANSITION_PRELOAD_SECONDS + 2) {
+      this.cancelTransition()
+      return
+    }
+
+    if (!transition.ready || transition.started) return
+
+    if (mode === 'crossfade' && remaining <= fade) {
+      this.startTransition()
+    } else if (mode === 'gapless' && remaining <= GAPLESS_LOOKAHEAD_SECONDS && !transition.timer) {
+      // timeupdate only fires every ~250ms, so time the start with a timer.
+      // handleTrackEnd starts it instead if the timer runs late.
+      transition.timer = setTimeout(() => this.startTransition(), Math.max(0, remaining * 1000 - 20))
+    }
+  }
+
+  /**
+   * Pick the next track and start buffering it on the spare media element
+   */
+  async prepareTransition() {
+    const next = this.chooseNextTrack()
+    if (!next?.song?.url) return
+
+    const transition = { ...next, ready: false, started: false, failed: false, timer: null, hls: null, peaks: [], rawPeaks: [] }
+    this.transition = transition
+
+    // Nothing else to play (Repeat All on one song): don't fade into a second
+    // copy of this track; handleTrackEnd replays it from the start instead
+    if (this.isCurrentTrack(next)) {
+      transition.failed = true
+      return
+    }
+    console.log("⏭️ TRANSITION: Preparing", next.song.title)
+
+    try {
+      await this.refreshSoundCloudSong(next.song)
+      if (this.transition !== transition) return
+
+      const media = this.getSpareMedia()
+      this.applyPlaybackRate(media, loadSongPlayback(next.song.url).rate)
+
+      if (this.isHlsSong(next.song)) {
+        transition.hls = new Hls()
+        transition.hls.loadSource(next.song.url)
+        transition.hls.attachMedia(media)
+      } else {
+        media.src = await this.playableUrl(next.song)
+        media.load()
+      }
+      const buffered = this.waitForMediaBuffered(media)
+
+      // Songs without a waveform file may have browser-generated peaks from an earlier play
+      const rawPeaks = next.song.waveformUrl
+        ? await this.extractPeaks(next.song.waveformUrl, next.song)
+        : (await getCachedPeaks(next.song.url))?.peaks || []
+      transition.rawPeaks = rawPeaks
+      transition.peaks = next.song.duration > 0
+        ? this._resamplePeaks(rawPeaks, this.peakBarCount(next.song.duration))
+        : rawPeaks
+
+      await buffered
+      if (this.transition !== transition) return
+
+      transition.ready = true
+      console.log("✅ TRANSITION: Next track buffered")
+    } catch (error) {
+      if (this.transition !== transition) return
+
+      console.warn("⚠️ TRANSITION: Could not prepare next track:", error)
+      this.failTransition(transition)
+    }
+  }
+
+  /**
+   * Start the prepared track and hand the player over to it
+   * Crossfade ramps both tracks; gapless switches at full level
+   */
+  async startTransition() {
+    const transition = this.transition
+    if (!transition?.ready || transition.started || !this.wavesurfer) return
+
+    if (this.isCurrentTrack(transition)) {
+      this.failTransition(transition)
+      return
+    }
+
+    transition.started = true
+    clearTimeout(transition.timer)
+
+    const outgoing = this.wavesurfer.getMediaElement()
+    const incoming = this.spareMedia
+    const fade = this.crossfadeDuration(this.wavesurfer.getDuration())
+
+    // Both elements go through the EQ when it's active, so the fade happens in Web Audio
+    const outgoingGain = this.routeThroughEqualizer(outgoing)
+    const incomingGain = this.routeThroughEqualizer(incoming)
+
+    this.setMediaLevel(incoming, incomingGain, fade > 0 ? 0 : 1)
+    incoming.muted = outgoing.muted
+    incoming.currentTime = 0
+
+    try {
+      await incoming.play()
+    } catch (error) {
+      console.warn("🚫 TRANSITION: Next track could not start:", error)
+      if (this.transition !== transition) return
+
+      this.failTransition(transition)
+      // Already past the end: change track the normal way
+      if (outgoing.ended) this.handleTrackEnd()
+      return
+    }
+
+    // Cancelled (manual track change) while waiting for play()
+    if (this.transition !== transition) return
+
+    console.log(`🎚️ TRANSITION: ${fade > 0 ? `Crossfading over ${fade.toFixed(1)}s` : "Gapless"} into`, transition.song.title)
+
+    emit("audio:ended", { url: this.currentUrl })
+
+    this.fadeMediaLevel(outgoing, outgoingGain, 0, fade)
+    this.fadeMediaLevel(incoming, incomingGain, 1, fade)
+
+    // Swap roles: the outgoing element becomes the spare once it has faded out
+    this.transition = null
+    this.spareMedia = outgoing
+    this.fadingOut = { media: outgoing, hls: this.hls, timer: null }
+    this.fadingOut.timer = setTimeout(() => this.releaseFadingOut(), fade * 1000 + 100)
+    this.hls = transition.hls
+
+    this.commitNextTrack(transition)
+    this.handOffToMedia(incoming, transition.song, transition.peaks)
+
+    if (transition.rawPeaks.length > 0 || this.hls) {
+      this.announceLoudness(transition.song, { peaks: transition.rawPeaks })
+    } else {
+      // No waveform: estimate once WaveSurfer has decoded the file
+      this.wavesurfer.once('ready', () => {
+        this.announceLoudness(transition.song, { audioBuffer: this.wavesurfer.getDecodedData() })
+      })
+    }
+  }
+
+  /**
+   * Whether a next-track choice would just play the current song again
+   * Songs queued by hand may repeat on purpose, so they never count.
+   * @param {?{song: Object, fromUpNext: boolean}} next - From chooseNextTrack()
+   * @returns {boolean}
+   */
+  isCurrentTrack(next) {
+    return !!next && !next.fromUpNext && next.song?.url === this.currentUrl
+  }
+
+  /**
+   * @returns {boolean} Whether the next track would be the current song again
+   */
+  nextIsCurrentTrack() {
+    return this.isCurrentTrack(this.chooseNextTrack())
+  }
+
+  /**
+   * Give up on a transition and free the spare element
+   * The failed transition stays in place so it isn't retried on every
+   * timeupdate; handleTrackEnd then changes track the normal way.
+   * @param {Object} transition
+   */
+  failTransition(transition) {
+    transition.ready = false
+    transition.failed = true
+    clearTimeout(transition.timer)
+    transition.hls?.destroy()
+    transition.hls = null
+    this.resetMediaElement(this.spareMedia)
+  }
+
+  /**
+   * Point WaveSurfer and the UI at a media element that is already playing
+   * @param {HTMLMediaElement} media - Element playing the new track
+   * @param {Object} song - Song object for the new track
+   * @param {number[]} peaks - Resampled peaks (may be empty)
+   */
+  handOffToMedia(media, song, peaks) {
+    this.isChangingTrack = true
+
+    this.wavesurfer.once('ready', () => {
+      this.isChangingTrack = false
+    })
+    // Switch elements first so the new song's speed is applied to its own element
+    this.wavesurfer.setMediaElement(media)
+    this.announceSong(song)
+    this.dispatchStateChange(true)
+
+    const src = this.wavesurfer.getSrc()
+    const load = peaks.length > 0 || this.hls
+      ? this.wavesurfer.load(src, peaks.length > 0 ? peaks : [0], song.duration || media.duration)
+      : this.wavesurfer.load(src) // Decode for a waveform, like a normal load without peaks
+
+    // load() pauses the playing element before it starts; resume in the same
+    // turn so the new track plays on (handlePause ignores that pause)
+    this.wavesurfer.play().catch((error) => {
+      console.warn("🚫 TRANSITION: Next track stopped during handoff:", error)
+    })
+
+    load.catch((error) => {
+      console.error("❌ TRANSITION: Could not draw waveform for", song.title, error)
+      this.isChangingTrack = false
+    })
+  }
+
+  /**
+   * Drop a prepared (not yet handed-off) transition and clear the spare element
+   */
+  cancelTransition() {
+    const transition = this.transition
+    if (!transition) return
+
+    this.transition = null
+    clearTimeout(transition.timer)
+    transition.hls?.destroy()
+    if (this.spareMedia) this.resetMediaElement(this.spareMedia)
+    console.log("⏹️ TRANSITION: Cancelled prepared track")
+  }
+
+  /**
+   * Stop the previous track's fading tail and free its element
+   */
+  releaseFadingOut() {
+    const fading = this.fadingOut
+    if (!fading) return
+
+    this.fadingOut = null
+    clearTimeout(fading.timer)
+    fading.hls?.destroy()
+    this.resetMediaElement(fading.media)
+  }
+
+  /**
+   * The second audio element used to buffer the next track
+   * @returns {HTMLAudioElement}
+   */
+  getSpareMedia() {
+    if (!this.spareMedia) {
+      this.spareMedia = document.createElement("audio")
+      this.spareMedia.preload = "auto"
+      this.prepareMediaElement(this.spareMedia)
+    }
+    return this.spareMedia
+  }
+
+  /**
+   * Stop a media element, drop its source and restore full level
+   * @param {HTMLMediaElement} media
+   */
+  resetMediaElement(media) {
+    if (!media) return
+
+    media.pause()
+    media.removeAttribute("src")
+    media.load()
+    this.setMediaLevel(media, this.routeThroughEqualizer(media), 1)
+  }
+
+  /**
+   * Resolve once a media element has buffered enough to start playing
+   * @param {HTMLMediaElement} media
+   * @returns {Promise<void>}
+   */
+  waitForMediaBuffered(media) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        media.removeEventListener("canplay", handleReady)
+        media.removeEventListener("error", handleError)
+      }
+      const handleReady = () => {
+        cleanup()
+        resolve()
+      }
+      const handleError = () => {
+        cleanup()
+        reject(media.error || new Error("Media failed to load"))
+      }
+
+      media.addEventListener("canplay", handleReady)
+      media.addEventListener("error", handleError)
+    })
+  }
+
+  /**
+   * Route a media element through the equalizer's Web Audio graph
+   * @param {HTMLMediaElement} media
+   * @returns {?GainNode} The element's gain node, or null when the EQ isn't active
+   */
+  routeThroughEqualizer(media) {
+    const eqController = this.equalizerController()
+    return eqController?.isConnected ? eqController.routeMediaElement(media) : null
+  }
+
+  /**
+   * @returns {?Object} The music--equalizer controller
+   */
+  equalizerController() {
+    const eqElement = document.querySelector('[data-controller*="music--equalizer"]')
+    if (!eqElement) return null
+
+    return this.application.getControllerForElementAndIdentifier(eqElement, "music--equalizer")
+  }
+
+  /**
+   * @returns {?Object} The music--tab-sync controller
+   */
+  tabSyncController() {
+    const tabSyncElement = document.querySelector('[data-controller*="music--tab-sync"]')
+    if (!tabSyncElement) return null
+
+    return this.application.getControllerForElementAndIdentifier(tabSyncElement, "music--tab-sync")
+  }
+
+  /**
+   * Move playback to a fresh audio element at the same position
+   * Once Web Audio captures an element (createMediaElementSource) its sound
+   * only comes out through that graph, so switching the EQ off means carrying
+   * on with an element it never touched. The spare element may be captured
+   * too, so it's dropped and recreated on the next transition.
+   * @returns {Promise<void>}
+   */
+  async moveToDirectOutput() {
+    if (!this.wavesurfer) return
+
+    this.cancelTransition()
+    this.releaseFadingOut()
+    this.spareMedia = null
+
+    const outgoing = this.wavesurfer.getMediaElement()
+    const wasPlaying = this.wavesurfer.isPlaying()
+    const incoming = document.createElement("audio")
+    incoming.preload = "auto"
+    this.prepareMediaElement(incoming)
+    incoming.muted = outgoing.muted
+    incoming.playbackRate = outgoing.playbackRate
+    incoming.preservesPitch = outgoing.preservesPitch
+    this.setMediaLevel(incoming, null, this.sleepLevel)
+
+    const hasSource = !!(this.hls || outgoing.currentSrc)
+    if (this.hls) {
+      this.hls.detachMedia()
+      this.hls.attachMedia(incoming)
+    } else if (hasSource) {
+      incoming.src = outgoing.currentSrc
+    }
+
+    if (hasSource) {
+      try {
+        await this.waitForMediaBuffered(incoming)
+      } catch (error) {
+        console.error("❌ EQ OFF: Could not load the track on a new element:", error)
+      }
+      incoming.currentTime = outgoing.currentTime
+    }
+
+    // Swap before pausing, so WaveSurfer doesn't report the pause
+    this.wavesurfer.setMediaElement(incoming)
+    outgoing.pause()
+    if (!this.hls) {
+      outgoing.removeAttribute("src")
+      outgoing.load()
+    }
+
+    if (wasPlaying) {
+      await incoming.play().catch(error => console.warn("🚫 EQ OFF: Could not resume playback:", error))
+    }
+    console.log("🎵 PLAYER: Moved playback to direct output at", incoming.currentTime.toFixed(1), "s")
+  }
+
+  /**
+   * Set a media element's level straight away
+   * @param {HTMLMediaElement} media
+   * @param {?GainNode} gainNode - The element's EQ gain node, if routed
+   * @param {number} level - 0 to 1
+   */
+  setMediaLevel(media, gainNode, level) {
+    clearTimeout(this.volumeFades?.get(media))
+    this.volumeFades?.delete(media)
+
+    if (gainNode) {
+      const now = gainNode.context.currentTime
+      gainNode.gain.cancelScheduledValues(now)
+      gainNode.gain.setValueAtTime(level, now)
+    } else {
+      media.volume = level
+    }
+  }
+
+  /**
+   * Ramp a media element's level over time
+   * @param {HTMLMediaElement} media
+   * @param {?GainNode} gainNode - The element's EQ gain node, if routed
+   * @param {number} level - Target level, 0 to 1
+   * @param {number} seconds - Ramp length
+   */
+  fadeMediaLevel(media, gainNode, level, seconds) {
+    if (seconds <= 0) {
+      this.setMediaLevel(media, gainNode, level)
+      return
+    }
+
+    if (gainNode) {
+      const now = gainNode.context.currentTime
+      gainNode.gain.cancelScheduledValues(now)
+      gainNode.gain.setValueAtTime(gainNode.gain.value, now)
+      gainNode.gain.linearRampToValueAtTime(level, now + seconds)
+      return
+    }
+
+    // No Web Audio route (mobile without EQ): step the element volume.
+    // iOS ignores element volume, so tracks simply overlap there.
+    this.volumeFades ||= new Map()
+    const from = media.volume
+    const startedAt = performance.now()
+
+    const step = () => {
+      const progress = Math.min(1, (performance.now() - startedAt) / (seconds * 1000))
+      media.volume = from + (level - from) * progress
+
+      if (progress < 1) {
+        this.volumeFades.set(media, setTimeout(step, 50))
+      } else {
+        this.volumeFades.delete(media)
+      }
+    }
+    step()
+  }
+
+  // ========================
+  //  Sleep Timer
+  // ========================
+
+  /**
+   * Start, change or cancel the sleep timer
+   * @param {{mode: string, minutes?: number}} choice - mode is 'off', 'minutes' or 'track'
+   */
+  setSleepTimer(choice) {
+    this.sleepTimer = createSleepTimer(choice)
+    saveSleepTimer(this.sleepTimer)
+    console.log("😴 SLEEP: Timer set", this.sleepTimer)
+
+    // Back to full level if a fade was under way
+    this.applySleepLevel(1)
+
+    // 'End of track' changes whether the track flows into the next one
+    this.cancelTransition()
+
+    if (this.sleepTimer.mode === "off") {
+      this.stopSleepTicker()
+    } else {
+      this.startSleepTicker()
+    }
+
+    this.dispatchSleepTimerChange()
+  }
+
+  startSleepTicker() {
+    clearInterval(this.sleepTicker)
+    this.sleepTicker = setInterval(() => this.handleSleepTick(), 1000)
+  }
+
+  stopSleepTicker() {
+    clearInterval(this.sleepTicker)
+    this.sleepTicker = null
+  }
+
+  /**
+   * Fade out over the last seconds and stop when the timer runs out
+   * 'End of track' stops in handleTrackEnd instead.
+   */
+  handleSleepTick() {
+    const remaining = this.sleepTimerRemaining()
+
+    if (this.sleepTimer.mode === "minutes" && remaining <= 0) {
+      this.sleepNow()
+      return
+    }
+
+    if (this.wavesurfer?.isPlaying()) {
+      this.applySleepLevel(sleepFadeLevel(remaining))
+    }
+  }
+
+  /**
+   * Seconds until the sleep timer stops playback
+   * @returns {?number}
+   */
+  sleepTimerRemaining() {
+    return sleepTimerRemaining(this.sleepTimer, {
+      currentTime: this.wavesurfer?.getCurrentTime() || 0,
+      duration: this.wavesurfer?.getDuration() || 0,
+      rate: this.playbackRate
+    })
+  }
+
+  /**
+   * Ramp the playing element toward a sleep fade level
+   * @param {number} level - 0 to 1
+   */
+  applySleepLevel(level) {
+    if (level === this.sleepLevel) return
+
+    // A crossfade can't start once the fade-out begins
+    if (level < 1 && this.sleepLevel === 1) this.cancelTransition()
+
+    this.sleepLevel = level
+
+    const media = this.wavesurfer?.getMediaElement()
+    if (!media) return
+
+    // One-second ramps match the ticker, so the fade is smooth
+    this.fadeMediaLevel(media, this.routeThroughEqualizer(media), level, 1)
+  }
+
+  /**
+   * The timer ran out: stop playback and switch the timer off
+   * Pausing dispatches player:state:changed, which keeps the Media Session
+   * (lock screen) showing paused.
+   */
+  sleepNow() {
+    console.log("😴 SLEEP: Timer finished, stopping playback")
+
+    this.stopSleepTicker()
+    this.cancelTransition()
+    this.releaseFadingOut()
+
+    if (this.wavesurfer?.isPlaying()) {
+      this.wavesurfer.pause()
+    } else {
+      this.handlePause()
+    }
+
+    this.sleepTimer = SLEEP_TIMER_OFF
+    saveSleepTimer(this.sleepTimer)
+
+    // Restore the level so the next play (lock screen or in-app) isn't silent
+    this.sleepLevel = 1
+    const media = this.wavesurfer?.getMediaElement()
+    if (media) this.setMediaLevel(media, this.routeThroughEqualizer(media), 1)
+
+    this.dispatchSleepTimerChange({ finished: true })
+  }
+
+  /**
+   * Tell the settings menu what the timer is doing
+   * @param {{finished?: boolean}} [options]
+   */
+  dispatchSleepTimerChange({ finished = false } = {}) {
+    emit("player:sleep-timer:changed", {
+      mode: this.sleepTimer.mode,
+      minutes: this.sleepTimer.minutes ?? null,
+      endsAt: this.sleepTimer.endsAt ?? null,
+      finished
+    })
+  }
+
+  // ========================
+  //  Playback Speed & Pitch
+  // ========================
+
+  /**
+   * Switch to a song's saved speed and pitch
+   * @param {Object} song - Song object from the queue
+   */
+  loadPlaybackSettings(song) {
+    const { rate, semitones } = loadSongPlayback(song.url)
+    this.playbackRate = rate
+    this.pitchSemitones = semitones
+
+    this.applyPlaybackRate(this.wavesurfer?.getMediaElement())
+    this.dispatchPlaybackRateChange()
+  }
+
+  /**
+   * Re-read saved speed, pitch and pitch preservation after a preferences sync
+   */
+  reloadPlaybackSettings() {
+    this.preservePitch = loadPreservePitch()
+
+    if (this.currentSong) {
+      // The track's real-time length may have changed, so re-time any prepared transition
+      this.cancelTransition()
+      this.loadPlaybackSettings(this.currentSong)
+    } else {
+      this.applyPlaybackRate(this.wavesurfer?.getMediaElement())
+      this.dispatchPlaybackRateChange()
+    }
+  }
+
+  /**
+   * Change speed, pitch shift or pitch preservation
+   * Speed and pitch are remembered for the current song.
+   * @param {{rate?: number, semitones?: number, preservePitch?: boolean}} changes
+   */
+  setPlayback({ rate, semitones, preservePitch }) {
+    if (rate !== undefined) this.playbackRate = clampRate(rate)
+    if (semitones !== undefined) this.pitchSemitones = clampSemitones(semitones)
+    if (preservePitch !== undefined) {
+      this.preservePitch = !!preservePitch
+      savePreservePitch(this.preservePitch)
+    }
+
+    if (this.currentUrl) {
+      saveSongPlayback(this.currentUrl, { rate: this.playbackRate, semitones: this.pitchSemitones })
+    }
+
+    console.log(`⏩ SPEED: ${this.playbackRate}x, pitch ${this.pitchSemitones >= 0 ? "+" : ""}${this.pitchSemitones} st, preserve pitch ${this.preservePitch}`)
+
+    this.applyPlaybackRate(this.wavesurfer?.getMediaElement())
+
+    // The track's real-time length changed, so re-time any prepared transition
+    this.cancelTransition()
+    this.dispatchPlaybackRateChange()
+  }
+
+  /**
+   * Set speed on a media element
+   * defaultPlaybackRate too, because loading a new src resets playbackRate to it.
+   * @param {?HTMLMediaElement} media
+   * @param {number} [rate]
+   */
+  applyPlaybackRate(media, rate = this.playbackRate) {
+    if (!media) return
+
+    media.defaultPlaybackRate = rate
+    media.playbackRate = rate
+    media.preservesPitch = this.preservePitch
+  }
+
+  /**
+   * Tell the settings menu, equalizer (pitch shift) and Media Session
+   */
+  dispatchPlaybackRateChange() {
+    emit("player:playback-rate:changed", {
+      rate: this.playbackRate,
+      semitones: this.pitchSemitones,
+      preservePitch: this.preservePitch,
+      url: this.currentUrl
+    })
+  }
+
+  // ========================
+  //  A–B Loop
+  // ========================
+
+  /**
+   * Set, change or clear the A–B loop
+   * While it's on, the loop wins over repeat and auto-advance; turning it
+   * off hands control back to the repeat mode.
+   * @param {?{start: number, end: number, enabled: boolean}} loop - null start clears it
+   */
+  setLoop({ start = null, end = null, enabled = false } = {}) {
+    this.loop = start === null || end === null || end <= start
+      ? null
+      : { start, end, enabled: !!enabled }
+
+    console.log("🔂 LOOP:", this.loop ? `${this.loop.start.toFixed(2)}s – ${this.loop.end.toFixed(2)}s, ${this.loop.enabled ? "on" : "off"}` : "cleared")
+
+    if (!this.loop?.enabled) return
+
+    // A loop never reaches the end of the track, so drop any prepared transition
+    this.cancelTransition()
+
+    const currentTime = this.wavesurfer?.getCurrentTime() || 0
+    if (currentTime < this.loop.start || currentTime >= this.loop.end) {
+      this.wavesurfer?.setTime(this.loop.start)
+    }
+    this.lastLoopTime = this.loop.start
+  }
+
+  /**
+   * Jump back to A when playback crosses B
+   * Only when crossing from inside, so the listener can still seek past B.
+   * @param {number} currentTime - Current playback position in seconds
+   */
+  handleLoopTimeUpdate(currentTime) {
+    const loop = this.loop
+    const crossedEnd = loop?.enabled && this.lastLoopTime < loop.end && currentTime >= loop.end
+    this.lastLoopTime = currentTime
+
+    if (crossedEnd) this.restartLoop()
+  }
+
+  /**
+   * Play again from A
+   */
+  restartLoop() {
+    this.lastLoopTime = this.loop.start
+    this.wavesurfer.setTime(this.loop.start)
+
+    if (!this.wavesurfer.isPlaying()) {
+      this.wavesurfer.play()?.catch((error) => {
+        console.warn("🚫 LOOP: Could not restart loop:", error)
+      })
+    }
+  }
+
   // ========================
   //  Track Loading
   // ========================
@@ -1158,11 +2584,29 @@ export default class extends Controller {
 
   /**
    * Dispatch track change event
-   * @param {string} url - New track URL
+   * @param {Object} song - New track
    */
   dispatchTrackChange(song) {
     this.currentUrl = song.url
-    window.dispatchEvent(new CustomEvent("audio:changed", { detail: { url: song.url, id: song.id } }))
+    emit("audio:changed", this.trackChangeDetail(song))
+  }
+
+  /**
+   * audio:changed detail: the track plus its album/artist/genre for the EQ defaults
+   * @param {Object} song
+   * @returns {Object}
+   */
+  trackChangeDetail(song) {
+    return {
+      url: song.url,
+      id: song.id,
+      albumId: song.albumId ?? null,
+      album: song.album ?? null,
+      artistId: song.artistId ?? null,
+      artist: song.artist ?? null,
+      genreId: song.genreId ?? null,
+      genre: song.genre ?? null
+    }
   }
 
   /**
@@ -1190,9 +2634,7 @@ export default class extends Controller {
     this.updateAutoAdvanceUI()
     
     // Dispatch event to inform other components
-    document.dispatchEvent(new CustomEvent("player:auto-advance:changed", {
-      detail: { enabled: this.autoAdvanceValue }
-    }))
+    emit("player:auto-advance:changed", { enabled: this.autoAdvanceValue })
   }
 
   // Set the current index in the queue
@@ -1225,12 +2667,11 @@ export default class extends Controller {
    */
   updateTimeDisplay(currentTime) {
     if (this.wavesurfer.getDuration()) {
-      document.dispatchEvent(new CustomEvent("player:time:update", {
-        detail: {
-          current: currentTime,
-          duration: this.wavesurfer.getDuration()
-        }
-      }))
+      emit("player:time:update", {
+        current: currentTime,
+        duration: this.wavesurfer.getDuration(),
+        rate: this.playbackRate
+      })
     }
   }
 
@@ -1239,15 +2680,13 @@ export default class extends Controller {
    * @param {Object} details - Banner details
    */
   updateBanner({ banner, bannerMobile, bannerVideo, title, artist }) {
-    document.dispatchEvent(new CustomEvent("music:banner:update", {
-      detail: {
-        image: banner,
-        imageMobile: bannerMobile,
-        video: bannerVideo,
-        title: title || "Unknown Track",
-        subtitle: artist || "Unknown Artist"
-      }
-    }))
+    emit("music:banner:update", {
+      image: banner,
+      imageMobile: bannerMobile,
+      video: bannerVideo,
+      title: title || "Unknown Track",
+      subtitle: artist || "Unknown Artist"
+    })
   }
 
   /**
@@ -1258,18 +2697,16 @@ export default class extends Controller {
     console.log("Player dispatching credits update:", {
       title, artist, imageCredit, imageCreditUrl, imageLicense, audioSource, audioLicense, additionalCredits
     })
-    document.dispatchEvent(new CustomEvent("music:credits:update", {
-      detail: {
-        title: title || "Unknown Track",
-        artist: artist || "Unknown Artist",
-        imageCredit,
-        imageCreditUrl,
-        imageLicense,
-        audioSource,
-        audioLicense,
-        additionalCredits
-      }
-    }))
+    emit("music:credits:update", {
+      title: title || "Unknown Track",
+      artist: artist || "Unknown Artist",
+      imageCredit,
+      imageCreditUrl,
+      imageLicense,
+      audioSource,
+      audioLicense,
+      additionalCredits
+    })
   }
 
   /**
@@ -1353,9 +2790,7 @@ export default class extends Controller {
    */
   handleAudioError() {
     this.hideLoadingIndicator()
-    window.dispatchEvent(new CustomEvent("audio:error", {
-      detail: { url: this.currentUrl }
-    }))
+    emit("audio:error", { url: this.currentUrl })
   }
 
   // ========================
@@ -1366,6 +2801,9 @@ export default class extends Controller {
    * Properly destroy WaveSurfer instance
    */
   destroyWaveSurfer() {
+    this.cancelTransition()
+    this.releaseFadingOut()
+
     if (this.wavesurfer) {
       try {
         this.wavesurfer.pause()
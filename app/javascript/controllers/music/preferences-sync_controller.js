@@ -0,0 +1,81 @@
+// app/javascript/controllers/music/preferences-sync_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { syncPreferences } from "zuke/preferences_sync"
+import { emit } from "zuke/player_events"
+
+// How often to look for local changes while the page is open
+const SYNC_INTERVAL_MS = 60 * 1000
+
+/**
+ * Preferences Sync Controller
+ *
+ * Rendered only for signed-in listeners. Syncs player preferences with the
+ * server on load, every minute, when the connection comes back and when the
+ * page is hidden (the request is kept alive past a close, and goes out even
+ * while another sync is running, since the page may not get another chance).
+ *
+ * Announces `preferences:synced { keys }` on document when the server
+ * replaced local values (or another listener's were cleared), so controllers
+ * can pick them up without a reload.
+ */
+export default class extends Controller {
+  static values = {
+    url: String,
+    userId: String
+  }
+
+  connect() {
+    this.syncing = false
+
+    this.boundSync = () => this.sync()
+    this.boundVisibilityChange = () => this.sync({ keepalive: document.hidden })
+
+    window.addEventListener("online", this.boundSync)
+    document.addEventListener("visibilitychange", this.boundVisibilityChange)
+    this.interval = setInterval(this.boundSync, SYNC_INTERVAL_MS)
+
+    this.sync()
+  }
+
+  disconnect() {
+    window.removeEventListener("online", this.boundSync)
+    document.removeEventListener("visibilitychange", this.boundVisibilityChange)
+    clearInterval(this.interval)
+  }
+
+  /**
+   * One sync at a time; a sync asked for meanwhile is dropped, the next tick catches it.
+   * A keepalive sync (the page is being hidden) always goes out.
+   * @param {{keepalive?: boolean}} options
+   */
+  async sync({ keepalive = false } = {}) {
+    if (!this.urlValue || (this.syncing && !keepalive)) return
+    if (keepalive) return this.send({ keepalive })
+
+    this.syncing = true
+    try {
+      await this.send()
+    } finally {
+      this.syncing = false
+    }
+  }
+
+  /**
+   * Sync once and announce what changed
+   * @param {{keepalive?: boolean}} options
+   */
+  async send({ keepalive = false } = {}) {
+    try {
+      const { changedKeys, offline } = await syncPreferences({ url: this.urlValue, userId: this.userIdValue, keepalive })
+
+      if (offline) console.log("☁️ PREFS: Offline - changes will sync when the connection is back")
+
+      if (changedKeys.length > 0) {
+        console.log("☁️ PREFS: Updated by the sync:", changedKeys)
+        emit("preferences:synced", { keys: changedKeys })
+      }
+    } catch (error) {
+      console.warn("☁️ PREFS: Sync failed, will retry:", error)
+    }
+  }
+}
@@ -0,0 +1,146 @@
+// app/javascript/controllers/music/queue_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Up Next Queue Controller
+ *
+ * Renders the player's "Up Next" panel:
+ * - Now playing song
+ * - Songs queued by hand (play next / add to queue)
+ * - The rest of the song list in play order
+ *
+ * The player owns the queue. This controller only draws what the player
+ * broadcasts on `player:up-next:changed` and sends edits back as events.
+ */
+export default class extends Controller {
+  static targets = [
+    "panel",
+    "count",
+    "nowPlaying",
+    "upNextList",
+    "upNextEmpty",
+    "upcomingList",
+    "shuffleMessage",
+    "clearButton",
+    "itemTemplate"
+  ]
+
+  connect() {
+    this.boundHandleChange = this.handleChange.bind(this)
+    on("player:up-next:changed", this.boundHandleChange)
+
+    // Ask the player for its current state
+    emit("player:up-next:request")
+  }
+
+  disconnect() {
+    off("player:up-next:changed", this.boundHandleChange)
+  }
+
+  /**
+   * Toggle Up Next panel visibility
+   */
+  togglePanel() {
+    this.panelTarget.classList.toggle("hidden")
+  }
+
+  /**
+   * Redraw the panel from the player's queue state
+   * @param {CustomEvent} event - player:up-next:changed
+   */
+  handleChange(event) {
+    const { nowPlaying, upNext, upcoming, shuffle } = event.detail
+
+    this.nowPlayingTarget.textContent = nowPlaying
+      ? `${nowPlaying.title || "Unknown Track"} — ${nowPlaying.artist || "Unknown Artist"}`
+      : "Nothing playing"
+
+    this.renderList(this.upNextListTarget, upNext.map((song, index) => ({ song, index })))
+    this.upNextEmptyTarget.classList.toggle("hidden", upNext.length > 0)
+    this.clearButtonTarget.disabled = upNext.length === 0
+
+    this.renderList(this.upcomingListTarget, upcoming)
+    this.shuffleMessageTarget.classList.toggle("hidden", !shuffle)
+
+    this.countTarget.textContent = upNext.length
+    this.countTarget.classList.toggle("hidden", upNext.length === 0)
+  }
+
+  /**
+   * Fill a list with rows built from the item template
+   * @param {HTMLElement} list - Target <ul>
+   * @param {Array<{song: Object, index: number}>} items
+   */
+  renderList(list, items) {
+    list.replaceChildren(...items.map(({ song, index }) => {
+      const row = this.itemTemplateTarget.content.firstElementChild.cloneNode(true)
+      row.dataset.index = index
+      row.querySelector('[data-field="title"]').textContent = song.title || "Unknown Track"
+      row.querySelector('[data-field="artist"]').textContent = song.artist || "Unknown Artist"
+      return row
+    }))
+  }
+
+  // ========================
+  //  Queue Edits
+  // ========================
+
+  remove(event) {
+    const row = event.currentTarget.closest("li")
+    emit("player:up-next:remove", { source: this.sourceFor(row), index: Number(row.dataset.index) })
+  }
+
+  clear() {
+    emit("player:up-next:clear")
+  }
+
+  // ========================
+  //  Drag to Reorder
+  // ========================
+
+  dragStart(event) {
+    const row = event.currentTarget
+    this.dragging = { source: this.sourceFor(row), index: Number(row.dataset.index) }
+    event.dataTransfer.effectAllowed = "move"
+    row.classList.add("opacity-50")
+  }
+
+  dragOver(event) {
+    // Only allow drops within the same section
+    if (!this.dragging || this.sourceFor(event.currentTarget) !== this.dragging.source) return
+
+    event.preventDefault()
+    event.dataTransfer.dropEffect = "move"
+    event.currentTarget.classList.add("border-lime-500")
+  }
+
+  dragLeave(event) {
+    event.currentTarget.classList.remove("border-lime-500")
+  }
+
+  drop(event) {
+    event.preventDefault()
+    const row = event.currentTarget
+    row.classList.remove("border-lime-500")
+
+    if (!this.dragging || this.sourceFor(row) !== this.dragging.source) return
+
+    const to = Number(row.dataset.index)
+    if (to !== this.dragging.index) {
+      emit("player:up-next:move", { source: this.dragging.source, from: this.dragging.index, to })
+    }
+  }
+
+  dragEnd(event) {
+    event.currentTarget.classList.remove("opacity-50")
+    this.dragging = null
+  }
+
+  /**
+   * Which section a row belongs to ('upNext' or 'list')
+   */
+  sourceFor(row) {
+    return row.closest("ul")?.dataset.source
+  }
+}
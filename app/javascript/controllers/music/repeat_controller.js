@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { savePreference } from "zuke/preferences_sync"
+import { emit, on, off } from "zuke/player_events"
 
 /**
  * Repeat Mode Controller
@@ -25,13 +27,31 @@ export default class extends Controller {
     if (!savedMode) {
       const oldAutoAdvance = localStorage.getItem("playerAutoAdvance") === "true"
       this.modeValue = oldAutoAdvance ? "all" : "off"
-      localStorage.setItem("playerRepeat", this.modeValue)
+      savePreference("playerRepeat", this.modeValue)
     } else {
       this.modeValue = savedMode
     }
 
     this.updateUI()
     this.dispatchState()
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Pick up a repeat mode another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (!event.detail.keys.includes("playerRepeat")) return
+
+    this.modeValue = localStorage.getItem("playerRepeat") || "off"
+    this.dispatchState()
   }
 
   /**
@@ -43,7 +63,7 @@ export default class extends Controller {
     const nextIndex = (currentIndex + 1) % modes.length
 
     this.modeValue = modes[nextIndex]
-    localStorage.setItem("playerRepeat", this.modeValue)
+    savePreference("playerRepeat", this.modeValue)
 
     console.log("🔁 Repeat mode changed to:", this.modeValue)
     this.updateUI()
@@ -88,9 +108,7 @@ export default class extends Controller {
    * Dispatch event to player controller
    */
   dispatchState() {
-    document.dispatchEvent(new CustomEvent("player:repeat:changed", {
-      detail: { mode: this.modeValue }
-    }))
+    emit("player:repeat:changed", { mode: this.modeValue })
   }
 
   /**
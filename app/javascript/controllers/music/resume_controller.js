@@ -0,0 +1,58 @@
+// app/javascript/controllers/music/resume_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Resume Prompt Controller
+ *
+ * Shows "Resume where you left off" after the player restores a saved
+ * session. Hidden again as soon as playback starts or the listener
+ * dismisses it.
+ */
+export default class extends Controller {
+  static targets = ["container", "title", "position"]
+
+  connect() {
+    this.boundHandleRestored = this.handleRestored.bind(this)
+    this.boundHandleState = this.handleState.bind(this)
+
+    on("player:session:restored", this.boundHandleRestored)
+    on("player:state:changed", this.boundHandleState)
+  }
+
+  disconnect() {
+    off("player:session:restored", this.boundHandleRestored)
+    off("player:state:changed", this.boundHandleState)
+  }
+
+  handleRestored(event) {
+    const { song, position } = event.detail
+
+    this.titleTarget.textContent = song.title || "Unknown Track"
+    this.positionTarget.textContent = position > 0 ? `at ${this.formatTime(position)}` : ""
+    this.containerTarget.classList.remove("hidden")
+  }
+
+  handleState(event) {
+    if (event.detail.playing) this.hide()
+  }
+
+  resume() {
+    emit("player:play")
+    this.hide()
+  }
+
+  dismiss() {
+    this.hide()
+  }
+
+  hide() {
+    this.containerTarget.classList.add("hidden")
+  }
+
+  formatTime(seconds) {
+    const mins = Math.floor(seconds / 60)
+    const secs = Math.floor(seconds % 60).toString().padStart(2, "0")
+    return `${mins}:${secs}`
+  }
+}
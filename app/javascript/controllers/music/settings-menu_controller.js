@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { emit } from "zuke/player_events"
 
 export default class extends Controller {
   static targets = ["menu", "trigger"]
@@ -58,6 +59,30 @@ export default class extends Controller {
     }
   }
 
+  // Open the keyboard shortcuts cheat sheet
+  showShortcuts() {
+    this.openValue = false
+    emit("player:shortcuts:show")
+  }
+
+  // Start selecting an A–B loop on the waveform
+  selectLoop() {
+    this.openValue = false
+    emit("player:loop:select")
+  }
+
+  // Open the offline downloads manager
+  showDownloads() {
+    this.openValue = false
+    emit("offline:manager:show")
+  }
+
+  // Open the headphone correction profiles
+  showHeadphoneCorrection() {
+    this.openValue = false
+    emit("equalizer:correction:show")
+  }
+
   // Prevent menu from closing when clicking inside it
   preventClose(event) {
     // Don't stop propagation for links - let Turbo handle them
@@ -1,9 +1,12 @@
 import { Controller } from "@hotwired/stimulus"
+import { savePreference } from "zuke/preferences_sync"
+import { emit, on, off } from "zuke/player_events"
 
 export default class extends Controller {
   static classes = ["active", "inactive"]
   static values = {
-    active: { type: Boolean, default: false }
+    active: { type: Boolean, default: false },
+    seed: Number // Optional: the same seed and list give the same shuffle order
   }
 
   connect() {
@@ -14,18 +17,33 @@ export default class extends Controller {
 
     // Initialize player state
     this.dispatchState()
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Pick up the shuffle setting another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (!event.detail.keys.includes("playerShuffle")) return
+
+    this.activeValue = localStorage.getItem("playerShuffle") === "true"
   }
 
   toggle() {
     this.activeValue = !this.activeValue
-    localStorage.setItem("playerShuffle", this.activeValue)
+    savePreference("playerShuffle", this.activeValue)
     this.dispatchState()
   }
 
   dispatchState() {
-    document.dispatchEvent(new CustomEvent("player:shuffle:changed", {
-      detail: { enabled: this.activeValue }
-    }))
+    emit("player:shuffle:changed", { enabled: this.activeValue, seed: this.hasSeedValue ? this.seedValue : undefined })
   }
 
   activeValueChanged() {
@@ -0,0 +1,102 @@
+// app/javascript/controllers/music/sleep-timer_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Sleep Timer Controller
+ *
+ * Settings menu control for the sleep timer: stop after 15/30/60 minutes or
+ * at the end of the current track, with a live countdown.
+ *
+ * The player runs the timer (so it keeps going while this menu is closed or
+ * re-rendered); this controller sends `player:sleep-timer:set` and mirrors
+ * `player:sleep-timer:changed`.
+ */
+export default class extends Controller {
+  static targets = ["select", "countdown"]
+
+  connect() {
+    this.timer = { mode: "off" }
+    this.trackRemaining = null
+
+    this.boundHandleChange = this.handleTimerChange.bind(this)
+    this.boundHandleTime = this.handleTimeUpdate.bind(this)
+    on("player:sleep-timer:changed", this.boundHandleChange)
+    on("player:time:update", this.boundHandleTime)
+
+    // Pick up a timer that's already running (e.g. after a Turbo navigation)
+    emit("player:sleep-timer:request")
+  }
+
+  disconnect() {
+    clearInterval(this.ticker)
+    off("player:sleep-timer:changed", this.boundHandleChange)
+    off("player:time:update", this.boundHandleTime)
+  }
+
+  /**
+   * Listener picked a timer
+   */
+  change() {
+    const value = this.selectTarget.value
+    const detail = value === "off" || value === "track"
+      ? { mode: value }
+      : { mode: "minutes", minutes: Number(value) }
+
+    emit("player:sleep-timer:set", detail)
+  }
+
+  /**
+   * @param {CustomEvent} event - player:sleep-timer:changed { mode, minutes, endsAt, finished }
+   */
+  handleTimerChange(event) {
+    this.timer = event.detail
+    this.selectTarget.value = this.timer.mode === "minutes" ? String(this.timer.minutes) : this.timer.mode
+
+    clearInterval(this.ticker)
+    if (this.timer.mode === "minutes") {
+      this.ticker = setInterval(() => this.renderCountdown(), 1000)
+    }
+
+    this.renderCountdown()
+  }
+
+  /**
+   * Track position, for the 'end of track' countdown
+   * @param {CustomEvent} event - player:time:update { current, duration, rate }
+   */
+  handleTimeUpdate(event) {
+    const { current, duration, rate = 1 } = event.detail
+    this.trackRemaining = duration ? Math.max(0, duration - current) / rate : null
+
+    if (this.timer.mode === "track") this.renderCountdown()
+  }
+
+  renderCountdown() {
+    let remaining = null
+
+    if (this.timer.mode === "minutes") {
+      remaining = Math.max(0, (this.timer.endsAt - Date.now()) / 1000)
+    } else if (this.timer.mode === "track") {
+      remaining = this.trackRemaining
+    }
+
+    this.countdownTarget.textContent = remaining === null ? "" : this.formatTime(remaining)
+    this.countdownTarget.classList.toggle("hidden", remaining === null)
+  }
+
+  /**
+   * @param {number} seconds
+   * @returns {string} m:ss or h:mm:ss
+   */
+  formatTime(seconds) {
+    const total = Math.ceil(seconds)
+    const hours = Math.floor(total / 3600)
+    const minutes = Math.floor((total % 3600) / 60)
+    const secs = String(total % 60).padStart(2, "0")
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+      : `${minutes}:${secs}`
+  }
+}
@@ -1,14 +1,17 @@
 // app/javascript/controllers/smart_image_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { isDownloaded } from "zuke/offline_store"
+import { emit, on, off } from "zuke/player_events"
 
 export default class extends Controller {
-  static targets = ["playButton"]
+  static targets = ["playButton", "downloadButton"]
   static values = {
     id: String,
     url: String,
     title: String,
     artist: String,
     banner: String,
+    gridBanner: String,
     bannerMobile: String,
     bannerVideo: String,
     imageCredit: String,
@@ -23,11 +26,13 @@ export default class extends Controller {
 
   connect() {
     // Only keep track of current song
-    window.addEventListener("audio:changed", this.handleSongChange.bind(this))
+    this.boundHandleSongChange = this.handleSongChange.bind(this)
+    on("audio:changed", this.boundHandleSongChange)
+    this.updateDownloadState()
   }
 
   disconnect() {
-    window.removeEventListener("audio:changed", this.handleSongChange)
+    off("audio:changed", this.boundHandleSongChange)
   }
 
   playRequest(e) {
@@ -35,31 +40,83 @@ export default class extends Controller {
     const playOnLoad = localStorage.getItem("audioPlayOnLoad") === "true"
     const updateBanner = true
 
-    window.dispatchEvent(new CustomEvent("player:play-requested", {
-      detail: {
-        id: this.idValue,
-        url: this.urlValue,
-        title: this.titleValue,
-        artist: this.artistValue,
-        banner: this.bannerValue,
-        bannerMobile: this.bannerMobileValue,
-        bannerVideo: this.bannerVideoValue,
-        playOnLoad: playOnLoad,
-        updateBanner: updateBanner,
-        imageCredit: this.imageCreditValue,
-        imageCreditUrl: this.imageCreditUrlValue,
-        imageLicense: this.imageLicenseValue,
-        audioSource: this.audioSourceValue,
-        audioLicense: this.audioLicenseValue,
-        additionalCredits: this.additionalCreditsValue,
-        waveformUrl: this.waveformUrlValue, // Pass waveformUrl
-        duration: this.durationValue,       // Pass duration
-      }
-    }))
+    emit("player:play-requested", {
+      ...this.songDetail(),
+      playOnLoad: playOnLoad,
+      updateBanner: updateBanner,
+    })
 
     this.currentUrl = this.urlValue
   }
 
+  // Queue this song right after the one that is playing
+  playNext(e) {
+    e.preventDefault()
+    e.stopPropagation()
+    this.queueRequest("next", e.currentTarget)
+  }
+
+  // Queue this song at the end of Up Next
+  addToQueue(e) {
+    e.preventDefault()
+    e.stopPropagation()
+    this.queueRequest("end", e.currentTarget)
+  }
+
+  queueRequest(position, button) {
+    emit("player:up-next:add", { song: this.songDetail(), position })
+
+    // Brief confirmation on the button that was pressed
+    if (button) {
+      button.classList.add("text-lime-400")
+      setTimeout(() => button.classList.remove("text-lime-400"), 1000)
+    }
+  }
+
+  // Download this song for offline play, or open the manager if it's already downloaded
+  download(e) {
+    e.preventDefault()
+    e.stopPropagation()
+
+    if (isDownloaded({ id: this.idValue })) {
+      emit("offline:manager:show")
+      return
+    }
+
+    emit("offline:download:requested", { songs: [this.songDetail()] })
+  }
+
+  // Highlight the download button for songs that are available offline
+  updateDownloadState() {
+    if (!this.hasDownloadButtonTarget) return
+
+    const downloaded = isDownloaded({ id: this.idValue })
+    this.downloadButtonTarget.classList.toggle("text-lime-400", downloaded)
+    this.downloadButtonTarget.classList.toggle("text-white", !downloaded)
+    this.downloadButtonTarget.title = downloaded ? "Downloaded (manage downloads)" : "Download for offline"
+  }
+
+  songDetail() {
+    return {
+      id: this.idValue,
+      url: this.urlValue,
+      title: this.titleValue,
+      artist: this.artistValue,
+      banner: this.bannerValue,
+      grid_banner: this.gridBannerValue,
+      bannerMobile: this.bannerMobileValue,
+      bannerVideo: this.bannerVideoValue,
+      imageCredit: this.imageCreditValue,
+      imageCreditUrl: this.imageCreditUrlValue,
+      imageLicense: this.imageLicenseValue,
+      audioSource: this.audioSourceValue,
+      audioLicense: this.audioLicenseValue,
+      additionalCredits: this.additionalCreditsValue,
+      waveformUrl: this.waveformUrlValue, // Pass waveformUrl
+      duration: this.durationValue,       // Pass duration
+    }
+  }
+
 
   handleSongChange(e) {
     // If this smart image doesn't have a target, do nothing.
@@ -1,5 +1,6 @@
 // app/javascript/controllers/music/song-eq-indicator_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { on, off } from "zuke/player_events"
 
 /**
  * Song EQ Indicator Controller
@@ -18,13 +19,26 @@ export default class extends Controller {
     this.updateIndicator()
 
     // Listen for EQ save/remove events
-    document.addEventListener("equalizer:saved", this.handleEQChange.bind(this))
-    document.addEventListener("equalizer:removed", this.handleEQChange.bind(this))
+    this.boundHandleEQChange = this.handleEQChange.bind(this)
+    on("equalizer:saved", this.boundHandleEQChange)
+    on("equalizer:removed", this.boundHandleEQChange)
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
   }
 
   disconnect() {
-    document.removeEventListener("equalizer:saved", this.handleEQChange.bind(this))
-    document.removeEventListener("equalizer:removed", this.handleEQChange.bind(this))
+    off("equalizer:saved", this.boundHandleEQChange)
+    off("equalizer:removed", this.boundHandleEQChange)
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Per-song EQ settings synced from another device (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    if (event.detail.keys.includes("zuke_eq_settings")) this.updateIndicator()
   }
 
   /**
@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { canDownload } from "zuke/offline_store"
+import { emit, on } from "zuke/player_events"
 
 export default class extends Controller {
   static values = { songs: String }
@@ -35,7 +37,7 @@ export default class extends Controller {
 
       // Request player to broadcast current state for new song cards
       setTimeout(() => {
-        window.dispatchEvent(new CustomEvent("player:sync-request"))
+        emit("player:sync-request")
       }, 100)
 
     } catch (error) {
@@ -49,7 +51,7 @@ export default class extends Controller {
     console.log("🎵 SONG-LIST: Setting up event listeners")
 
     // Respond to queue requests from player (critical for Service Worker reloads)
-    document.addEventListener("player:queue:request", () => {
+    on("player:queue:request", () => {
       console.log("🎵 SONG-LIST: player:queue:request received, sending queue")
       this.updatePlayerQueue()
     })
@@ -66,8 +68,16 @@ export default class extends Controller {
     console.log("🎵 QUEUE UPDATE: First song:", this.songsArray[0]?.title || "none")
     console.log("🎵 QUEUE UPDATE: Last song:", this.songsArray[this.songsArray.length - 1]?.title || "none")
 
-    document.dispatchEvent(new CustomEvent("player:queue:updated", {
-      detail: { queue: [...this.songsArray] } // Spread operator clones array
-    }))
+    emit("player:queue:updated", { queue: [...this.songsArray] }) // Spread operator clones array
+  }
+
+  // Download every song in this list that can be kept offline
+  downloadAll(event) {
+    event?.preventDefault()
+
+    const songs = this.songsArray.filter(song => canDownload(song))
+    console.log("🎵 SONG-LIST: Requesting offline download of", songs.length, "songs")
+
+    emit("offline:download:requested", { songs })
   }
 }
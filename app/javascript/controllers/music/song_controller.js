@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { emit, on, off } from "zuke/player_events"
 
 /**
  * Song Card Controller
@@ -36,12 +37,10 @@ export default class extends Controller {
   connect() {
     // Bind methods for proper event listener removal
     this.boundResetIcons = this.resetIcons.bind(this)
-    this.boundHandleGlobalChange = this.handleGlobalChange.bind(this)
 
     // Listen for global player changes
-    window.addEventListener('audio:changed', this.boundResetIcons)
-    window.addEventListener('audio:playing', this.boundHandleGlobalChange)
-    window.addEventListener('audio:error', this.boundResetIcons)
+    on("audio:changed", this.boundResetIcons)
+    on("audio:error", this.boundResetIcons)
   }
 
   /**
@@ -49,9 +48,8 @@ export default class extends Controller {
    * Prevents memory leaks from lingering event listeners
    */
   disconnect() {
-    window.removeEventListener('audio:changed', this.boundResetIcons)
-    window.removeEventListener('audio:playing', this.boundHandleGlobalChange)
-    window.removeEventListener('audio:error', this.boundResetIcons)
+    off("audio:changed", this.boundResetIcons)
+    off("audio:error", this.boundResetIcons)
   }
 
   // ========================
@@ -67,14 +65,12 @@ export default class extends Controller {
 
     try {
       // Notify global player to load this track
-      window.dispatchEvent(new CustomEvent('audio:play', {
-        detail: {
-          url: this.urlValue,
-          title: this.titleValue || 'Unknown Track',
-          artist: this.artistValue || 'Unknown Artist',
-          id: this.idValue
-        }
-      }))
+      emit("player:play-requested", {
+        url: this.urlValue,
+        title: this.titleValue || 'Unknown Track',
+        artist: this.artistValue || 'Unknown Artist',
+        id: this.idValue
+      })
 
       // Update UI immediately
       this.showRefreshState()
@@ -84,21 +80,6 @@ export default class extends Controller {
     }
   }
 
-  // ========================
-  //  Event Handlers
-  // ========================
-
-  /**
-   * Handle global track changes
-   * Resets icons unless this is the currently playing track
-   * @param {CustomEvent} e - audio:changed event
-   */
-  handleGlobalChange(e) {
-    if (e.detail.url !== this.urlValue) {
-      this.resetIcons()
-    }
-  }
-
   // ========================
   //  UI State Methods
   // ========================
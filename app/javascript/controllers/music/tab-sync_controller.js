@@ -0,0 +1,265 @@
+// app/javascript/controllers/music/tab-sync_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { emit, on, off } from "zuke/player_events"
+
+const CHANNEL_NAME = "zuke_player"
+
+// How often a playing tab re-announces its position
+const POSITION_INTERVAL_MS = 1000
+
+/**
+ * Tab Sync Controller
+ *
+ * Keeps Zuke tabs from talking over each other. Tabs share a BroadcastChannel:
+ * - When a tab starts playing, every other tab pauses
+ * - The playing tab announces what it plays and where it is, and the other
+ *   tabs show that in a "Playing in another tab" bar
+ * - From any other tab, the bar's buttons (and pause, next and previous from
+ *   the keyboard, media keys or player controls) steer the playing tab.
+ *   Playing something here takes over instead.
+ *
+ * Messages: `state` (a tab's now playing), `command` (play/pause/next/prev
+ * for one tab), `hello` (a tab opened; playing tabs answer with state) and
+ * `closed` (a tab went away). Browsers without BroadcastChannel just don't sync.
+ */
+export default class extends Controller {
+  static targets = ["bar", "title", "position", "toggleButton", "playIcon", "pauseIcon"]
+
+  connect() {
+    if (!("BroadcastChannel" in window)) return
+
+    this.tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+    this.local = { playing: false, startedAt: 0, current: 0, duration: 0 }
+    this.remote = null // Other tab that was playing last: { tabId, playing, song, current, duration }
+
+    this.channel = new BroadcastChannel(CHANNEL_NAME)
+    this.channel.onmessage = (event) => this.handleMessage(event.data)
+
+    this.boundHandleState = this.handleState.bind(this)
+    this.boundHandleSongChange = this.handleSongChange.bind(this)
+    this.boundHandleTime = this.handleTime.bind(this)
+    this.boundAnnounceClosed = () => this.post({ type: "closed" })
+
+    on("player:state:changed", this.boundHandleState)
+    on("audio:changed", this.boundHandleSongChange)
+    on("player:time:update", this.boundHandleTime)
+    window.addEventListener("pagehide", this.boundAnnounceClosed)
+
+    this.post({ type: "hello" })
+  }
+
+  disconnect() {
+    if (!this.channel) return
+
+    off("player:state:changed", this.boundHandleState)
+    off("audio:changed", this.boundHandleSongChange)
+    off("player:time:update", this.boundHandleTime)
+    window.removeEventListener("pagehide", this.boundAnnounceClosed)
+
+    this.post({ type: "closed" })
+    this.channel.close()
+    this.channel = null
+  }
+
+  // ========================
+  //  Remote Control
+  // ========================
+
+  /**
+   * Send a player command to the tab that's playing, if that's another tab
+   * Used by the player for pause/next/prev while this tab is idle.
+   * @param {string} command - 'pause', 'next' or 'prev'
+   * @returns {boolean} Whether the command went to another tab
+   */
+  forward(command) {
+    if (!this.channel || this.local.playing || !this.remote?.playing) return false
+
+    this.sendCommand(command)
+    return true
+  }
+
+  // Buttons on the "Playing in another tab" bar
+  togglePlayback() {
+    this.sendCommand(this.remote?.playing ? "pause" : "play")
+  }
+
+  next() {
+    this.sendCommand("next")
+  }
+
+  previous() {
+    this.sendCommand("prev")
+  }
+
+  sendCommand(command) {
+    if (!this.remote) return
+
+    console.log("🗂️ TABS: Sending", command, "to", this.remote.tabId)
+    this.post({ type: "command", target: this.remote.tabId, command })
+  }
+
+  // ========================
+  //  Local Player
+  // ========================
+
+  /**
+   * @param {CustomEvent} event - player:state:changed { playing }
+   */
+  handleState(event) {
+    const playing = !!event.detail.playing
+    if (playing === this.local.playing) return
+
+    this.local.playing = playing
+    if (playing) {
+      // This tab has the audio now; the others pause when they hear about it
+      this.local.startedAt = Date.now()
+      this.remote = null
+    }
+
+    this.announceState()
+    this.render()
+  }
+
+  handleSongChange() {
+    this.local.current = 0
+    this.announceState()
+  }
+
+  /**
+   * @param {CustomEvent} event - player:time:update { current, duration }
+   */
+  handleTime(event) {
+    this.local.current = event.detail.current
+    this.local.duration = event.detail.duration
+
+    const now = Date.now()
+    if (!this.local.playing || now - (this.lastPositionPost || 0) < POSITION_INTERVAL_MS) return
+
+    this.lastPositionPost = now
+    this.announceState()
+  }
+
+  announceState() {
+    const song = this.playerController()?.currentSong
+
+    this.post({
+      type: "state",
+      playing: this.local.playing,
+      startedAt: this.local.startedAt,
+      song: song ? { url: song.url, id: song.id, title: song.title, artist: song.artist } : null,
+      current: this.local.current,
+      duration: this.local.duration
+    })
+  }
+
+  // ========================
+  //  Channel
+  // ========================
+
+  post(message) {
+    try {
+      this.channel?.postMessage({ ...message, tabId: this.tabId })
+    } catch (error) {
+      console.warn("🗂️ TABS: Could not reach other tabs:", error)
+    }
+  }
+
+  handleMessage(message) {
+    if (!message?.tabId || message.tabId === this.tabId) return
+
+    switch (message.type) {
+      case "hello":
+        if (this.local.playing) this.announceState()
+        break
+      case "state":
+        this.handleRemoteState(message)
+        break
+      case "command":
+        if (message.target === this.tabId) this.runCommand(message.command)
+        break
+      case "closed":
+        if (this.remote?.tabId === message.tabId) {
+          this.remote = null
+          this.render()
+        }
+        break
+    }
+  }
+
+  /**
+   * Another tab's now playing
+   * A tab that started playing after this one did wins; this one pauses.
+   */
+  handleRemoteState({ tabId, playing, startedAt, song, current, duration }) {
+    if (playing) {
+      if (this.local.playing && startedAt >= this.local.startedAt) {
+        console.log("🗂️ TABS: Another tab started playing - pausing here")
+        emit("player:pause")
+      }
+      if (!this.local.playing || startedAt >= this.local.startedAt) {
+        this.remote = { tabId, playing, song, current, duration }
+      }
+    } else if (this.remote?.tabId === tabId) {
+      this.remote = { ...this.remote, playing, song, current, duration }
+    }
+
+    this.render()
+  }
+
+  runCommand(command) {
+    console.log("🗂️ TABS: Remote", command, "from another tab")
+
+    switch (command) {
+      case "play":
+        emit("player:play")
+        break
+      case "pause":
+        emit("player:pause")
+        break
+      case "next":
+        emit("player:next:requested", { source: "another-tab" })
+        break
+      case "prev":
+        emit("player:prev:requested", { source: "another-tab" })
+        break
+    }
+  }
+
+  // ========================
+  //  Bar
+  // ========================
+
+  /**
+   * Show the other tab's now playing while this tab is quiet
+   */
+  render() {
+    if (!this.hasBarTarget) return
+
+    const show = !!this.remote?.song && !this.local.playing
+    this.barTarget.classList.toggle("hidden", !show)
+    if (!show) return
+
+    const { song, playing, current, duration } = this.remote
+    this.titleTarget.textContent = `${song.title || "Unknown Track"} — ${song.artist || "Unknown Artist"}`
+    this.positionTarget.textContent = duration > 0 ? `${this.formatTime(current)} / ${this.formatTime(duration)}` : ""
+    this.playIconTarget.classList.toggle("hidden", playing)
+    this.pauseIconTarget.classList.toggle("hidden", !playing)
+    this.toggleButtonTarget.setAttribute("aria-label", playing ? "Pause in other tab" : "Play in other tab")
+  }
+
+  formatTime(seconds) {
+    const mins = Math.floor((seconds || 0) / 60)
+    const secs = Math.floor((seconds || 0) % 60).toString().padStart(2, "0")
+    return `${mins}:${secs}`
+  }
+
+  /**
+   * @returns {?Object} The music--player controller
+   */
+  playerController() {
+    const playerElement = document.querySelector('[data-controller*="music--player"]')
+    if (!playerElement) return null
+
+    return this.application.getControllerForElementAndIdentifier(playerElement, "music--player")
+  }
+}
@@ -1,14 +1,15 @@
 import { Controller } from "@hotwired/stimulus"
+import { on } from "zuke/player_events"
 
 export default class extends Controller {
   static targets = ["current", "duration"]
 
   connect() {
-    document.addEventListener("player:time:update", this.updateDisplay.bind(this))
+    on("player:time:update", this.updateDisplay.bind(this))
   }
 
   updateDisplay(event) {
-    const { current, duration } = event.detail
+    const { current, duration, rate = 1 } = event.detail
 
     // Update all current time displays (if multiple exist)
     this.currentTargets.forEach(target => {
@@ -16,8 +17,9 @@ export default class extends Controller {
     })
 
     // Update all duration displays (mobile and desktop)
+    // Remaining time is real time, so it follows the playback speed
     this.durationTargets.forEach(target => {
-      target.textContent = `-${this.formatTime(duration - current)}`
+      target.textContent = `-${this.formatTime((duration - current) / rate)}`
     })
   }
 
@@ -0,0 +1,79 @@
+// app/javascript/controllers/music/visualizer-settings_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { loadVisualizerSettings, saveVisualizerSettings } from "zuke/visualizer_settings"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Visualizer Settings Controller
+ *
+ * Settings menu switch and mode picker for the banner visualizer. Saves the
+ * choice and tells the visualizer with `music:banner:visualizer-preference`,
+ * the same way the banner video toggle works.
+ */
+export default class extends Controller {
+  static targets = ["toggle", "mode", "note"]
+  static classes = ["active", "inactive"]
+
+  connect() {
+    const { enabled, mode } = loadVisualizerSettings()
+    this.enabled = enabled
+    this.modeTarget.value = mode
+
+    this.reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)")
+    this.boundRender = this.render.bind(this)
+    this.reducedMotion.addEventListener("change", this.boundRender)
+
+    this.render()
+    this.dispatchPreference()
+
+    this.boundHandlePreferencesSynced = this.handlePreferencesSynced.bind(this)
+    on("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  disconnect() {
+    this.reducedMotion.removeEventListener("change", this.boundRender)
+    off("preferences:synced", this.boundHandlePreferencesSynced)
+  }
+
+  /**
+   * Pick up the visualizer settings another device saved (see zuke/preferences_sync)
+   * @param {CustomEvent} event - preferences:synced { keys }
+   */
+  handlePreferencesSynced(event) {
+    const { keys } = event.detail
+    if (!keys.includes("bannerVisualizerEnabled") && !keys.includes("bannerVisualizerMode")) return
+
+    const { enabled, mode } = loadVisualizerSettings()
+    this.enabled = enabled
+    this.modeTarget.value = mode
+
+    this.render()
+    this.dispatchPreference()
+  }
+
+  toggle(event) {
+    event.preventDefault()
+    this.enabled = !this.enabled
+    saveVisualizerSettings({ enabled: this.enabled, mode: this.modeTarget.value })
+
+    this.render()
+    this.dispatchPreference()
+  }
+
+  changeMode() {
+    saveVisualizerSettings({ enabled: this.enabled, mode: this.modeTarget.value })
+    this.dispatchPreference()
+  }
+
+  render() {
+    this.toggleTarget.classList.toggle(this.activeClass, this.enabled)
+    this.toggleTarget.classList.toggle(this.inactiveClass, !this.enabled)
+    this.toggleTarget.setAttribute("aria-checked", this.enabled)
+    this.modeTarget.classList.toggle("hidden", !this.enabled)
+    this.noteTarget.classList.toggle("hidden", !(this.enabled && this.reducedMotion.matches))
+  }
+
+  dispatchPreference() {
+    emit("music:banner:visualizer-preference", { enabled: this.enabled, mode: this.modeTarget.value })
+  }
+}
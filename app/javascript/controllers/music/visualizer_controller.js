@@ -0,0 +1,231 @@
+// app/javascript/controllers/music/visualizer_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { VISUALIZER_MODES, loadVisualizerSettings } from "zuke/visualizer_settings"
+import { emit, on, off } from "zuke/player_events"
+
+/**
+ * Banner Visualizer Controller
+ *
+ * Draws the audio over the banner on a canvas, in one of three modes:
+ * - spectrum: log-spaced frequency bars along the bottom
+ * - oscilloscope: the waveform as a line
+ * - radial: frequency bars around a circle
+ *
+ * The audio comes from the equalizer's AnalyserNode (`equalizer:analyser`),
+ * so there's nothing to draw when the EQ graph isn't built (mobile with EQ
+ * off). The preference is set from the settings menu like the banner video
+ * (`music:banner:visualizer-preference`).
+ *
+ * Frames are only drawn while a track plays in a visible tab, and never
+ * when the listener prefers reduced motion.
+ */
+
+const BAR_COUNT = 64
+const MIN_FREQUENCY = 30
+const MAX_FREQUENCY = 16000
+
+export default class extends Controller {
+  static values = {
+    color: { type: String, default: "#FFC9A4" }
+  }
+
+  connect() {
+    this.context = this.element.getContext("2d")
+    const { enabled, mode } = loadVisualizerSettings()
+    this.enabled = enabled
+    this.mode = mode
+    this.analyser = null
+    this.playing = false
+    this.frame = null
+    this.reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)")
+
+    this.boundHandlePreference = this.handlePreference.bind(this)
+    this.boundHandleAnalyser = this.handleAnalyser.bind(this)
+    this.boundHandleState = (event) => {
+      this.playing = event.detail.playing
+      this.update()
+    }
+    this.boundUpdate = this.update.bind(this)
+
+    on("music:banner:visualizer-preference", this.boundHandlePreference)
+    on("equalizer:analyser", this.boundHandleAnalyser)
+    on("player:state:changed", this.boundHandleState)
+    document.addEventListener("visibilitychange", this.boundUpdate)
+    this.reducedMotion.addEventListener("change", this.boundUpdate)
+
+    // The banner changes height, so keep the canvas at the element's pixel size
+    this.resizeObserver = new ResizeObserver(() => this.resize())
+    this.resizeObserver.observe(this.element)
+
+    // Pick up an analyser the equalizer built before this controller connected
+    emit("equalizer:analyser:request")
+    this.update()
+  }
+
+  disconnect() {
+    this.stop()
+    this.resizeObserver.disconnect()
+    off("music:banner:visualizer-preference", this.boundHandlePreference)
+    off("equalizer:analyser", this.boundHandleAnalyser)
+    off("player:state:changed", this.boundHandleState)
+    document.removeEventListener("visibilitychange", this.boundUpdate)
+    this.reducedMotion.removeEventListener("change", this.boundUpdate)
+  }
+
+  // ========================
+  //  State
+  // ========================
+
+  /**
+   * @param {CustomEvent} event - music:banner:visualizer-preference { enabled, mode }
+   */
+  handlePreference(event) {
+    this.enabled = event.detail.enabled
+    if (VISUALIZER_MODES.includes(event.detail.mode)) this.mode = event.detail.mode
+    this.update()
+  }
+
+  /**
+   * @param {CustomEvent} event - equalizer:analyser { analyser }
+   */
+  handleAnalyser(event) {
+    this.analyser = event.detail.analyser
+    if (this.analyser) {
+      this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount)
+      this.timeData = new Uint8Array(this.analyser.fftSize)
+      this.barBins = this.computeBarBins()
+    }
+    this.update()
+  }
+
+  /**
+   * Show or hide the canvas, and start or stop drawing
+   */
+  update() {
+    const visible = this.enabled && !!this.analyser && !this.reducedMotion.matches
+    this.element.classList.toggle("hidden", !visible)
+
+    if (visible && this.playing && document.visibilityState === "visible") {
+      this.start()
+    } else {
+      this.stop()
+    }
+  }
+
+  start() {
+    if (this.frame) return
+
+    this.resize()
+    const draw = () => {
+      this.frame = requestAnimationFrame(draw)
+      this.draw()
+    }
+    this.frame = requestAnimationFrame(draw)
+  }
+
+  stop() {
+    if (this.frame) cancelAnimationFrame(this.frame)
+    this.frame = null
+    this.context.clearRect(0, 0, this.element.width, this.element.height)
+  }
+
+  resize() {
+    const ratio = window.devicePixelRatio || 1
+    this.element.width = Math.round(this.element.clientWidth * ratio)
+    this.element.height = Math.round(this.element.clientHeight * ratio)
+  }
+
+  /**
+   * FFT bin range for each bar, spaced logarithmically like hearing
+   * @returns {Array<[number, number]>} [first, last) bin per bar
+   */
+  computeBarBins() {
+    const binWidth = this.analyser.context.sampleRate / this.analyser.fftSize
+    const ratio = MAX_FREQUENCY / MIN_FREQUENCY
+
+    return Array.from({ length: BAR_COUNT }, (_, i) => {
+      const start = Math.floor((MIN_FREQUENCY * ratio ** (i / BAR_COUNT)) / binWidth)
+      const end = Math.floor((MIN_FREQUENCY * ratio ** ((i + 1) / BAR_COUNT)) / binWidth)
+      return [start, Math.max(start + 1, end)]
+    })
+  }
+
+  /**
+   * Bar levels from the current frequency data
+   * @returns {number[]} 0 to 1 per bar
+   */
+  barLevels() {
+    this.analyser.getByteFrequencyData(this.frequencyData)
+
+    return this.barBins.map(([start, end]) => {
+      let max = 0
+      for (let bin = start; bin < end; bin++) max = Math.max(max, this.frequencyData[bin] || 0)
+      return max / 255
+    })
+  }
+
+  // ========================
+  //  Drawing
+  // ========================
+
+  draw() {
+    const { width, height } = this.element
+    this.context.clearRect(0, 0, width, height)
+    this.context.fillStyle = this.colorValue
+    this.context.strokeStyle = this.colorValue
+    this.context.globalAlpha = 0.7
+
+    switch (this.mode) {
+      case "oscilloscope":
+        this.drawOscilloscope(width, height)
+        break
+      case "radial":
+        this.drawRadial(width, height)
+        break
+      default:
+        this.drawSpectrum(width, height)
+    }
+  }
+
+  drawSpectrum(width, height) {
+    const slot = width / BAR_COUNT
+    const barWidth = Math.max(1, slot * 0.7)
+
+    this.barLevels().forEach((level, i) => {
+      const barHeight = level * height * 0.8
+      this.context.fillRect(i * slot + (slot - barWidth) / 2, height - barHeight, barWidth, barHeight)
+    })
+  }
+
+  drawOscilloscope(width, height) {
+    this.analyser.getByteTimeDomainData(this.timeData)
+    const step = width / (this.timeData.length - 1)
+
+    this.context.lineWidth = 2 * (window.devicePixelRatio || 1)
+    this.context.beginPath()
+    this.timeData.forEach((value, i) => {
+      const y = height / 2 + ((value - 128) / 128) * (height / 2) * 0.8
+      i === 0 ? this.context.moveTo(0, y) : this.context.lineTo(i * step, y)
+    })
+    this.context.stroke()
+  }
+
+  drawRadial(width, height) {
+    const size = Math.min(width, height)
+    const radius = size * 0.2
+    const centerX = width / 2
+    const centerY = height / 2
+
+    this.context.lineWidth = Math.max(1, ((2 * Math.PI * radius) / BAR_COUNT) * 0.6)
+    this.context.beginPath()
+    this.barLevels().forEach((level, i) => {
+      const angle = (i / BAR_COUNT) * 2 * Math.PI - Math.PI / 2
+      const length = level * size * 0.28
+      const cos = Math.cos(angle)
+      const sin = Math.sin(angle)
+      this.context.moveTo(centerX + cos * radius, centerY + sin * radius)
+      this.context.lineTo(centerX + cos * (radius + length), centerY + sin * (radius + length))
+    })
+    this.context.stroke()
+  }
+}
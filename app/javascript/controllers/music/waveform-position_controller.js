@@ -1,5 +1,6 @@
 // app/javascript/controllers/music/waveform-position_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { on, off } from "zuke/player_events"
 
 export default class extends Controller {
   static targets = ["container"]
@@ -7,11 +8,12 @@ export default class extends Controller {
   connect() {
     console.log("Waveform position controller connected")
     // Listen for banner height changes
-    window.addEventListener("music:banner:height-changed", this.handleBannerHeightChange.bind(this))
+    this.boundHandleBannerHeightChange = this.handleBannerHeightChange.bind(this)
+    on("music:banner:height-changed", this.boundHandleBannerHeightChange)
   }
 
   disconnect() {
-    window.removeEventListener("music:banner:height-changed", this.handleBannerHeightChange.bind(this))
+    off("music:banner:height-changed", this.boundHandleBannerHeightChange)
   }
 
   handleBannerHeightChange(event) {
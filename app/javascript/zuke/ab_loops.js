@@ -0,0 +1,82 @@
+// app/javascript/zuke/ab_loops.js
+import { savePreference } from "zuke/preferences_sync"
+
+/**
+ * Saved A–B Loops
+ *
+ * Named practice loops per song, kept in localStorage and keyed by the song
+ * URL without its query string (like the per-song EQ settings).
+ */
+
+const STORAGE_KEY = "zuke_ab_loops"
+
+// Shortest loop worth keeping, in seconds
+export const MIN_LOOP_SECONDS = 0.5
+
+/**
+ * Saved loops for a song, in start order
+ * @param {?string} url
+ * @returns {Array<{name: string, start: number, end: number}>}
+ */
+export function loadLoops(url) {
+  const loops = readAll()[loopKey(url)]
+  return Array.isArray(loops) ? [...loops].sort((a, b) => a.start - b.start) : []
+}
+
+/**
+ * Save a loop (replaces one with the same name)
+ * @param {?string} url
+ * @param {{name: string, start: number, end: number}} loop
+ */
+export function saveLoop(url, { name, start, end }) {
+  const key = loopKey(url)
+  if (!key || !name) return
+
+  const all = readAll()
+  const loops = (all[key] || []).filter(loop => loop.name !== name)
+  loops.push({ name, start: round(start), end: round(end) })
+  all[key] = loops
+
+  writeAll(all)
+}
+
+/**
+ * Delete a saved loop
+ * @param {?string} url
+ * @param {string} name
+ */
+export function deleteLoop(url, name) {
+  const key = loopKey(url)
+  if (!key) return
+
+  const all = readAll()
+  const loops = (all[key] || []).filter(loop => loop.name !== name)
+
+  if (loops.length > 0) {
+    all[key] = loops
+  } else {
+    delete all[key]
+  }
+
+  writeAll(all)
+}
+
+function loopKey(url) {
+  return url ? url.split("?")[0] : null
+}
+
+function round(seconds) {
+  return Math.round(seconds * 100) / 100
+}
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function writeAll(all) {
+  savePreference(STORAGE_KEY, JSON.stringify(all))
+}
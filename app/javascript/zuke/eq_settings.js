@@ -0,0 +1,300 @@
+// app/javascript/zuke/eq_settings.js
+import { savePreference } from "zuke/preferences_sync"
+
+/**
+ * Equalizer Settings
+ *
+ * An EQ setting is either graphic (10 fixed bands, one gain each) or
+ * parametric (1-16 bands, each with its own filter type, frequency, gain and
+ * Q). Per-song settings live in `zuke_eq_settings`, keyed by the song URL
+ * without its query string. Graphic entries keep the original
+ * `{ gains, timestamp }` shape, so settings saved before parametric mode
+ * existed load unchanged.
+ *
+ * Album, artist and genre defaults, plus one global default, live in
+ * `zuke_eq_defaults`. A song plays with the most specific setting it has:
+ * song → album → artist → genre → global.
+ *
+ * User presets live in `zuke_eq_presets` and hold either kind of setting.
+ * Headroom options (auto preamp, limiter) live in `zuke_eq_headroom`.
+ */
+
+const SONG_SETTINGS_KEY = "zuke_eq_settings"
+const PRESETS_KEY = "zuke_eq_presets"
+const HEADROOM_KEY = "zuke_eq_headroom"
+const DEFAULTS_KEY = "zuke_eq_defaults"
+
+// Standard 10-band EQ frequencies
+export const GRAPHIC_FREQUENCIES = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]
+
+export const FILTER_TYPES = ["peaking", "lowshelf", "highshelf", "lowpass", "highpass", "notch"]
+
+export const MAX_PARAMETRIC_BANDS = 16
+export const PARAMETRIC_GAIN_LIMIT = 15
+export const MIN_FREQUENCY = 20
+export const MAX_FREQUENCY = 20000
+export const MIN_Q = 0.1
+export const MAX_Q = 18
+
+export const FLAT_GAINS = Object.freeze(GRAPHIC_FREQUENCIES.map(() => 0))
+
+/**
+ * Bands for the graphic EQ: shelves at both ends, peaking in between
+ * @param {number[]} gains - dB per band
+ * @returns {Array<{type: string, frequency: number, gain: number, q: number}>}
+ */
+export function graphicBands(gains) {
+  return GRAPHIC_FREQUENCIES.map((frequency, index) => ({
+    type: index === 0 ? "lowshelf" : index === GRAPHIC_FREQUENCIES.length - 1 ? "highshelf" : "peaking",
+    frequency,
+    gain: Number(gains[index]) || 0,
+    q: 1.0
+  }))
+}
+
+/**
+ * A band a listener added: neutral, at 1 kHz
+ * @returns {{type: string, frequency: number, gain: number, q: number}}
+ */
+export function newBand() {
+  return { type: "peaking", frequency: 1000, gain: 0, q: 1.0 }
+}
+
+/**
+ * Keep a parametric band within what BiquadFilterNode and the UI support
+ * @param {Object} band
+ * @returns {{type: string, frequency: number, gain: number, q: number}}
+ */
+export function clampBand(band) {
+  const clamp = (value, min, max, fallback) => {
+    const number = Number(value)
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback
+  }
+
+  return {
+    type: FILTER_TYPES.includes(band?.type) ? band.type : "peaking",
+    frequency: Math.round(clamp(band?.frequency, MIN_FREQUENCY, MAX_FREQUENCY, 1000)),
+    gain: Math.round(clamp(band?.gain, -PARAMETRIC_GAIN_LIMIT, PARAMETRIC_GAIN_LIMIT, 0) * 10) / 10,
+    q: Math.round(clamp(band?.q, MIN_Q, MAX_Q, 1.0) * 100) / 100
+  }
+}
+
+/**
+ * Read any stored setting (per-song entry or preset) into one shape
+ * @param {Object} entry - { gains } (graphic, original format) or { mode: "parametric", bands }
+ * @returns {?{mode: string, gains?: number[], bands?: Array}} null when unusable
+ */
+export function normalizeSetting(entry) {
+  if (entry?.mode === "parametric" && Array.isArray(entry.bands) && entry.bands.length > 0) {
+    return { mode: "parametric", bands: entry.bands.slice(0, MAX_PARAMETRIC_BANDS).map(clampBand) }
+  }
+
+  if (Array.isArray(entry?.gains)) {
+    return { mode: "graphic", gains: GRAPHIC_FREQUENCIES.map((_, index) => Number(entry.gains[index]) || 0) }
+  }
+
+  return null
+}
+
+/**
+ * Stored form of a setting
+ * @param {{mode: string, gains?: number[], bands?: Array}} setting
+ * @returns {Object}
+ */
+export function serializeSetting(setting) {
+  return setting.mode === "parametric"
+    ? { mode: "parametric", bands: setting.bands.map(clampBand) }
+    : { gains: [...setting.gains] }
+}
+
+// ========================
+//  Per-song Settings
+// ========================
+
+/**
+ * All per-song settings, as stored
+ * @returns {Object<string, Object>}
+ */
+export function readSongSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(SONG_SETTINGS_KEY)) || {}
+  } catch (error) {
+    console.error("EQ: Error reading settings:", error)
+    return {}
+  }
+}
+
+/**
+ * @param {Object<string, Object>} settings
+ */
+export function writeSongSettings(settings) {
+  savePreference(SONG_SETTINGS_KEY, JSON.stringify(settings))
+}
+
+// ========================
+//  Album / Artist / Genre Defaults
+// ========================
+
+// Most specific first
+export const EQ_LEVELS = ["song", "album", "artist", "genre", "global"]
+
+/**
+ * The setting a song plays with, and the level it came from
+ * @param {{song: ?string, album: ?string, artist: ?string, genre: ?string}} keys - Song storage key and ids
+ * @returns {{level: ?string, setting: ?Object}} level is null when nothing applies (flat)
+ */
+export function resolveSetting(keys) {
+  const defaults = readDefaults()
+
+  for (const level of EQ_LEVELS) {
+    const setting = normalizeSetting(storedEntry(level, keys, defaults))
+
+    if (setting) return { level, setting }
+  }
+
+  return { level: null, setting: null }
+}
+
+/**
+ * Save a setting as the default for an album, artist or genre (or for everything)
+ * @param {string} level - 'album', 'artist', 'genre' or 'global'
+ * @param {?string} id - Album/artist/genre id (ignored for global)
+ * @param {{mode: string, gains?: number[], bands?: Array}} setting
+ * @param {string} [name] - Shown in the panel, e.g. the artist's name
+ */
+export function saveLevelDefault(level, id, setting, name) {
+  const defaults = readDefaults()
+  const entry = { ...serializeSetting(setting), name: name || null, timestamp: Date.now() }
+
+  if (level === "global") {
+    defaults.global = entry
+  } else {
+    defaults[level] = { ...defaults[level], [id]: entry }
+  }
+  writeDefaults(defaults)
+}
+
+/**
+ * @param {string} level - 'album', 'artist', 'genre' or 'global'
+ * @param {?string} id
+ */
+export function removeLevelDefault(level, id) {
+  const defaults = readDefaults()
+
+  if (level === "global") {
+    delete defaults.global
+  } else if (defaults[level]) {
+    delete defaults[level][id]
+  }
+  writeDefaults(defaults)
+}
+
+function storedEntry(level, keys, defaults) {
+  if (level === "song") return keys.song ? readSongSettings()[keys.song] : null
+  if (level === "global") return defaults.global
+  return keys[level] ? defaults[level]?.[keys[level]] : null
+}
+
+function readDefaults() {
+  try {
+    return JSON.parse(localStorage.getItem(DEFAULTS_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function writeDefaults(defaults) {
+  savePreference(DEFAULTS_KEY, JSON.stringify(defaults))
+}
+
+// ========================
+//  Headroom
+// ========================
+
+/**
+ * Auto preamp is on by default so boosts don't clip; the limiter is opt-in
+ * @returns {{autoPreamp: boolean, limiter: boolean}}
+ */
+export function loadHeadroomSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HEADROOM_KEY)) || {}
+    return { autoPreamp: stored.autoPreamp !== false, limiter: stored.limiter === true }
+  } catch {
+    return { autoPreamp: true, limiter: false }
+  }
+}
+
+/**
+ * @param {{autoPreamp: boolean, limiter: boolean}} settings
+ */
+export function saveHeadroomSettings({ autoPreamp, limiter }) {
+  savePreference(HEADROOM_KEY, JSON.stringify({ autoPreamp: !!autoPreamp, limiter: !!limiter }))
+}
+
+// ========================
+//  User Presets
+// ========================
+
+/**
+ * User presets, oldest first
+ * @returns {Array<{id: string, name: string, setting: Object}>}
+ */
+export function loadUserPresets() {
+  return Object.entries(readPresets())
+    .map(([id, preset]) => ({ id, name: preset.name, setting: normalizeSetting(preset), createdAt: preset.createdAt || 0 }))
+    .filter(preset => preset.setting)
+    .sort((a, b) => a.createdAt - b.createdAt)
+}
+
+/**
+ * Save the current setting as a new preset
+ * @param {string} name
+ * @param {{mode: string, gains?: number[], bands?: Array}} setting
+ * @returns {?string} The preset id, or null without a name
+ */
+export function saveUserPreset(name, setting) {
+  const trimmed = String(name || "").trim()
+  if (!trimmed) return null
+
+  const presets = readPresets()
+  const id = `preset-${Date.now().toString(36)}`
+  presets[id] = { name: trimmed, ...serializeSetting(setting), createdAt: Date.now() }
+  writePresets(presets)
+  return id
+}
+
+/**
+ * @param {string} id
+ * @param {string} name
+ * @returns {boolean} Whether the preset was renamed
+ */
+export function renameUserPreset(id, name) {
+  const trimmed = String(name || "").trim()
+  const presets = readPresets()
+  if (!trimmed || !presets[id]) return false
+
+  presets[id].name = trimmed
+  writePresets(presets)
+  return true
+}
+
+/**
+ * @param {string} id
+ */
+export function deleteUserPreset(id) {
+  const presets = readPresets()
+  delete presets[id]
+  writePresets(presets)
+}
+
+function readPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function writePresets(presets) {
+  savePreference(PRESETS_KEY, JSON.stringify(presets))
+}
@@ -0,0 +1,182 @@
+// app/javascript/zuke/headphone_profiles.js
+import { savePreference } from "zuke/preferences_sync"
+
+/**
+ * Headphone Correction Profiles
+ *
+ * Parses AutoEQ `ParametricEQ.txt` files and Equalizer APO configs into a
+ * preamp and a list of biquad filters. One profile can be active at a time;
+ * the equalizer applies it as a global layer ahead of the per-song EQ.
+ *
+ * Profiles live in localStorage (`zuke_headphone_profiles`) as
+ * `{ activeId, profiles: { [id]: { name, preamp, filters, createdAt } } }`.
+ */
+
+const STORAGE_KEY = "zuke_headphone_profiles"
+
+// Equalizer APO filter codes → BiquadFilterNode types
+const FILTER_CODES = {
+  PK: "peaking",
+  PEQ: "peaking",
+  LS: "lowshelf",
+  LSC: "lowshelf",
+  HS: "highshelf",
+  HSC: "highshelf",
+  LP: "lowpass",
+  LPQ: "lowpass",
+  HP: "highpass",
+  HPQ: "highpass",
+  NO: "notch"
+}
+
+// Correction curves can be steeper than anything the song EQ allows
+const GAIN_LIMIT = 30
+const MAX_FILTERS = 32
+
+/**
+ * Parse an AutoEQ / Equalizer APO config
+ *
+ * Understands lines like:
+ *   Preamp: -6.2 dB
+ *   Filter 1: ON PK Fc 105 Hz Gain -2.5 dB Q 0.70
+ *   Filter 2: ON LSC Fc 105 Hz Gain 5.6 dB Q 0.70
+ * Filters that are OFF, and lines it doesn't know (Include, Device, comments),
+ * are skipped. Web Audio shelves ignore Q, so shelf filters keep their
+ * frequency and gain with the standard slope.
+ *
+ * @param {string} text
+ * @returns {{preamp: number, filters: Array<{type: string, frequency: number, gain: number, q: number}>}}
+ * @throws {Error} When no filters are found
+ */
+export function parseEqualizerApo(text) {
+  let preamp = 0
+  const filters = []
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim()
+
+    const preampMatch = line.match(/^Preamp:\s*(-?\d+(?:\.\d+)?)\s*dB/i)
+    if (preampMatch) {
+      preamp += Number(preampMatch[1])
+      continue
+    }
+
+    const filterMatch = line.match(/^Filter(?:\s+\d+)?:\s*(ON|OFF)\s+([A-Z]+)\b(.*)$/i)
+    if (!filterMatch || filterMatch[1].toUpperCase() === "OFF") continue
+
+    const type = FILTER_CODES[filterMatch[2].toUpperCase()]
+    const frequency = numberAfter(filterMatch[3], "Fc")
+    if (!type || !frequency) continue
+
+    filters.push(clampFilter({
+      type,
+      frequency,
+      gain: numberAfter(filterMatch[3], "Gain") ?? 0,
+      q: numberAfter(filterMatch[3], "Q") ?? 0.707
+    }))
+  }
+
+  if (filters.length === 0) throw new Error("No filters found. Paste a ParametricEQ.txt or Equalizer APO config.")
+  if (filters.length > MAX_FILTERS) throw new Error(`Too many filters (${filters.length}); up to ${MAX_FILTERS} are supported.`)
+
+  return { preamp: Math.max(-GAIN_LIMIT, Math.min(GAIN_LIMIT, preamp)), filters }
+}
+
+/**
+ * All saved profiles and which one is active
+ * @returns {{activeId: ?string, profiles: Array<{id: string, name: string, preamp: number, filters: Array}>}}
+ */
+export function loadHeadphoneProfiles() {
+  const { activeId, profiles } = readStore()
+
+  return {
+    activeId: profiles[activeId] ? activeId : null,
+    profiles: Object.entries(profiles)
+      .map(([id, profile]) => ({ id, ...profile }))
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+  }
+}
+
+/**
+ * The active profile
+ * @returns {?{id: string, name: string, preamp: number, filters: Array}}
+ */
+export function activeHeadphoneProfile() {
+  const { activeId, profiles } = loadHeadphoneProfiles()
+  return profiles.find(profile => profile.id === activeId) || null
+}
+
+/**
+ * Save a parsed profile (and make it active)
+ * @param {string} name - e.g. the headphone model
+ * @param {{preamp: number, filters: Array}} parsed - From parseEqualizerApo
+ * @returns {string} id
+ */
+export function saveHeadphoneProfile(name, { preamp, filters }) {
+  const store = readStore()
+  const id = `headphones-${Date.now().toString(36)}`
+
+  store.profiles[id] = {
+    name: String(name || "").trim() || "Headphones",
+    preamp,
+    filters,
+    createdAt: Date.now()
+  }
+  store.activeId = id
+  writeStore(store)
+  return id
+}
+
+/**
+ * @param {string} id
+ */
+export function deleteHeadphoneProfile(id) {
+  const store = readStore()
+  delete store.profiles[id]
+  if (store.activeId === id) store.activeId = null
+  writeStore(store)
+}
+
+/**
+ * @param {?string} id - null turns correction off
+ */
+export function setActiveHeadphoneProfile(id) {
+  const store = readStore()
+  store.activeId = id && store.profiles[id] ? id : null
+  writeStore(store)
+}
+
+// ========================
+//  Helpers
+// ========================
+
+/**
+ * Number following a keyword, e.g. "Fc 105 Hz" → 105
+ * @returns {?number}
+ */
+function numberAfter(text, keyword) {
+  const match = text.match(new RegExp(`\\b${keyword}\\s+(-?\\d+(?:\\.\\d+)?)`, "i"))
+  return match ? Number(match[1]) : null
+}
+
+function clampFilter({ type, frequency, gain, q }) {
+  return {
+    type,
+    frequency: Math.min(20000, Math.max(10, frequency)),
+    gain: Math.min(GAIN_LIMIT, Math.max(-GAIN_LIMIT, gain)),
+    q: Math.min(30, Math.max(0.05, q))
+  }
+}
+
+function readStore() {
+  try {
+    const store = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return { activeId: store?.activeId || null, profiles: store?.profiles || {} }
+  } catch {
+    return { activeId: null, profiles: {} }
+  }
+}
+
+function writeStore(store) {
+  savePreference(STORAGE_KEY, JSON.stringify(store))
+}
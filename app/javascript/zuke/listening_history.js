@@ -0,0 +1,321 @@
+// app/javascript/zuke/listening_history.js
+
+/**
+ * Listening History
+ *
+ * Follows what a signed-in listener actually hears in the Zuke player and
+ * reports it to the server in batches. Each time a song starts is one listen:
+ * how long it was listened to (in real time, whatever the playback speed),
+ * whether it counted as a play (30 seconds or half the track, whichever
+ * comes first) and whether it ended by finishing or by a skip (Next or
+ * Previous). A listen cut short any other way, like closing the page or
+ * picking another song, is reported as neither.
+ *
+ * Finished listens wait in `zuke_listening_queue` until the server has them,
+ * so nothing is lost offline or across reloads. When the page is hidden the
+ * queue and the listen in progress go out with navigator.sendBeacon. The
+ * server keys listens by their id and only adds to what it has, so sending
+ * a listen again (after a beacon, or as it progresses) is harmless.
+ *
+ * Only library songs are reported; SoundCloud tracks have no song id.
+ */
+
+const QUEUE_KEY = "zuke_listening_queue"
+
+// A play counts after this much listening...
+export const COUNT_AFTER_SECONDS = 30
+// ...or after this share of the track, for short tracks
+export const COUNT_AFTER_FRACTION = 0.5
+
+// Time updates further apart than this (in real seconds) are seeks, not listening
+const MAX_STEP_SECONDS = 2
+
+// Matches the server's batch limit (Listen::MAX_BATCH)
+const MAX_BATCH = 100
+
+// Oldest listens are dropped past this, if the server stays out of reach
+const MAX_QUEUED = 1000
+
+// Send early once this many listens are waiting
+const FLUSH_AT = 10
+
+const FLUSH_INTERVAL_MS = 60 * 1000
+
+export default class ListeningHistory {
+  /**
+   * @param {{url: string, userId: string}} options - Where listens go, and whose they are
+   */
+  constructor({ url, userId }) {
+    this.url = url
+    this.userId = String(userId)
+    this.listen = null // Listen in progress
+    this.lastPosition = null
+    this.flushing = false
+  }
+
+  /**
+   * Start sending: on an interval, when the connection comes back and when the page is hidden
+   */
+  connect() {
+    this.boundFlush = () => this.flush()
+    this.boundPageHide = () => this.flushOnHide()
+    this.boundVisibilityChange = () => {
+      if (document.hidden) this.flushOnHide()
+    }
+
+    window.addEventListener("online", this.boundFlush)
+    window.addEventListener("pagehide", this.boundPageHide)
+    document.addEventListener("visibilitychange", this.boundVisibilityChange)
+    this.interval = setInterval(this.boundFlush, FLUSH_INTERVAL_MS)
+
+    this.flush()
+  }
+
+  disconnect() {
+    window.removeEventListener("online", this.boundFlush)
+    window.removeEventListener("pagehide", this.boundPageHide)
+    document.removeEventListener("visibilitychange", this.boundVisibilityChange)
+    clearInterval(this.interval)
+
+    this.finish()
+    this.flush({ keepalive: true })
+  }
+
+  // ========================
+  //  Tracking
+  // ========================
+
+  /**
+   * A song started; the listen before it ends here
+   * @param {Object} song - Song object from the queue
+   */
+  start(song) {
+    this.finish()
+    this.lastPosition = null
+
+    if (!isLibrarySong(song)) return
+
+    this.listen = {
+      id: listenId(),
+      songId: Number(song.id),
+      title: song.title, // For the console only; not sent
+      startedAt: Date.now(),
+      listenedSeconds: 0,
+      duration: Number(song.duration) > 0 ? Number(song.duration) : null,
+      counted: false,
+      completed: false,
+      skipped: false
+    }
+  }
+
+  /**
+   * Playback moved forward
+   * @param {number} current - Position in seconds
+   * @param {number} duration - Track length in seconds
+   * @param {number} [rate=1] - Playback speed, to turn track time into listening time
+   */
+  progress(current, duration, rate = 1) {
+    const speed = rate > 0 ? rate : 1
+    const step = this.lastPosition === null ? 0 : (current - this.lastPosition) / speed
+    this.lastPosition = current
+
+    const listen = this.listen
+    if (!listen) return
+
+    if (Number.isFinite(duration) && duration > 0) listen.duration = duration
+    if (step <= 0 || step > MAX_STEP_SECONDS) return
+
+    listen.listenedSeconds += step
+
+    if (!listen.counted && this.reachedPlay(listen)) {
+      listen.counted = true
+      console.log("📈 HISTORY: Counted a play of", listen.title)
+    }
+  }
+
+  /**
+   * The song played to its end (or into a crossfade)
+   * A repeat of the same song starts a new listen.
+   */
+  complete() {
+    const listen = this.listen
+    if (!listen) return
+
+    listen.completed = true
+    this.finish()
+    this.start({ id: listen.songId, title: listen.title, duration: listen.duration })
+  }
+
+  /**
+   * The listener skipped away from this song with Next or Previous
+   * Only a listen in progress is marked; a finished track's is already complete.
+   */
+  skip() {
+    if (this.listen && !this.listen.completed) this.listen.skipped = true
+  }
+
+  /**
+   * Queue the listen in progress, if anything was heard
+   */
+  finish() {
+    const listen = this.listen
+    this.listen = null
+    if (!listen || listen.listenedSeconds <= 0) return
+
+    this.enqueue(listen)
+
+    if (this.readQueue().length >= FLUSH_AT) this.flush()
+  }
+
+  /**
+   * @returns {boolean} Whether the listen has gone on long enough to count
+   */
+  reachedPlay({ listenedSeconds, duration }) {
+    return listenedSeconds >= COUNT_AFTER_SECONDS ||
+           (duration > 0 && listenedSeconds >= duration * COUNT_AFTER_FRACTION)
+  }
+
+  // ========================
+  //  Sending
+  // ========================
+
+  /**
+   * Send waiting listens; whatever doesn't get through stays queued
+   * @param {{keepalive?: boolean}} options - keepalive lets the request outlive the page
+   */
+  async flush({ keepalive = false } = {}) {
+    if (this.flushing || !this.url || !navigator.onLine) return
+
+    const batch = this.readQueue().slice(0, MAX_BATCH)
+    if (batch.length === 0) return
+
+    this.flushing = true
+    try {
+      const response = await fetch(this.url, {
+        method: "POST",
+        headers: {
+          "Accept": "application/json",
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken()
+        },
+        body: JSON.stringify({ listens: batch.map(report) }),
+        credentials: "same-origin",
+        keepalive
+      })
+
+      if (response.ok) {
+        this.dequeue(batch)
+        console.log(`📈 HISTORY: Sent ${batch.length} listen(s)`)
+      } else if (response.status >= 400 && response.status < 500) {
+        // The server won't take these however often they're sent
+        this.dequeue(batch)
+        console.warn(`📈 HISTORY: Server refused ${batch.length} listen(s) (${response.status})`)
+      } else {
+        console.warn(`📈 HISTORY: Sending failed (${response.status}), will retry`)
+      }
+    } catch (error) {
+      console.warn("📈 HISTORY: Offline or unreachable, will retry:", error)
+    } finally {
+      this.flushing = false
+    }
+  }
+
+  /**
+   * The page may not come back: send the queue and the listen in progress with a beacon
+   * Everything stays queued; the server ignores what it already has, and the
+   * next flush clears it.
+   */
+  flushOnHide() {
+    if (this.listen?.listenedSeconds > 0) this.enqueue({ ...this.listen })
+
+    const batch = this.readQueue().slice(0, MAX_BATCH)
+    if (batch.length === 0 || !this.url) return
+
+    // sendBeacon can't set headers, so the CSRF token rides in the body
+    const body = JSON.stringify({ listens: batch.map(report), authenticity_token: csrfToken() })
+
+    if (!navigator.sendBeacon?.(this.url, new Blob([body], { type: "application/json" }))) {
+      this.flush({ keepalive: true })
+    }
+  }
+
+  // ========================
+  //  Queue
+  // ========================
+
+  /**
+   * Add a listen, or replace the queued copy of it
+   * @param {Object} listen
+   */
+  enqueue(listen) {
+    const queue = this.readQueue().filter(queued => queued.id !== listen.id)
+    queue.push(listen)
+    this.writeQueue(queue.slice(-MAX_QUEUED))
+  }
+
+  /**
+   * Remove sent listens, unless they changed while the request was out
+   * @param {Object[]} sent
+   */
+  dequeue(sent) {
+    const sentCopies = new Set(sent.map(listen => JSON.stringify(listen)))
+    this.writeQueue(this.readQueue().filter(listen => !sentCopies.has(JSON.stringify(listen))))
+  }
+
+  /**
+   * Listens waiting for this listener. Another listener's are dropped, not sent as this one's.
+   * @returns {Object[]}
+   */
+  readQueue() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(QUEUE_KEY))
+      if (stored?.userId === this.userId && Array.isArray(stored.listens)) return stored.listens
+    } catch {
+      // Fall through to an empty queue
+    }
+    return []
+  }
+
+  writeQueue(listens) {
+    try {
+      localStorage.setItem(QUEUE_KEY, JSON.stringify({ userId: this.userId, listens }))
+    } catch (error) {
+      console.warn("📈 HISTORY: Could not save listens:", error)
+    }
+  }
+}
+
+// ========================
+//  Helpers
+// ========================
+
+/**
+ * What the server gets for a listen
+ * @param {Object} listen
+ * @returns {Object}
+ */
+function report({ id, songId, startedAt, listenedSeconds, duration, counted, completed, skipped }) {
+  return {
+    id,
+    songId,
+    startedAt,
+    listenedSeconds: Math.round(listenedSeconds * 10) / 10,
+    duration,
+    counted,
+    completed,
+    skipped
+  }
+}
+
+function isLibrarySong(song) {
+  return /^\d+$/.test(String(song?.id ?? ""))
+}
+
+function listenId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+}
+
+function csrfToken() {
+  return document.querySelector('[name="csrf-token"]')?.content || ""
+}
@@ -0,0 +1,124 @@
+// app/javascript/zuke/loudness.js
+import { savePreference } from "zuke/preferences_sync"
+
+/**
+ * Loudness Normalization Helpers
+ *
+ * Works out the gain that brings a track to the listener's target loudness.
+ * Measured values come from GenerateWaveformJob (EBU R128, stored with the
+ * waveform JSON). When a track has no measurement (SoundCloud, older uploads)
+ * the loudness is estimated from its waveform peaks or decoded audio.
+ */
+
+const MODE_KEY = "playerNormalization"
+const TARGET_KEY = "playerTargetLufs"
+
+export const NORMALIZATION_MODES = ["off", "track", "album"]
+export const TARGET_LUFS_OPTIONS = [-23, -18, -16, -14, -11]
+export const DEFAULT_TARGET_LUFS = -14
+
+// Keep boosts modest so quiet tracks don't clip; cuts can go further
+const MAX_BOOST_DB = 6
+const MAX_CUT_DB = -18
+
+// Peaks are a per-bin envelope normalized to the loudest bin, so their RMS
+// reads hotter than the signal itself. Rough offset for typical music.
+const PEAK_ENVELOPE_OFFSET_DB = -10
+
+/**
+ * Read the saved normalization preferences
+ * @returns {{mode: string, targetLufs: number}}
+ */
+export function loadNormalizationSettings() {
+  const mode = localStorage.getItem(MODE_KEY)
+  const targetLufs = Number(localStorage.getItem(TARGET_KEY))
+
+  return {
+    mode: NORMALIZATION_MODES.includes(mode) ? mode : "off",
+    targetLufs: TARGET_LUFS_OPTIONS.includes(targetLufs) ? targetLufs : DEFAULT_TARGET_LUFS
+  }
+}
+
+/**
+ * Save normalization preferences
+ * @param {{mode: string, targetLufs: number}} settings
+ */
+export function saveNormalizationSettings({ mode, targetLufs }) {
+  savePreference(MODE_KEY, mode)
+  savePreference(TARGET_KEY, targetLufs)
+}
+
+/**
+ * Gain (in dB) that moves a track to the target loudness
+ * Album mode uses the album's loudness so track-to-track dynamics stay
+ * intact, falling back to the track's own loudness when there's no album value.
+ * @param {?Object} loudness - { trackLufs, albumLufs }
+ * @param {{mode: string, targetLufs: number}} settings
+ * @returns {number}
+ */
+export function normalizationGainDb(loudness, { mode, targetLufs }) {
+  if (mode === "off" || !loudness) return 0
+
+  const measured = mode === "album"
+    ? loudness.albumLufs ?? loudness.trackLufs
+    : loudness.trackLufs
+
+  if (!Number.isFinite(measured)) return 0
+
+  return Math.max(MAX_CUT_DB, Math.min(MAX_BOOST_DB, targetLufs - measured))
+}
+
+/**
+ * Convert decibels to a linear gain value
+ * @param {number} db
+ * @returns {number}
+ */
+export function dbToGain(db) {
+  return Math.pow(10, db / 20)
+}
+
+/**
+ * Estimate loudness from normalized waveform peaks
+ * Assumes the loudest peak sits near full scale, which holds for most
+ * mastered music. Good enough to even out obvious jumps, not a measurement.
+ * @param {number[]} peaks - Peaks normalized to -1..1
+ * @returns {?number} Estimated LUFS, or null with too little data
+ */
+export function estimateLoudnessFromPeaks(peaks) {
+  if (!Array.isArray(peaks) || peaks.length < 10) return null
+
+  const db = rmsDb(peaks)
+  return db === null ? null : db + PEAK_ENVELOPE_OFFSET_DB
+}
+
+/**
+ * Estimate loudness from decoded audio
+ * Plain RMS of the first channel, sampled for speed (no K-weighting).
+ * @param {AudioBuffer} audioBuffer
+ * @returns {?number} Estimated LUFS
+ */
+export function estimateLoudnessFromAudio(audioBuffer) {
+  if (!audioBuffer?.length) return null
+
+  const samples = audioBuffer.getChannelData(0)
+  const stride = Math.max(1, Math.floor(samples.length / 200000))
+  const sampled = []
+  for (let i = 0; i < samples.length; i += stride) sampled.push(samples[i])
+
+  const db = rmsDb(sampled)
+  // LUFS reads ~0.7 dB below plain RMS for a full-scale sine
+  return db === null ? null : db - 0.691
+}
+
+/**
+ * RMS level of a set of values in dB
+ * @param {number[]} values
+ * @returns {?number}
+ */
+function rmsDb(values) {
+  let sumSquares = 0
+  for (const value of values) sumSquares += value * value
+
+  const rms = Math.sqrt(sumSquares / values.length)
+  return rms > 0 ? 20 * Math.log10(rms) : null
+}
@@ -0,0 +1,214 @@
+// app/javascript/zuke/offline_store.js
+
+/**
+ * Offline Downloads
+ *
+ * Stores song audio and waveform JSON in Cache Storage so the installed PWA
+ * can play them without a network. Entries are keyed by song id under
+ * OFFLINE_PATH, never by the file's URL: signed storage URLs (ActiveStorage
+ * puts the expiring token in the path) differ from one session to the next.
+ *
+ * The service worker answers requests under OFFLINE_PATH (including Range
+ * requests) from the same cache. A small manifest in localStorage keeps the
+ * song details and cache keys for the downloads manager.
+ */
+
+// Must match OFFLINE_CACHE and OFFLINE_PATH in app/views/pwa/service-worker.js
+export const OFFLINE_CACHE = "zuke-offline-v1"
+export const OFFLINE_PATH = "/zuke/offline/"
+
+const MANIFEST_KEY = "zuke_offline_songs"
+
+// Object URLs handed to the player, so each download is read from the cache once
+const objectUrls = new Map()
+
+/**
+ * Cache key for one of a song's files
+ * @param {string|number} songId
+ * @param {"audio"|"waveform"} kind
+ * @returns {string} Absolute URL under OFFLINE_PATH
+ */
+export function offlineKey(songId, kind) {
+  return new URL(`${OFFLINE_PATH}${encodeURIComponent(songId)}/${kind}`, window.location.origin).href
+}
+
+/**
+ * SoundCloud streams (HLS or short-lived links) can't be kept offline
+ * @param {Object} song
+ * @returns {boolean}
+ */
+export function canDownload(song) {
+  return !!song?.url && song.audioSource !== "SoundCloud" && "caches" in window
+}
+
+/**
+ * Downloaded songs, newest first
+ * @returns {Array<{song: Object, audioKey: string, waveformKey: ?string, bytes: number, savedAt: number}>}
+ */
+export function listDownloads() {
+  return Object.values(readManifest()).sort((a, b) => b.savedAt - a.savedAt)
+}
+
+/**
+ * @param {Object} song - Anything with an id
+ * @returns {boolean}
+ */
+export function isDownloaded(song) {
+  return !!song?.id && !!readManifest()[song.id]
+}
+
+/**
+ * Fetch a song's audio (and waveform) into Cache Storage
+ * @param {Object} song - Song object from the player queue
+ * @returns {Promise<number>} Bytes stored
+ */
+export async function downloadSong(song) {
+  if (!canDownload(song)) throw new Error("This song can't be downloaded")
+
+  // Ask the browser not to evict downloads under storage pressure
+  await navigator.storage?.persist?.()
+
+  const cache = await caches.open(OFFLINE_CACHE)
+  const audioKey = offlineKey(song.id, "audio")
+  const waveformKey = offlineKey(song.id, "waveform")
+  const audioBytes = await storeResponse(cache, song.url, audioKey)
+
+  // A missing waveform only costs the offline waveform, not the download
+  let waveformBytes = 0
+  if (song.waveformUrl) {
+    waveformBytes = await storeResponse(cache, song.waveformUrl, waveformKey).catch((error) => {
+      console.warn("📥 OFFLINE: Waveform not stored for", song.title, error)
+      return 0
+    })
+  }
+
+  const manifest = readManifest()
+  manifest[song.id] = {
+    song: { ...song },
+    audioKey,
+    waveformKey: waveformBytes > 0 ? waveformKey : null,
+    bytes: audioBytes + waveformBytes,
+    savedAt: Date.now()
+  }
+  writeManifest(manifest)
+
+  return audioBytes + waveformBytes
+}
+
+/**
+ * Remove a downloaded song
+ * @param {string|number} songId
+ */
+export async function removeDownload(songId) {
+  const manifest = readManifest()
+  const entry = manifest[songId]
+  if (!entry) return
+
+  const cache = await caches.open(OFFLINE_CACHE)
+  await cache.delete(entry.audioKey)
+  if (entry.waveformKey) await cache.delete(entry.waveformKey)
+
+  const objectUrl = objectUrls.get(entry.audioKey)
+  if (objectUrl) {
+    URL.revokeObjectURL(objectUrl)
+    objectUrls.delete(entry.audioKey)
+  }
+
+  delete manifest[songId]
+  writeManifest(manifest)
+}
+
+/**
+ * Remove every download
+ */
+export async function removeAllDownloads() {
+  objectUrls.forEach(url => URL.revokeObjectURL(url))
+  objectUrls.clear()
+
+  await caches.delete(OFFLINE_CACHE)
+  writeManifest({})
+}
+
+/**
+ * Storage used by downloads and what the browser reports for the origin
+ * @returns {Promise<{downloads: number, usage: ?number, quota: ?number}>} Bytes
+ */
+export async function storageUsage() {
+  const downloads = listDownloads().reduce((sum, entry) => sum + (entry.bytes || 0), 0)
+  const estimate = await navigator.storage?.estimate?.().catch(() => null)
+
+  return { downloads, usage: estimate?.usage ?? null, quota: estimate?.quota ?? null }
+}
+
+/**
+ * URL to play a downloaded song from
+ * The service worker serves the cache key itself, with Range support; until
+ * it controls the page (and for downloads saved under their old URL keys)
+ * the audio is read from the cache into an object URL.
+ * @param {Object} song - Anything with an id
+ * @returns {Promise<?string>}
+ */
+export async function offlineUrlFor(song) {
+  const key = readManifest()[song?.id]?.audioKey
+  if (!key) return null
+
+  if (navigator.serviceWorker?.controller && new URL(key).pathname.startsWith(OFFLINE_PATH)) return key
+  if (objectUrls.has(key)) return objectUrls.get(key)
+
+  const response = await cachedResponse(song, "audio")
+  if (!response) return null
+
+  const objectUrl = URL.createObjectURL(await response.blob())
+  objectUrls.set(key, objectUrl)
+  return objectUrl
+}
+
+/**
+ * Cached response for one of a downloaded song's files
+ * @param {Object} song - Anything with an id
+ * @param {"audio"|"waveform"} kind
+ * @returns {Promise<?Response>}
+ */
+export async function cachedResponse(song, kind) {
+  const entry = readManifest()[song?.id]
+  const key = kind === "waveform" ? entry?.waveformKey : entry?.audioKey
+  if (!key || !("caches" in window)) return null
+
+  const cache = await caches.open(OFFLINE_CACHE)
+  return (await cache.match(key)) || null
+}
+
+// ========================
+//  Helpers
+// ========================
+
+/**
+ * Fetch a URL and store its body under the song's key
+ * @returns {Promise<number>} Bytes stored
+ */
+async function storeResponse(cache, url, key) {
+  const response = await fetch(url, { mode: "cors", credentials: "omit" })
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
+  const blob = await response.blob()
+  await cache.put(key, new Response(blob, {
+    headers: {
+      "Content-Type": blob.type || response.headers.get("Content-Type") || "application/octet-stream",
+      "Content-Length": String(blob.size)
+    }
+  }))
+
+  return blob.size
+}
+
+function readManifest() {
+  try {
+    return JSON.parse(localStorage.getItem(MANIFEST_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function writeManifest(manifest) {
+  localStorage.setItem(MANIFEST_KEY, JSON.stringify(manifest))
+}
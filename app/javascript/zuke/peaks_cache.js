@@ -0,0 +1,169 @@
+// app/javascript/zuke/peaks_cache.js
+
+/**
+ * Waveform Peaks Cache
+ *
+ * Keeps normalized waveform peaks in IndexedDB so repeat plays draw the
+ * waveform straight away, even offline, instead of re-fetching the JSON or
+ * re-reading the SoundCloud PNG. Entries are keyed by the URL without its
+ * query string, the same key the equalizer uses for per-song settings.
+ *
+ * - Versioned: bump PEAKS_FORMAT when the way peaks are computed changes,
+ *   and older entries are ignored and replaced
+ * - Size-capped: least recently used entries are dropped past MAX_BYTES
+ * - Stale-while-revalidate: entries older than STALE_AFTER_MS are still
+ *   used, and refreshed in the background
+ */
+
+const DB_NAME = "zuke-peaks"
+const DB_VERSION = 1
+
+// Peaks live apart from their (small) bookkeeping records, so trimming the
+// cache doesn't have to load every waveform
+const PEAKS_STORE = "peaks"
+const META_STORE = "meta"
+
+export const PEAKS_FORMAT = 1
+
+// Peaks are stored as Float32Array, 4 bytes each
+const MAX_BYTES = 20 * 1024 * 1024
+const STALE_AFTER_MS = 7 * 24 * 60 * 60 * 1000
+
+let dbPromise = null
+
+/**
+ * @param {?string} url
+ * @returns {?string}
+ */
+export function peaksKey(url) {
+  return url ? url.split("?")[0] : null
+}
+
+/**
+ * Cached peaks for a waveform URL
+ * @param {string} url
+ * @returns {Promise<?{peaks: number[], stale: boolean}>} null on a miss
+ */
+export async function getCachedPeaks(url) {
+  const key = peaksKey(url)
+  if (!key) return null
+
+  try {
+    const db = await openDatabase()
+    const transaction = db.transaction([META_STORE, PEAKS_STORE])
+    const [meta, entry] = await Promise.all([
+      request(transaction.objectStore(META_STORE).get(key)),
+      request(transaction.objectStore(PEAKS_STORE).get(key))
+    ])
+    if (!meta || !entry || meta.format !== PEAKS_FORMAT) return null
+
+    // Mark as recently used (don't hold up playback for it)
+    complete(db, [META_STORE], ([store]) => store.put({ ...meta, lastUsed: Date.now() })).catch(() => {})
+
+    return {
+      peaks: Array.from(entry.peaks),
+      stale: Date.now() - meta.storedAt > STALE_AFTER_MS
+    }
+  } catch (error) {
+    console.warn("🌊 PEAKS CACHE: Read failed:", error)
+    return null
+  }
+}
+
+/**
+ * Store peaks for a waveform URL, then trim the cache to size
+ * @param {string} url
+ * @param {number[]} peaks - Normalized peaks
+ */
+export async function putCachedPeaks(url, peaks) {
+  const key = peaksKey(url)
+  if (!key || !peaks?.length) return
+
+  try {
+    const db = await openDatabase()
+    const data = Float32Array.from(peaks)
+    const now = Date.now()
+
+    await complete(db, [META_STORE, PEAKS_STORE], ([meta, peaksStore]) => {
+      peaksStore.put({ key, peaks: data })
+      meta.put({ key, format: PEAKS_FORMAT, bytes: data.byteLength, storedAt: now, lastUsed: now })
+    })
+
+    await prune(db)
+  } catch (error) {
+    console.warn("🌊 PEAKS CACHE: Write failed:", error)
+  }
+}
+
+// ========================
+//  Helpers
+// ========================
+
+function openDatabase() {
+  if (!("indexedDB" in window)) return Promise.reject(new Error("IndexedDB not available"))
+
+  dbPromise ||= new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME, DB_VERSION)
+
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore(PEAKS_STORE, { keyPath: "key" })
+      open.result.createObjectStore(META_STORE, { keyPath: "key" }).createIndex("lastUsed", "lastUsed")
+    }
+    open.onsuccess = () => resolve(open.result)
+    open.onerror = () => reject(open.error)
+  }).catch((error) => {
+    // Let the next call try again (e.g. after a blocked upgrade)
+    dbPromise = null
+    throw error
+  })
+
+  return dbPromise
+}
+
+/**
+ * Drop least recently used entries until the cache fits in MAX_BYTES
+ */
+async function prune(db) {
+  const entries = await request(
+    db.transaction(META_STORE).objectStore(META_STORE).index("lastUsed").getAll()
+  )
+
+  let total = entries.reduce((sum, entry) => sum + (entry.bytes || 0), 0)
+  if (total <= MAX_BYTES) return
+
+  // Oldest first (the index is in lastUsed order)
+  const evict = []
+  for (const entry of entries) {
+    if (total <= MAX_BYTES) break
+    evict.push(entry.key)
+    total -= entry.bytes || 0
+  }
+
+  await complete(db, [META_STORE, PEAKS_STORE], (stores) => {
+    evict.forEach(key => stores.forEach(store => store.delete(key)))
+  })
+  console.log(`🌊 PEAKS CACHE: Evicted ${evict.length} least recently used waveform(s)`)
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+/**
+ * Run writes in one transaction and wait for it to commit
+ * @param {IDBDatabase} db
+ * @param {string[]} storeNames
+ * @param {function(IDBObjectStore[])} work - Gets the stores in the same order
+ */
+function complete(db, storeNames, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, "readwrite")
+    work(storeNames.map(name => transaction.objectStore(name)))
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
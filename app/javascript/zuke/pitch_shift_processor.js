@@ -0,0 +1,88 @@
+// app/javascript/zuke/pitch_shift_processor.js
+
+/**
+ * Pitch Shift AudioWorklet Processor
+ *
+ * Loaded with audioWorklet.addModule(), never imported. Shifts pitch without
+ * changing speed using two read heads sweeping through a short delay line,
+ * crossfaded with complementary windows (sin² + cos² = 1) so the level
+ * stays constant. Simple and cheap; fine for practice transposing.
+ */
+
+// Delay window in samples (~85ms at 48kHz): longer smears transients,
+// shorter adds a "buzzy" grain rate
+const WINDOW_SIZE = 4096
+const BUFFER_SIZE = WINDOW_SIZE * 2
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: "pitchRatio", defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: "k-rate" }]
+  }
+
+  constructor() {
+    super()
+    this.buffers = []
+    this.writeIndex = 0
+    this.phase = 0
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0]
+    const output = outputs[0]
+    const ratio = parameters.pitchRatio[0]
+
+    if (input.length === 0) return true
+
+    // No shift: pass straight through (no added latency)
+    if (ratio === 1) {
+      output.forEach((channel, index) => channel.set(input[index] || input[0]))
+      return true
+    }
+
+    while (this.buffers.length < input.length) {
+      this.buffers.push(new Float32Array(BUFFER_SIZE))
+    }
+
+    // The delay shrinks (ratio > 1) or grows (ratio < 1) by this much per sample
+    const phaseStep = (1 - ratio) / WINDOW_SIZE
+    const frames = input[0].length
+
+    for (let i = 0; i < frames; i++) {
+      const phaseA = this.phase
+      const phaseB = (this.phase + 0.5) % 1
+      const gainA = Math.sin(Math.PI * phaseA) ** 2
+      const gainB = 1 - gainA
+
+      for (let c = 0; c < output.length; c++) {
+        const buffer = this.buffers[c] || this.buffers[0]
+        if (c < input.length) buffer[this.writeIndex] = input[c][i]
+
+        output[c][i] =
+          this.read(buffer, phaseA * WINDOW_SIZE) * gainA +
+          this.read(buffer, phaseB * WINDOW_SIZE) * gainB
+      }
+
+      this.writeIndex = (this.writeIndex + 1) % BUFFER_SIZE
+      this.phase = (this.phase + phaseStep + 1) % 1
+    }
+
+    return true
+  }
+
+  /**
+   * Read the delay line with linear interpolation
+   * @param {Float32Array} buffer
+   * @param {number} delay - Samples behind the write head
+   * @returns {number}
+   */
+  read(buffer, delay) {
+    const position = (this.writeIndex - delay + BUFFER_SIZE) % BUFFER_SIZE
+    const index = Math.floor(position)
+    const fraction = position - index
+    const next = buffer[(index + 1) % BUFFER_SIZE]
+
+    return buffer[index] + (next - buffer[index]) * fraction
+  }
+}
+
+registerProcessor("zuke-pitch-shift", PitchShiftProcessor)
@@ -0,0 +1,103 @@
+// app/javascript/zuke/play_history.js
+
+// Enough to step back through a long session without bloating the saved session
+const MAX_ENTRIES = 50
+
+/**
+ * Play History
+ *
+ * The songs the Zuke player actually played, in order, with a cursor on the
+ * one playing now. Previous steps the cursor back and Next steps it forward
+ * again before the player picks anything new, like a browser's back and
+ * forward buttons. Playing a new song from anywhere drops the songs ahead of
+ * the cursor.
+ *
+ * Songs are matched by id, so fresh song data (new signed URLs) still lines up.
+ */
+export default class PlayHistory {
+  /**
+   * @param {Object} [state] - From toJSON(), to carry history across reloads
+   */
+  constructor({ entries = [], position } = {}) {
+    this.entries = Array.isArray(entries) ? entries.filter(entry => entry?.song?.url) : []
+    this.position = Number.isInteger(position) && position >= 0 && position < this.entries.length ? position : this.entries.length - 1
+  }
+
+  /**
+   * Entry for the song playing now
+   * @returns {?{song: Object, fromUpNext: boolean}}
+   */
+  get current() {
+    return this.entries[this.position] || null
+  }
+
+  /**
+   * Note that a song started playing
+   * Stepping back or forward lands on the song at the cursor, so it isn't added again.
+   * @param {Object} song
+   * @param {boolean} [fromUpNext=false] - Played from Up Next rather than the list
+   */
+  visit(song, fromUpNext = false) {
+    if (!song?.url) return
+
+    if (this.current && sameSong(this.current.song, song)) {
+      this.entries[this.position] = { song, fromUpNext: this.current.fromUpNext }
+      return
+    }
+
+    this.entries = this.entries.slice(0, this.position + 1)
+    this.entries.push({ song, fromUpNext: !!fromUpNext })
+    if (this.entries.length > MAX_ENTRIES) this.entries.shift()
+    this.position = this.entries.length - 1
+  }
+
+  /**
+   * Entry Next would return to, without moving
+   * @returns {?{song: Object, fromUpNext: boolean}}
+   */
+  peekForward() {
+    return this.entries[this.position + 1] || null
+  }
+
+  /**
+   * Step back to the song played before this one
+   * @returns {?{song: Object, fromUpNext: boolean}} null at the start of history
+   */
+  back() {
+    if (this.position <= 0) return null
+
+    this.position--
+    return this.current
+  }
+
+  /**
+   * Step forward again after going back
+   * @returns {?{song: Object, fromUpNext: boolean}} null when nothing is ahead
+   */
+  forward() {
+    if (!this.peekForward()) return null
+
+    this.position++
+    return this.current
+  }
+
+  /**
+   * Drop songs ahead of the cursor that came from a list the player no longer has
+   * @param {Object[]} queue - The new song list
+   */
+  pruneForward(queue) {
+    const ids = new Set(queue.map(song => String(song.id)))
+    const ahead = this.entries.slice(this.position + 1)
+      .filter(entry => entry.fromUpNext || ids.has(String(entry.song.id)))
+
+    this.entries = [...this.entries.slice(0, this.position + 1), ...ahead]
+  }
+
+  toJSON() {
+    return { entries: this.entries, position: this.position }
+  }
+}
+
+function sameSong(a, b) {
+  return a.id != null && b.id != null ? String(a.id) === String(b.id) : a.url === b.url
+}
@@ -0,0 +1,102 @@
+// app/javascript/zuke/play_queue.js
+
+/**
+ * Play Queue
+ *
+ * Holds the listener's manual "Up Next" list for the Zuke player.
+ * Songs in here play before the rest of the current song list, whether
+ * shuffle is on or not. The player owns one instance and announces every
+ * change with `player:up-next:changed` so the Up Next panel can redraw.
+ */
+export default class PlayQueue {
+  constructor(songs = []) {
+    this.songs = Array.isArray(songs) ? songs.filter(song => song?.url) : []
+  }
+
+  /**
+   * Number of songs waiting in the queue
+   * @returns {number}
+   */
+  get size() {
+    return this.songs.length
+  }
+
+  /**
+   * Put a song at the front of the queue
+   * @param {Object} song - Song object from the player queue
+   */
+  playNext(song) {
+    if (!song?.url) return
+    this.songs.unshift(song)
+  }
+
+  /**
+   * Append a song to the end of the queue
+   * @param {Object} song - Song object from the player queue
+   */
+  add(song) {
+    if (!song?.url) return
+    this.songs.push(song)
+  }
+
+  /**
+   * Move a queued song to a new position
+   * @param {number} from - Current index of the song
+   * @param {number} to - Index the song should end up at
+   */
+  move(from, to) {
+    if (!this.isValidIndex(from)) return
+    const target = Math.max(0, Math.min(this.songs.length - 1, to))
+    const [song] = this.songs.splice(from, 1)
+    this.songs.splice(target, 0, song)
+  }
+
+  /**
+   * Remove a queued song
+   * @param {number} index - Index of the song to remove
+   */
+  remove(index) {
+    if (!this.isValidIndex(index)) return
+    this.songs.splice(index, 1)
+  }
+
+  /**
+   * Empty the queue
+   */
+  clear() {
+    this.songs = []
+  }
+
+  /**
+   * Take the next song off the front of the queue
+   * @returns {?Object} The next song, or null when the queue is empty
+   */
+  shift() {
+    return this.songs.shift() || null
+  }
+
+  /**
+   * Look at the next song without taking it off the queue
+   * @returns {?Object} The next song, or null when the queue is empty
+   */
+  peek() {
+    return this.songs[0] || null
+  }
+
+  /**
+   * Check an index points at a queued song
+   * @param {number} index
+   * @returns {boolean}
+   */
+  isValidIndex(index) {
+    return Number.isInteger(index) && index >= 0 && index < this.songs.length
+  }
+
+  /**
+   * Plain copy of the queued songs for events and storage
+   * @returns {Object[]}
+   */
+  toJSON() {
+    return [...this.songs]
+  }
+}
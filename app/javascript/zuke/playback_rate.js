@@ -0,0 +1,116 @@
+// app/javascript/zuke/playback_rate.js
+import { savePreference } from "zuke/preferences_sync"
+
+/**
+ * Playback Speed & Pitch Settings
+ *
+ * Speed (0.5x-2x) and pitch shift (in semitones) are remembered per song,
+ * keyed by URL without its query string like the per-song EQ settings.
+ * Whether speed changes keep the original pitch is one global preference.
+ */
+
+const SONG_SETTINGS_KEY = "zuke_playback_settings"
+const PRESERVE_PITCH_KEY = "playerPreservePitch"
+
+export const MIN_RATE = 0.5
+export const MAX_RATE = 2
+export const MIN_SEMITONES = -12
+export const MAX_SEMITONES = 12
+
+export const DEFAULT_PLAYBACK = Object.freeze({ rate: 1, semitones: 0 })
+
+/**
+ * Stable key for a song URL (strips S3 signatures, timestamps, etc.)
+ * @param {?string} url
+ * @returns {?string}
+ */
+export function playbackKey(url) {
+  return url ? url.split("?")[0] : null
+}
+
+/**
+ * Saved speed and pitch for a song
+ * @param {?string} url
+ * @returns {{rate: number, semitones: number}}
+ */
+export function loadSongPlayback(url) {
+  const saved = readSettings()[playbackKey(url)]
+  if (!saved) return { ...DEFAULT_PLAYBACK }
+
+  return {
+    rate: clampRate(saved.rate),
+    semitones: clampSemitones(saved.semitones)
+  }
+}
+
+/**
+ * Remember speed and pitch for a song (forgets it when both are back to normal)
+ * @param {?string} url
+ * @param {{rate: number, semitones: number}} playback
+ */
+export function saveSongPlayback(url, { rate, semitones }) {
+  const key = playbackKey(url)
+  if (!key) return
+
+  const settings = readSettings()
+
+  if (rate === DEFAULT_PLAYBACK.rate && semitones === DEFAULT_PLAYBACK.semitones) {
+    delete settings[key]
+  } else {
+    settings[key] = { rate, semitones, timestamp: Date.now() }
+  }
+
+  savePreference(SONG_SETTINGS_KEY, JSON.stringify(settings))
+}
+
+/**
+ * Whether speed changes keep the original pitch (on unless turned off)
+ * @returns {boolean}
+ */
+export function loadPreservePitch() {
+  return localStorage.getItem(PRESERVE_PITCH_KEY) !== "false"
+}
+
+/**
+ * @param {boolean} preservePitch
+ */
+export function savePreservePitch(preservePitch) {
+  savePreference(PRESERVE_PITCH_KEY, preservePitch)
+}
+
+/**
+ * @param {*} rate
+ * @returns {number} Rate between MIN_RATE and MAX_RATE, rounded to 0.05
+ */
+export function clampRate(rate) {
+  const value = Number(rate)
+  if (!Number.isFinite(value)) return DEFAULT_PLAYBACK.rate
+  return Math.round(Math.max(MIN_RATE, Math.min(MAX_RATE, value)) * 20) / 20
+}
+
+/**
+ * @param {*} semitones
+ * @returns {number} Whole semitones between MIN_SEMITONES and MAX_SEMITONES
+ */
+export function clampSemitones(semitones) {
+  const value = Math.round(Number(semitones))
+  if (!Number.isFinite(value)) return DEFAULT_PLAYBACK.semitones
+  return Math.max(MIN_SEMITONES, Math.min(MAX_SEMITONES, value))
+}
+
+/**
+ * Frequency ratio for a pitch shift
+ * @param {number} semitones
+ * @returns {number}
+ */
+export function semitonesToRatio(semitones) {
+  return Math.pow(2, semitones / 12)
+}
+
+function readSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(SONG_SETTINGS_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
@@ -0,0 +1,234 @@
+// app/javascript/zuke/player_events.js
+
+/**
+ * Player Events
+ *
+ * The one list of events the Zuke player and its controllers use to talk to
+ * each other. Every event is a CustomEvent on `document`, so Stimulus actions
+ * in the views can bind to them as `name@document->controller#method`.
+ *
+ * Controllers send with `emit(name, detail)` and listen with
+ * `on(name, handler)` / `off(name, handler)`. In development (localhost, or
+ * `?debug=true` like the debug console) unknown event names and payloads
+ * that don't match the contract below are reported with console.warn.
+ * Nothing is blocked: the event still goes out.
+ *
+ * Payload fields are typed as "string", "number", "boolean", "object",
+ * "array" or "any"; `a|b` allows either, and a trailing `?` means the field
+ * may be missing or null. Events without a `detail` entry carry no payload.
+ */
+
+// Fields shared by events describing a song
+const SONG_FIELDS = {
+  url: "string",
+  id: "string|number?",
+  title: "string?",
+  artist: "string?"
+}
+
+export const PLAYER_EVENTS = Object.freeze({
+  // ---- Track lifecycle (sent by the player) ----
+  "audio:changed": {
+    description: "A new track was loaded",
+    detail: {
+      url: "string",
+      id: "string|number?",
+      albumId: "string|number?",
+      album: "string?",
+      artistId: "string|number?",
+      artist: "string?",
+      genreId: "string|number?",
+      genre: "string?"
+    }
+  },
+  "audio:ready": { description: "The current track can play", detail: { url: "string?" } },
+  "audio:ended": { description: "The current track finished (or faded out)", detail: { url: "string?" } },
+  "audio:error": { description: "The current track failed to load or play", detail: { url: "string?" } },
+
+  // ---- Player state (sent by the player) ----
+  "player:state:changed": { description: "Playback started or stopped", detail: { playing: "boolean", url: "string?" } },
+  "player:time:update": { description: "Position while playing", detail: { current: "number", duration: "number", rate: "number" } },
+  "player:mute:changed": { description: "Muted or unmuted", detail: { muted: "boolean" } },
+  "player:loudness:changed": {
+    description: "Loudness measured or estimated for a track",
+    detail: { url: "string", trackLufs: "number?", albumLufs: "number?", estimated: "boolean" }
+  },
+  "player:playback-rate:changed": {
+    description: "Speed, pitch or pitch preservation changed",
+    detail: { rate: "number", semitones: "number", preservePitch: "boolean", url: "string?" }
+  },
+  "player:sleep-timer:changed": {
+    description: "Sleep timer set, cleared or finished",
+    detail: { mode: "string", minutes: "number?", endsAt: "number?", finished: "boolean?" }
+  },
+  "player:up-next:changed": {
+    description: "Now playing, Up Next or the upcoming list changed",
+    detail: { nowPlaying: "object?", upNext: "array", upcoming: "array", shuffle: "boolean" }
+  },
+  "player:session:restored": {
+    description: "A saved session was loaded after a reload",
+    detail: { song: "object", position: "number", autoplay: "boolean" }
+  },
+  "player:autoplay-blocked": { description: "The browser refused to start playback", detail: { song: "object", error: "any?" } },
+  "music:banner:update": {
+    description: "Banner artwork and titles for the current track",
+    detail: { image: "string?", imageMobile: "string?", video: "string?", title: "string", subtitle: "string" }
+  },
+  "music:credits:update": {
+    description: "Credits for the current track",
+    detail: {
+      title: "string",
+      artist: "string",
+      imageCredit: "string?",
+      imageCreditUrl: "string?",
+      imageLicense: "string?",
+      audioSource: "string?",
+      audioLicense: "string?",
+      additionalCredits: "string?"
+    }
+  },
+
+  // ---- Requests to the player ----
+  "player:play-requested": {
+    description: "Play a song (from a song card or the player itself)",
+    detail: { ...SONG_FIELDS, playOnLoad: "boolean?", updateBanner: "boolean?" }
+  },
+  "player:play": { description: "Resume playback" },
+  "player:pause": { description: "Pause playback" },
+  "player:mute:toggle": { description: "Mute or unmute" },
+  "player:next:requested": { description: "Skip to the next track", detail: { source: "string?" } },
+  "player:prev:requested": { description: "Previous track (or restart)", detail: { source: "string?" } },
+  "player:seek:forward": { description: "Jump ahead", detail: { seconds: "number" } },
+  "player:seek:backward": { description: "Jump back", detail: { seconds: "number" } },
+  "player:sync-request": { description: "Ask the player to send audio:changed for the current track" },
+  "player:queue:request": { description: "Ask the song list to send its songs" },
+  "player:queue:updated": { description: "The page's song list", detail: { queue: "array" } },
+  "player:up-next:add": { description: "Queue a song by hand", detail: { song: "object", position: "string?" } },
+  "player:up-next:move": { description: "Reorder the Up Next panel", detail: { source: "string", from: "number", to: "number" } },
+  "player:up-next:remove": { description: "Remove a song from the Up Next panel", detail: { source: "string", index: "number" } },
+  "player:up-next:clear": { description: "Empty Up Next" },
+  "player:up-next:request": { description: "Ask the player to send player:up-next:changed" },
+  "player:sleep-timer:set": { description: "Set the sleep timer", detail: { mode: "string", minutes: "number?" } },
+  "player:sleep-timer:request": { description: "Ask the player to send player:sleep-timer:changed" },
+  "player:playback-rate:set": {
+    description: "Change speed or pitch",
+    detail: { rate: "number?", semitones: "number?", preservePitch: "boolean?" }
+  },
+  "player:playback-rate:request": { description: "Ask the player to send player:playback-rate:changed" },
+  "player:playback-rate:reload": { description: "Saved speed and pitch settings changed (synced); re-read them for the current song" },
+  "player:loop:set": { description: "Set or clear the A–B loop", detail: { start: "number?", end: "number?", enabled: "boolean" } },
+
+  // ---- Settings (sent by the settings controllers, and by the player on connect) ----
+  "player:auto-advance:changed": { description: "Auto-advance toggled", detail: { enabled: "boolean" } },
+  "player:play-on-load:changed": { description: "Play on load toggled", detail: { enabled: "boolean" } },
+  "player:shuffle:changed": { description: "Shuffle toggled or reseeded", detail: { enabled: "boolean", seed: "number?" } },
+  "player:repeat:changed": { description: "Repeat mode changed", detail: { mode: "string" } },
+  "player:crossfade:changed": { description: "Crossfade or gapless changed", detail: { seconds: "number", gapless: "boolean" } },
+  "player:normalization:changed": { description: "Loudness normalization changed", detail: { mode: "string", targetLufs: "number" } },
+  "music:banner:height-changed": { description: "Banner expanded or collapsed", detail: { expanded: "boolean" } },
+  "music:banner:video-preference": { description: "Banner video toggled", detail: { enabled: "boolean" } },
+  "music:banner:visualizer-preference": { description: "Banner visualizer toggled", detail: { enabled: "boolean", mode: "string" } },
+  "mobile-eq:toggled": { description: "Mobile EQ turned on or off", detail: { enabled: "boolean" } },
+  "preferences:synced": { description: "A sync replaced or cleared local preferences", detail: { keys: "array" } },
+
+  // ---- Panels (bound in the views with @document) ----
+  "player:shuffle:toggle": { description: "Toggle shuffle (keyboard)" },
+  "player:repeat:toggle": { description: "Cycle repeat mode (keyboard)" },
+  "player:shortcuts:show": { description: "Open the keyboard shortcuts sheet" },
+  "player:loop:select": { description: "Start selecting an A–B loop" },
+  "offline:manager:show": { description: "Open the downloads manager" },
+  "offline:download:requested": { description: "Download songs for offline play", detail: { songs: "array" } },
+  "offline:changed": { description: "The set of downloaded songs changed", detail: { songIds: "array" } },
+
+  // ---- Equalizer ----
+  "equalizer:ready": { description: "The EQ is wired into the audio graph" },
+  "equalizer:detached": { description: "The EQ let go of the audio (mobile EQ turned off)" },
+  "equalizer:analyser": { description: "The EQ's analyser node, for the visualizer", detail: { analyser: "object?" } },
+  "equalizer:analyser:request": { description: "Ask the EQ to send equalizer:analyser" },
+  "equalizer:saved": { description: "An EQ setting was saved for a song", detail: { url: "string?" } },
+  "equalizer:removed": { description: "A song's EQ setting was removed", detail: { url: "string?" } },
+  "equalizer:correction:changed": { description: "Headphone correction profile changed", detail: { profile: "object?" } },
+  "equalizer:correction:show": { description: "Open the headphone correction panel" }
+})
+
+const DEV_MODE = ["localhost", "127.0.0.1"].includes(window.location.hostname) ||
+                 new URLSearchParams(window.location.search).get("debug") === "true"
+
+/**
+ * Send a player event
+ * @param {string} name - One of PLAYER_EVENTS
+ * @param {Object} [detail] - Payload, per the contract
+ * @returns {CustomEvent}
+ */
+export function emit(name, detail = null) {
+  if (DEV_MODE) validate(name, detail)
+
+  const event = new CustomEvent(name, { detail })
+  document.dispatchEvent(event)
+  return event
+}
+
+/**
+ * Listen for a player event
+ * Keep a reference to the handler to pass to off() later.
+ * @param {string} name - One of PLAYER_EVENTS
+ * @param {function(CustomEvent)} handler
+ */
+export function on(name, handler) {
+  if (DEV_MODE && !PLAYER_EVENTS[name]) console.warn(`🎛️ EVENTS: Listening for unknown event "${name}"`)
+  document.addEventListener(name, handler)
+}
+
+/**
+ * Stop listening for a player event
+ * @param {string} name
+ * @param {function(CustomEvent)} handler - The same function given to on()
+ */
+export function off(name, handler) {
+  document.removeEventListener(name, handler)
+}
+
+// ========================
+//  Validation
+// ========================
+
+/**
+ * Warn about an unknown event or a payload that doesn't match its contract
+ * @returns {boolean} Whether the event matched
+ */
+function validate(name, detail) {
+  const spec = PLAYER_EVENTS[name]
+  if (!spec) {
+    console.warn(`🎛️ EVENTS: Unknown event "${name}"`, detail)
+    return false
+  }
+
+  const problems = []
+  if (!spec.detail) {
+    if (detail != null) problems.push("expected no detail")
+  } else if (detail != null && (typeof detail !== "object" || Array.isArray(detail))) {
+    problems.push("detail should be an object")
+  } else {
+    for (const [field, type] of Object.entries(spec.detail)) {
+      if (!matchesType(detail?.[field], type)) problems.push(`${field} should be ${type}`)
+    }
+  }
+
+  if (problems.length > 0) console.warn(`🎛️ EVENTS: Malformed "${name}": ${problems.join(", ")}`, detail)
+  return problems.length === 0
+}
+
+function matchesType(value, type) {
+  const optional = type.endsWith("?")
+  if (value == null) return optional
+
+  return type.replace(/\?$/, "").split("|").some(kind => {
+    switch (kind) {
+      case "any": return true
+      case "array": return Array.isArray(value)
+      case "object": return typeof value === "object" && !Array.isArray(value)
+      case "number": return typeof value === "number" && !Number.isNaN(value)
+      default: return typeof value === kind
+    }
+  })
+}
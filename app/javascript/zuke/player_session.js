@@ -0,0 +1,68 @@
+// app/javascript/zuke/player_session.js
+
+/**
+ * Player Session Storage
+ *
+ * Saves what the Zuke player was doing (song, position, queue order,
+ * Up Next, the shuffle cycle and play history) to localStorage so a reload or a PWA
+ * relaunch can pick up where the listener left off.
+ */
+
+const STORAGE_KEY = "zuke_player_session"
+
+// Sessions older than this are treated as stale and ignored
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000
+
+/**
+ * Read the saved session
+ * @returns {?Object} { song, position, queue, index, upNext, playingFromUpNext, shuffle, history, savedAt }
+ */
+export function loadSession() {
+  try {
+    const json = localStorage.getItem(STORAGE_KEY)
+    if (!json) return null
+
+    const session = JSON.parse(json)
+    if (!session?.song?.url) return null
+
+    if (Date.now() - (session.savedAt || 0) > MAX_AGE_MS) {
+      clearSession()
+      return null
+    }
+
+    return {
+      song: session.song,
+      position: Number(session.position) || 0,
+      queue: Array.isArray(session.queue) ? session.queue : [],
+      index: Number.isInteger(session.index) ? session.index : -1,
+      upNext: Array.isArray(session.upNext) ? session.upNext : [],
+      playingFromUpNext: !!session.playingFromUpNext,
+      shuffle: session.shuffle && typeof session.shuffle === "object" ? session.shuffle : null,
+      history: session.history && typeof session.history === "object" ? session.history : null,
+      savedAt: session.savedAt
+    }
+  } catch (error) {
+    console.error("🎵 SESSION: Error reading saved session:", error)
+    return null
+  }
+}
+
+/**
+ * Save the current session
+ * @param {Object} session - Same shape as loadSession() returns, without savedAt
+ */
+export function saveSession(session) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...session, savedAt: Date.now() }))
+  } catch (error) {
+    // Quota errors are not worth interrupting playback for
+    console.warn("🎵 SESSION: Could not save session:", error)
+  }
+}
+
+/**
+ * Forget the saved session
+ */
+export function clearSession() {
+  localStorage.removeItem(STORAGE_KEY)
+}
@@ -0,0 +1,236 @@
+// app/javascript/zuke/preferences_sync.js
+
+/**
+ * Preferences Sync
+ *
+ * Keeps the player's localStorage preferences in step with the server for
+ * signed-in listeners. Controllers keep reading and writing localStorage as
+ * before; this layer notices local changes by comparing each key with the
+ * value it last saw, then merges with the server, last write wins per key.
+ *
+ * Sync state lives in `zuke_preferences_sync` as
+ * `{ userId, seen: { [key]: value }, pending: { [key]: changedAt } }`.
+ * Pending changes survive offline stretches and reloads until a sync succeeds.
+ *
+ * The first sync on a device uploads the preferences already there (they
+ * lose to anything the server has). When a different listener signs in, the
+ * previous listener's preferences are cleared instead, and the new one gets
+ * theirs from the server.
+ *
+ * Preferences saved through savePreference() also note when they were
+ * written (`zuke_preferences_written`), so a change keeps the time it was
+ * made rather than the time the next sync noticed it.
+ */
+
+const STATE_KEY = "zuke_preferences_sync"
+const WRITTEN_KEY = "zuke_preferences_written"
+
+// Preferences that follow the listener between devices. The queue/session,
+// offline downloads and the sleep timer stay on the device.
+export const SYNCED_KEYS = [
+  "zuke_eq_settings",
+  "zuke_eq_presets",
+  "zuke_eq_headroom",
+  "zuke_eq_defaults",
+  "zuke_headphone_profiles",
+  "zuke_playback_settings",
+  "zuke_ab_loops",
+  "playerRepeat",
+  "playerShuffle",
+  "playerAutoAdvance",
+  "playerCrossfade",
+  "playerGapless",
+  "playerNormalization",
+  "playerTargetLufs",
+  "playerPreservePitch",
+  "audioPlayOnLoad",
+  "bannerVideoEnabled",
+  "bannerExpanded",
+  "bannerVisualizerEnabled",
+  "bannerVisualizerMode",
+  "mobileEQEnabled"
+]
+
+// Local values found on first sign-in are older than anything another device
+// saved, so the server keeps those and only fills in what it doesn't have
+const MIGRATED_CHANGED_AT = 1
+
+// Browsers refuse keepalive requests with bodies over 64 KB; larger syncs go
+// out as ordinary requests (which may not outlive the page)
+const KEEPALIVE_MAX_BYTES = 60 * 1024
+
+/**
+ * Save a player preference and note when it was written
+ * Controllers use this instead of localStorage.setItem for SYNCED_KEYS.
+ * @param {string} key
+ * @param {*} value - Stored as a string
+ */
+export function savePreference(key, value) {
+  localStorage.setItem(key, String(value))
+
+  try {
+    const written = readWritten()
+    written[key] = Date.now()
+    localStorage.setItem(WRITTEN_KEY, JSON.stringify(written))
+  } catch (error) {
+    console.warn("☁️ PREFS: Could not note when", key, "was written:", error)
+  }
+}
+
+/**
+ * Mark keys whose local value changed since they were last seen
+ * A change takes the time savePreference() wrote it, or now for writes it didn't see.
+ * @param {string} userId
+ * @returns {{userId: string, seen: Object, pending: Object, cleared: string[]}} The updated
+ *   state, and the keys cleared because they belonged to another listener
+ */
+export function trackLocalChanges(userId) {
+  const state = readState(userId)
+  const written = readWritten()
+  const now = Date.now()
+  const cleared = []
+
+  // Another listener's preferences are theirs, not this listener's to upload
+  if (state.switching) {
+    for (const key of SYNCED_KEYS) {
+      if (localStorage.getItem(key) === null) continue
+
+      localStorage.removeItem(key)
+      cleared.push(key)
+    }
+    console.log("☁️ PREFS: Different listener signed in - cleared the previous listener's preferences")
+  }
+
+  for (const key of SYNCED_KEYS) {
+    const value = localStorage.getItem(key)
+    if (value === (state.seen[key] ?? null)) continue
+
+    state.seen[key] = value
+    state.pending[key] = state.migrating ? MIGRATED_CHANGED_AT : Math.min(written[key] ?? now, now)
+  }
+
+  // Every write so far is accounted for
+  localStorage.removeItem(WRITTEN_KEY)
+
+  delete state.migrating
+  delete state.switching
+  writeState(state)
+  return { ...state, cleared }
+}
+
+/**
+ * Send pending changes and apply what the server has
+ * Pending changes are only those made since the last successful sync, so a
+ * keepalive sync usually stays small; one that doesn't goes out without keepalive.
+ * @param {{url: string, userId: string, keepalive?: boolean}} options - keepalive lets the request outlive the page
+ * @returns {Promise<{changedKeys: string[], offline: boolean}>} Keys whose local value changed
+ *   (replaced by the server's, or cleared for a different listener)
+ * @throws {Error} When the request fails
+ */
+export async function syncPreferences({ url, userId, keepalive = false }) {
+  const state = trackLocalChanges(userId)
+  if (!navigator.onLine) return { changedKeys: state.cleared, offline: true }
+
+  const sent = Object.fromEntries(Object.entries(state.pending).map(([key, changedAt]) =>
+    [key, { value: state.seen[key] ?? null, changedAt }]
+  ))
+  const hasChanges = Object.keys(sent).length > 0
+
+  // The page is going away: only changes are worth sending
+  if (keepalive && !hasChanges) return { changedKeys: state.cleared, offline: false }
+
+  const body = hasChanges ? JSON.stringify({ preferences: sent }) : undefined
+  const tooBigForKeepalive = keepalive && new Blob([body]).size > KEEPALIVE_MAX_BYTES
+  if (tooBigForKeepalive) console.warn("☁️ PREFS: Too many changes to send with keepalive, sending normally")
+
+  const response = await fetch(url, {
+    method: hasChanges ? "PATCH" : "GET",
+    headers: {
+      "Accept": "application/json",
+      "Content-Type": "application/json",
+      "X-CSRF-Token": document.querySelector('[name="csrf-token"]')?.content || ""
+    },
+    body,
+    credentials: "same-origin",
+    keepalive: keepalive && !tooBigForKeepalive
+  })
+  if (!response.ok) throw new Error(`Preferences sync failed (${response.status})`)
+
+  const { preferences = {} } = await response.json()
+  const applied = applyRemote(userId, preferences)
+  return { changedKeys: [...new Set([...state.cleared, ...applied])], offline: false }
+}
+
+// ========================
+//  Helpers
+// ========================
+
+/**
+ * Write the server's values locally, except for keys that changed again
+ * while the request was out (those stay pending for the next sync)
+ * @returns {string[]} Keys whose local value changed
+ */
+function applyRemote(userId, preferences) {
+  const state = readState(userId)
+  const changedKeys = []
+
+  for (const key of SYNCED_KEYS) {
+    const remote = preferences[key]
+    if (!remote) continue
+
+    const local = localStorage.getItem(key)
+    if (local !== (state.seen[key] ?? null)) continue
+
+    if (remote.value !== local) {
+      if (remote.value === null) {
+        localStorage.removeItem(key)
+      } else {
+        localStorage.setItem(key, remote.value)
+      }
+      changedKeys.push(key)
+    }
+
+    state.seen[key] = remote.value
+    delete state.pending[key]
+  }
+
+  writeState(state)
+  return changedKeys
+}
+
+/**
+ * Sync state for this listener. The first listener to sync on this device
+ * migrates the existing local values; a different listener starts over
+ * (switching) without them.
+ */
+function readState(userId) {
+  let state = null
+  try {
+    state = JSON.parse(localStorage.getItem(STATE_KEY))
+  } catch {
+    // Treated as never synced
+  }
+
+  if (state?.userId === String(userId)) {
+    return { userId: state.userId, seen: state.seen || {}, pending: state.pending || {} }
+  }
+
+  const fresh = { userId: String(userId), seen: {}, pending: {} }
+  return state?.userId ? { ...fresh, switching: true } : { ...fresh, migrating: true }
+}
+
+/**
+ * When each preference was last written by savePreference()
+ * @returns {Object<string, number>} key => ms since epoch
+ */
+function readWritten() {
+  try {
+    return JSON.parse(localStorage.getItem(WRITTEN_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function writeState({ userId, seen, pending }) {
+  localStorage.setItem(STATE_KEY, JSON.stringify({ userId, seen, pending }))
+}
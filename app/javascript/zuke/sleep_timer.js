@@ -0,0 +1,84 @@
+// app/javascript/zuke/sleep_timer.js
+
+/**
+ * Sleep Timer State
+ *
+ * Stops playback after a number of minutes or at the end of the current
+ * track. The timer is kept in sessionStorage so it survives Turbo
+ * navigations and reloads in the same tab, but not a relaunch the next day.
+ */
+
+const STORAGE_KEY = "zuke_sleep_timer"
+
+export const SLEEP_TIMER_MINUTES = [15, 30, 60]
+
+// Playback fades out over the last stretch before the timer stops it
+export const SLEEP_FADE_SECONDS = 30
+
+export const SLEEP_TIMER_OFF = Object.freeze({ mode: "off" })
+
+/**
+ * Build a timer from a settings menu choice
+ * @param {{mode: string, minutes?: number}} choice - mode is 'off', 'minutes' or 'track'
+ * @returns {{mode: string, minutes?: number, endsAt?: number}}
+ */
+export function createSleepTimer({ mode, minutes } = {}) {
+  if (mode === "track") return { mode: "track" }
+
+  if (mode === "minutes" && SLEEP_TIMER_MINUTES.includes(Number(minutes))) {
+    return { mode: "minutes", minutes: Number(minutes), endsAt: Date.now() + Number(minutes) * 60 * 1000 }
+  }
+
+  return SLEEP_TIMER_OFF
+}
+
+/**
+ * Read the running timer
+ * @returns {{mode: string, minutes?: number, endsAt?: number}} SLEEP_TIMER_OFF when none is running
+ */
+export function loadSleepTimer() {
+  try {
+    const timer = JSON.parse(sessionStorage.getItem(STORAGE_KEY))
+
+    if (timer?.mode === "track") return { mode: "track" }
+    if (timer?.mode === "minutes" && timer.endsAt > Date.now()) return timer
+  } catch {
+    // Fall through to off
+  }
+
+  return SLEEP_TIMER_OFF
+}
+
+/**
+ * Save (or clear) the running timer
+ * @param {{mode: string}} timer
+ */
+export function saveSleepTimer(timer) {
+  if (timer.mode === "off") {
+    sessionStorage.removeItem(STORAGE_KEY)
+  } else {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(timer))
+  }
+}
+
+/**
+ * Seconds until the timer stops playback
+ * @param {{mode: string, endsAt?: number}} timer
+ * @param {{currentTime: number, duration: number, rate: number}} playback - Current track position and speed
+ * @returns {?number} Real seconds; null when off, or when the track length isn't known yet
+ */
+export function sleepTimerRemaining(timer, { currentTime = 0, duration = 0, rate = 1 } = {}) {
+  if (timer.mode === "minutes") return Math.max(0, (timer.endsAt - Date.now()) / 1000)
+  if (timer.mode === "track" && duration > 0) return Math.max(0, duration - currentTime) / rate
+  return null
+}
+
+/**
+ * Playback level for the fade-out, 1 until the last SLEEP_FADE_SECONDS
+ * @param {?number} remaining - Seconds left
+ * @returns {number} 0 to 1
+ */
+export function sleepFadeLevel(remaining) {
+  if (remaining === null) return 1
+  return Math.max(0, Math.min(1, remaining / SLEEP_FADE_SECONDS))
+}
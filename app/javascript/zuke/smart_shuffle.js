@@ -0,0 +1,240 @@
+// app/javascript/zuke/smart_shuffle.js
+
+/**
+ * Smart Shuffle
+ *
+ * Shuffle for the Zuke player that plays every song in the list once per
+ * cycle before anything repeats, and spreads songs by the same artist across
+ * the cycle instead of letting them bunch up. Orders come from a seeded
+ * generator, so the same seed and list give the same shuffle.
+ *
+ * Songs are tracked by id, so reordering the list doesn't disturb a cycle.
+ * When songs are added or removed mid-cycle, the songs still to play are
+ * spread again together with the new ones; songs already played this cycle
+ * wait for the next one.
+ */
+export default class ShuffleCycle {
+  /**
+   * @param {Object} [state] - From toJSON(), to carry a cycle across reloads
+   * @param {number} [state.seed] - Random when omitted
+   */
+  constructor({ seed, cycle = 0, generation = 0, order = [], played = [] } = {}) {
+    this.seed = Number.isInteger(seed) ? seed >>> 0 : randomSeed()
+    this.cycle = Number.isInteger(cycle) ? cycle : 0
+    this.generation = Number.isInteger(generation) ? generation : 0 // Re-spreads within the cycle (queue changes)
+    this.order = Array.isArray(order) ? order.map(String) : [] // Song keys still to play this cycle, in order
+    this.played = new Set(Array.isArray(played) ? played.map(String) : [])
+  }
+
+  /**
+   * Index in the queue of the song that plays after the current one
+   * Leaves this cycle untouched: any re-spread or new cycle the choice needs
+   * happens on a copy. Orders are seeded, so advance() with the same queue
+   * and song makes the same choice for real.
+   * @param {Object[]} queue - The player's song list
+   * @param {?Object} current - Song playing now
+   * @returns {number} -1 when the queue has nothing else to play
+   */
+  peek(queue, current) {
+    return new ShuffleCycle(this.toJSON()).advance(queue, current)
+  }
+
+  /**
+   * Like peek(), but follows queue changes and starts a new cycle when this
+   * one is used up. Call it when the peeked song is about to play.
+   * @param {Object[]} queue
+   * @param {?Object} current
+   * @returns {number} -1 when the queue has nothing else to play
+   */
+  advance(queue, current) {
+    this.sync(queue, current)
+
+    const currentKey = current ? songKey(current) : null
+    let key = this.order.find(candidate => candidate !== currentKey)
+
+    if (!key) {
+      this.startCycle(queue, current)
+      key = this.order[0]
+    }
+
+    return key ? queue.findIndex(song => songKey(song) === key) : -1
+  }
+
+  /**
+   * Count a song as played in this cycle
+   * @param {?Object} song
+   */
+  markPlayed(song) {
+    if (!song) return
+
+    const key = songKey(song)
+    this.order = this.order.filter(candidate => candidate !== key)
+    this.played.add(key)
+  }
+
+  /**
+   * Follow changes to the song list: removed songs drop out, new songs are
+   * spread in among the ones still to play. No-op when the songs are the same.
+   * @param {Object[]} queue
+   * @param {?Object} current - Song playing now (its artist won't come next)
+   * @returns {boolean} Whether the order was recomputed
+   */
+  sync(queue, current = null) {
+    const keys = new Set(queue.map(songKey))
+    const pending = new Set(this.order)
+
+    // Songs played from outside the list (Up Next) don't count toward the cycle
+    this.played = new Set([...this.played].filter(key => keys.has(key)))
+
+    const changed = this.order.some(key => !keys.has(key)) ||
+                    [...keys].some(key => !this.played.has(key) && !pending.has(key))
+    if (!changed) return false
+
+    this.generation++
+
+    const remaining = queue.filter(song => !this.played.has(songKey(song)))
+    this.order = spreadByArtist(remaining, this.random(), current ? artistKey(current) : null)
+    return true
+  }
+
+  /**
+   * Everything but the current song, in a fresh order
+   * @param {Object[]} queue
+   * @param {?Object} current
+   */
+  startCycle(queue, current) {
+    const currentKey = current ? songKey(current) : null
+
+    this.cycle++
+    this.generation = 0
+    this.played = new Set()
+    this.order = spreadByArtist(
+      queue.filter(song => songKey(song) !== currentKey),
+      this.random(),
+      current ? artistKey(current) : null
+    )
+  }
+
+  /**
+   * Generator for the current cycle and generation
+   * @returns {function(): number} 0 (inclusive) to 1 (exclusive)
+   */
+  random() {
+    return mulberry32(this.seed ^ Math.imul(this.cycle + 1, 0x9e3779b1) ^ Math.imul(this.generation + 1, 0x85ebca6b))
+  }
+
+  toJSON() {
+    return {
+      seed: this.seed,
+      cycle: this.cycle,
+      generation: this.generation,
+      order: this.order,
+      played: [...this.played]
+    }
+  }
+}
+
+// ========================
+//  Helpers
+// ========================
+
+/**
+ * Order songs so each artist's songs sit evenly apart
+ * Every artist's songs get evenly spaced slots across 0-1 from a random
+ * start, with a little jitter; sorting by slot interleaves the artists.
+ * A last pass swaps apart any same-artist neighbours that are left.
+ * @param {Object[]} songs
+ * @param {function(): number} random
+ * @param {?string} previousArtist - Artist playing before the first song
+ * @returns {string[]} Song keys in play order
+ */
+function spreadByArtist(songs, random, previousArtist) {
+  const groups = new Map()
+  for (const song of songs) {
+    const artist = artistKey(song)
+    if (!groups.has(artist)) groups.set(artist, [])
+    groups.get(artist).push(song)
+  }
+
+  const slots = []
+  for (const group of groups.values()) {
+    shuffleInPlace(group, random)
+    const spacing = 1 / group.length
+    const offset = random() * spacing
+
+    group.forEach((song, index) => {
+      slots.push({ song, position: offset + index * spacing + (random() - 0.5) * spacing * 0.2 })
+    })
+  }
+
+  const order = slots.sort((a, b) => a.position - b.position).map(slot => slot.song)
+  separateNeighbours(order, previousArtist)
+  return order.map(songKey)
+}
+
+/**
+ * Swap a song forward when it would follow its own artist
+ * @param {Object[]} order - Modified in place
+ * @param {?string} previousArtist
+ */
+function separateNeighbours(order, previousArtist) {
+  for (let index = 0; index < order.length; index++) {
+    const before = index === 0 ? previousArtist : artistKey(order[index - 1])
+    if (artistKey(order[index]) !== before) continue
+
+    const swap = order.findIndex((song, candidate) => candidate > index && artistKey(song) !== before)
+    if (swap === -1) return // Only this artist is left
+
+    const song = order[index]
+    order[index] = order[swap]
+    order[swap] = song
+  }
+}
+
+function shuffleInPlace(items, random) {
+  for (let index = items.length - 1; index > 0; index--) {
+    const swap = Math.floor(random() * (index + 1))
+    const item = items[index]
+    items[index] = items[swap]
+    items[swap] = item
+  }
+}
+
+/**
+ * @param {Object} song
+ * @returns {string}
+ */
+function songKey(song) {
+  return String(song?.id ?? song?.url)
+}
+
+/**
+ * Songs without an artist count as their own artist, so they never cluster
+ * @param {Object} song
+ * @returns {string}
+ */
+function artistKey(song) {
+  if (song?.artistId != null) return `id:${song.artistId}`
+  if (song?.artist) return `name:${String(song.artist).toLowerCase()}`
+  return `song:${songKey(song)}`
+}
+
+/**
+ * Small seeded generator (mulberry32)
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let value = state
+    value = Math.imul(value ^ (value >>> 15), value | 1)
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61)
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0
+}
@@ -0,0 +1,34 @@
+// app/javascript/zuke/visualizer_settings.js
+import { savePreference } from "zuke/preferences_sync"
+
+/**
+ * Banner Visualizer Preference
+ *
+ * Whether the visualizer draws over the banner, and in which mode. Shared by
+ * the settings menu switch and the visualizer itself.
+ */
+
+const ENABLED_KEY = "bannerVisualizerEnabled"
+const MODE_KEY = "bannerVisualizerMode"
+
+export const VISUALIZER_MODES = ["spectrum", "oscilloscope", "radial"]
+
+/**
+ * @returns {{enabled: boolean, mode: string}}
+ */
+export function loadVisualizerSettings() {
+  const mode = localStorage.getItem(MODE_KEY)
+
+  return {
+    enabled: localStorage.getItem(ENABLED_KEY) === "true",
+    mode: VISUALIZER_MODES.includes(mode) ? mode : VISUALIZER_MODES[0]
+  }
+}
+
+/**
+ * @param {{enabled: boolean, mode: string}} settings
+ */
+export function saveVisualizerSettings({ enabled, mode }) {
+  savePreference(ENABLED_KEY, enabled)
+  if (VISUALIZER_MODES.includes(mode)) savePreference(MODE_KEY, mode)
+}
@@ -0,0 +1,89 @@
+// app/javascript/zuke/waveform_generator.js
+
+/**
+ * Client-side Waveform Generation
+ *
+ * Fallback for songs without precomputed waveform JSON (GenerateWaveformJob
+ * hasn't run yet, or the server has no audiowaveform). The browser decodes
+ * the audio and a Web Worker reduces it to normalized peaks, in the same
+ * shape `_fetchJsonPeaks` returns, so the player can resample and draw them
+ * exactly like server-made waveforms.
+ */
+
+// Dense enough for the player's minPxPerSec; resampled to the bar count later
+export const PEAKS_PER_SECOND = 100
+
+/**
+ * Fetch a file's bytes, reporting progress
+ * @param {string} url
+ * @param {function(number)} [onProgress] - Called with 0-100 when the size is known
+ * @returns {Promise<Blob>}
+ */
+export async function fetchAudio(url, onProgress) {
+  const response = await fetch(url, { mode: "cors", credentials: "omit" })
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
+  const total = Number(response.headers.get("Content-Length")) || 0
+  if (!total || !response.body || !onProgress) return response.blob()
+
+  const reader = response.body.getReader()
+  const chunks = []
+  let received = 0
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    chunks.push(value)
+    received += value.length
+    onProgress(Math.min(100, Math.round((received / total) * 100)))
+  }
+
+  return new Blob(chunks, { type: response.headers.get("Content-Type") || "" })
+}
+
+/**
+ * Decode audio and compute its peaks in a worker
+ * @param {Blob} blob - Encoded audio file
+ * @param {Object} [options]
+ * @param {number} [options.peaksPerSecond]
+ * @returns {Promise<{peaks: number[], duration: number, audioBuffer: AudioBuffer}>}
+ */
+export async function generatePeaks(blob, { peaksPerSecond = PEAKS_PER_SECOND } = {}) {
+  // An offline context decodes without needing a user gesture or output device
+  const context = new OfflineAudioContext(1, 1, 44100)
+  const audioBuffer = await context.decodeAudioData(await blob.arrayBuffer())
+
+  // Copies, so the AudioBuffer stays usable (loudness estimate) after the transfer
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i).slice())
+
+  const peaks = await runWorker({
+    channels,
+    sampleRate: audioBuffer.sampleRate,
+    peaksPerSecond
+  }, channels.map(channel => channel.buffer))
+
+  return { peaks, duration: audioBuffer.duration, audioBuffer }
+}
+
+/**
+ * @param {Object} message
+ * @param {Transferable[]} transfer
+ * @returns {Promise<number[]>}
+ */
+function runWorker(message, transfer) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(import.meta.resolve("zuke/waveform_worker"), { type: "module" })
+
+    worker.onmessage = ({ data }) => {
+      worker.terminate()
+      data.error ? reject(new Error(data.error)) : resolve(data.peaks)
+    }
+    worker.onerror = (event) => {
+      worker.terminate()
+      reject(event.error || new Error(event.message || "Waveform worker failed"))
+    }
+
+    worker.postMessage(message, transfer)
+  })
+}
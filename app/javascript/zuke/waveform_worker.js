@@ -0,0 +1,56 @@
+// app/javascript/zuke/waveform_worker.js
+
+/**
+ * Waveform Peaks Worker
+ *
+ * Started by zuke/waveform_generator.js, never imported. Turns decoded
+ * channel data into normalized peaks (0-1, loudest bin = 1) off the main
+ * thread, so a long track doesn't stall playback or the UI.
+ *
+ * Message in:  { channels: Float32Array[], sampleRate, peaksPerSecond }
+ * Message out: { peaks: number[] } or { error: string }
+ */
+
+self.onmessage = ({ data }) => {
+  try {
+    const { channels, sampleRate, peaksPerSecond } = data
+    self.postMessage({ peaks: computePeaks(channels, sampleRate, peaksPerSecond) })
+  } catch (error) {
+    self.postMessage({ error: error.message })
+  }
+}
+
+/**
+ * Loudest absolute sample per bin across all channels
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {number} peaksPerSecond
+ * @returns {number[]}
+ */
+function computePeaks(channels, sampleRate, peaksPerSecond) {
+  if (!channels?.length || !channels[0].length) return []
+
+  const length = channels[0].length
+  const samplesPerPeak = Math.max(1, Math.floor(sampleRate / peaksPerSecond))
+  const peakCount = Math.ceil(length / samplesPerPeak)
+  const peaks = new Array(peakCount)
+  let loudest = 0
+
+  for (let p = 0; p < peakCount; p++) {
+    const start = p * samplesPerPeak
+    const end = Math.min(length, start + samplesPerPeak)
+    let max = 0
+
+    for (const channel of channels) {
+      for (let i = start; i < end; i++) {
+        const value = Math.abs(channel[i])
+        if (value > max) max = value
+      }
+    }
+
+    peaks[p] = max
+    if (max > loudest) loudest = max
+  }
+
+  return loudest > 0 ? peaks.map(peak => peak / loudest) : peaks
+}
@@ -1,8 +1,14 @@
 # frozen_string_literal: true
 
+require "open3"
+
 # The GenerateWaveformJob is responsible for creating a JSON waveform file from a Song's attached audio file.
 # It is designed to be enqueued by an after_commit hook on the Song model, ensuring it only runs when
 # an audio file has been newly attached or changed.
+#
+# It also measures the track's loudness (EBU R128 via ffmpeg) and stores it alongside the peaks, both inside
+# the JSON and in the blob's metadata, so the player can normalize volume between tracks, and refreshes the
+# album's stored loudness for album-mode normalization.
 class GenerateWaveformJob < ApplicationJob
   queue_as :default
 
@@ -33,12 +39,20 @@ class GenerateWaveformJob < ApplicationJob
 
       # After execution, check if the output file was created successfully.
       if File.exist?(output_path)
+        # Loudness is optional: a failed measurement still leaves a usable waveform.
+        loudness = measure_loudness(temp_audio_file.path)
+        embed_loudness(output_path, loudness) if loudness
+
         # If successful, attach the generated JSON file to the song model with a descriptive name.
         song.waveform_data.attach(
           io: File.open(output_path),
           filename: "#{song.title.parameterize}_waveform.json",
-          content_type: "application/json"
+          content_type: "application/json",
+          metadata: loudness ? { loudness: loudness } : {}
         )
+
+        # The album's combined loudness includes this track now
+        song.album&.refresh_loudness! if loudness
       else
         # If the command failed for any reason, log an error for debugging purposes.
         Rails.logger.error "Waveform generation failed for Song ##{song.id}. Command: #{command}"
@@ -48,4 +62,33 @@ class GenerateWaveformJob < ApplicationJob
       File.delete(output_path) if File.exist?(output_path)
     end
   end
+
+  private
+
+  # Runs ffmpeg's EBU R128 meter over the audio file.
+  # Returns { "integrated_lufs" => Float, "true_peak_db" => Float } or nil when ffmpeg is missing or the
+  # output can't be parsed (e.g. a silent file reports -inf).
+  def measure_loudness(audio_path)
+    output, status = Open3.capture2e("ffmpeg", "-hide_banner", "-nostats", "-i", audio_path,
+                                     "-af", "ebur128=peak=true", "-f", "null", "-")
+    return nil unless status.success?
+
+    # ffmpeg prints running values first; the summary at the end holds the final figures.
+    integrated = output.scan(/I:\s+(-?\d+(?:\.\d+)?) LUFS/).last&.first
+    peak = output.scan(/Peak:\s+(-?\d+(?:\.\d+)?) dBFS/).last&.first
+    return nil unless integrated
+
+    { "integrated_lufs" => integrated.to_f, "true_peak_db" => peak&.to_f }.compact
+  rescue SystemCallError => e
+    Rails.logger.error "Loudness measurement failed: #{e.message}"
+    nil
+  end
+
+  # Adds the loudness figures to the audiowaveform JSON under a "loudness" key.
+  def embed_loudness(output_path, loudness)
+    waveform = JSON.parse(File.read(output_path))
+    File.write(output_path, JSON.generate(waveform.merge("loudness" => loudness)))
+  rescue JSON::ParserError => e
+    Rails.logger.error "Could not add loudness to waveform JSON: #{e.message}"
+  end
 end
@@ -14,4 +14,18 @@ class Album < ApplicationRecord
   def self.ransackable_attributes(auth_object = nil)
     [ "title", "created_at", "updated_at" ]
   end
+
+  # Recomputes the combined loudness (LUFS) of the album's measured tracks and
+  # stores it in loudness_lufs, used for album-mode normalization. Tracks are
+  # averaged by energy rather than by their dB values. Stored rather than
+  # computed on read so presenting a song list doesn't reload every album.
+  def refresh_loudness!
+    values = songs.includes(waveform_data_attachment: :blob).filter_map(&:loudness_lufs)
+    combined = unless values.empty?
+      mean_energy = values.sum { |lufs| 10**(lufs / 10.0) } / values.size
+      (10 * Math.log10(mean_energy)).round(2)
+    end
+
+    update!(loudness_lufs: combined)
+  end
 end
@@ -0,0 +1,78 @@
+# frozen_string_literal: true
+
+# One time a signed-in user started a song in the Zuke player: how long they
+# listened, whether it counted as a play (30 seconds or half the track, decided
+# by the player), and whether it ended by finishing or by a skip (Next or
+# Previous). A listen cut short otherwise, e.g. by closing the page, is neither.
+#
+# The player reports listens in batches and may report the same listen more
+# than once (retries after being offline, a beacon when the page is hidden), so
+# each report is keyed by the id the player gave it and only ever adds to what
+# was recorded.
+class Listen < ApplicationRecord
+  CLIENT_ID_FORMAT = /\A[\w-]{8,64}\z/
+  MAX_BATCH = 100
+  MAX_LISTENED_SECONDS = 1.day.to_i
+  RECENT_LIMIT = 50
+
+  belongs_to :user
+  belongs_to :song
+
+  validates :client_id, presence: true, format: { with: CLIENT_ID_FORMAT }, uniqueness: { scope: :user_id }
+  validates :started_at, presence: true
+  validates :listened_seconds, numericality: { greater_than_or_equal_to: 0, less_than_or_equal_to: MAX_LISTENED_SECONDS }
+  validates :duration_seconds, numericality: { greater_than: 0 }, allow_nil: true
+
+  scope :counted, -> { where(counted: true) }
+
+  # Records a batch of listens from the player. Reports for songs that aren't
+  # in the library (SoundCloud tracks) or that don't validate are skipped, so
+  # one bad report can't hold the rest of an offline queue back.
+  #
+  # @param user [User]
+  # @param reports [Array<Hash>] { "id", "songId", "startedAt" (ms since epoch),
+  #   "listenedSeconds", "duration", "counted", "completed", "skipped" }
+  # @return [Integer] How many listens were recorded or updated
+  def self.record_batch!(user, reports)
+    reports = Array(reports).select { |report| report.is_a?(Hash) }.first(MAX_BATCH)
+    song_ids = Song.where(id: reports.map { |report| report["songId"].to_s }.grep(/\A\d+\z/)).pluck(:id).to_set
+
+    transaction do
+      reports.count do |report|
+        next false unless song_ids.include?(report["songId"].to_i)
+
+        listen = user.listens.find_or_initialize_by(client_id: report["id"].to_s)
+        listen.song_id ||= report["songId"].to_i
+        listen.apply_report(report)
+        listen.save
+      end
+    end
+  end
+
+  # Songs the user played most recently, newest first.
+  #
+  # @param user [User]
+  # @param limit [Integer]
+  # @return [Array<Hash>] { song_id:, last_played_at:, play_count: }
+  def self.recently_played(user, limit: RECENT_LIMIT)
+    user.listens.counted
+        .group(:song_id)
+        .order(Arel.sql("MAX(listens.started_at) DESC"))
+        .limit(limit)
+        .pluck(:song_id, Arel.sql("MAX(listens.started_at)"), Arel.sql("COUNT(*)"))
+        .map { |song_id, last_played_at, play_count| { song_id: song_id, last_played_at: last_played_at, play_count: play_count } }
+  end
+
+  # Folds a report into this listen. Later reports of the same listen can add
+  # listening time and mark it counted or finished, never take that back.
+  #
+  # @param report [Hash] See record_batch!
+  def apply_report(report)
+    self.started_at ||= Time.zone.at(report["startedAt"].to_i / 1000.0) if report["startedAt"].to_i.positive?
+    self.listened_seconds = [ listened_seconds.to_f, report["listenedSeconds"].to_f ].max
+    self.duration_seconds = report["duration"].to_f if report["duration"].to_f.positive?
+    self.counted ||= report["counted"] == true
+    self.completed ||= report["completed"] == true
+    self.skipped = !completed && (skipped || report["skipped"] == true)
+  end
+end
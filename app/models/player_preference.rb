@@ -0,0 +1,63 @@
+# frozen_string_literal: true
+
+# A Zuke player preference (EQ curves, repeat/shuffle, banner options, ...) for
+# a signed-in user. Each row mirrors one localStorage key: the value is the raw
+# string the player stores, or nil when the key was removed on a device.
+class PlayerPreference < ApplicationRecord
+  KEY_FORMAT = /\A[A-Za-z][\w-]{0,63}\z/
+  MAX_KEYS = 100
+  MAX_VALUE_BYTES = 512.kilobytes
+
+  belongs_to :user
+
+  validates :key, presence: true, format: { with: KEY_FORMAT }, uniqueness: { scope: :user_id }
+  validates :changed_at, numericality: { only_integer: true, greater_than_or_equal_to: 0 }
+  validate :value_within_size_limit
+  validate :within_key_limit, on: :create
+
+  # Applies changes from one device, last write wins per key: a change only
+  # replaces the stored value when it is newer. All or nothing.
+  #
+  # @param user [User]
+  # @param changes [Hash{String => Hash}] key => { "value" => String or nil, "changedAt" => ms since epoch }
+  # @raise [ActiveRecord::RecordInvalid] when any change is invalid
+  def self.merge!(user, changes)
+    transaction do
+      changes.each do |key, change|
+        preference = user.player_preferences.find_or_initialize_by(key: key.to_s)
+
+        unless change.is_a?(Hash) && (change["value"].nil? || change["value"].is_a?(String))
+          preference.errors.add(:value, "must be a string or null")
+          raise ActiveRecord::RecordInvalid, preference
+        end
+
+        changed_at = change["changedAt"].to_i
+        next if preference.persisted? && preference.changed_at >= changed_at
+
+        preference.update!(value: change["value"], changed_at: changed_at)
+      end
+    end
+  end
+
+  # The preferences as the player's sync layer reads them.
+  #
+  # @param preferences [Enumerable<PlayerPreference>]
+  # @return [Hash{String => Hash}] key => { value:, changedAt: }
+  def self.sync_hash(preferences)
+    preferences.to_h { |preference| [ preference.key, { value: preference.value, changedAt: preference.changed_at } ] }
+  end
+
+  private
+
+  def value_within_size_limit
+    return if value.nil? || value.bytesize <= MAX_VALUE_BYTES
+
+    errors.add(:value, "is too large")
+  end
+
+  def within_key_limit
+    return unless user && user.player_preferences.where.not(id: id).count >= MAX_KEYS
+
+    errors.add(:base, "Too many preferences")
+  end
+end
@@ -13,6 +13,8 @@ class Song < ApplicationRecord
   has_many :playlist_songs, dependent: :destroy
   has_many :playlists, through: :playlist_songs
 
+  has_many :listens, dependent: :destroy
+
   accepts_nested_attributes_for :artist
   accepts_nested_attributes_for :album
 
@@ -22,6 +24,7 @@ class Song < ApplicationRecord
   before_validation :associate_album_artist
 
   after_commit :schedule_waveform_generation, on: %i[create update]
+  after_commit :refresh_album_loudness, on: %i[update destroy]
 
   # Ransack: Allow searching on specific attributes
   def self.ransackable_attributes(auth_object = nil)
@@ -91,6 +94,13 @@ class Song < ApplicationRecord
     image.variant(resize_to_limit: [ 400, 400 ], format: :webp)
   end
 
+  # Integrated loudness (LUFS) measured by GenerateWaveformJob, if available
+  def loudness_lufs
+    return unless waveform_data.attached?
+
+    waveform_data.blob.metadata.dig("loudness", "integrated_lufs")
+  end
+
   private
 
   def schedule_waveform_generation
@@ -101,6 +111,15 @@ class Song < ApplicationRecord
     end
   end
 
+  # A song leaving an album (moved or destroyed) changes the album's combined
+  # loudness; so does the album it moves to
+  def refresh_album_loudness
+    album_ids = (destroyed? ? [ album_id ] : Array(saved_change_to_album_id)).compact
+    return if album_ids.empty?
+
+    Album.where(id: album_ids).find_each(&:refresh_loudness!)
+  end
+
   def calculate_mobile_crop
     return [ 0, 0, 640, 640 ] unless image.attached?
 
@@ -11,6 +11,8 @@ class User < ApplicationRecord
   has_many :favorites, dependent: :destroy
   has_many :favorite_videos, through: :favorites, source: :hermit_video
   has_many :watch_progresses, dependent: :destroy
+  has_many :player_preferences, dependent: :destroy
+  has_many :listens, dependent: :destroy
 
   after_create :create_hermit_profile
 
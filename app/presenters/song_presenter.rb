@@ -18,6 +18,12 @@ class SongPresenter
       url: @song.audio_file.attached? ? @song.audio_file.url : nil,
       title: @song.title,
       artist: @song.artist&.name,
+      # Identifiers for the equalizer's album/artist/genre defaults
+      artistId: @song.artist_id,
+      album: @song.album&.title,
+      albumId: @song.album_id,
+      genre: genre&.name,
+      genreId: genre&.id,
       # Images can use the redirecting blob URL, which is stable
       banner: url_for_blob(@song.image),
       grid_banner: url_for_variant(@song.grid_image_variant),
@@ -30,12 +36,21 @@ class SongPresenter
       audioLicense: @song.audio_license,
       additionalCredits: @song.additional_credits,
       waveformUrl: proxy_url_for_blob(@song.waveform_data),
-      duration: @song.audio_file.attached? ? (@song.audio_file.metadata["duration"] || 0) : 0
+      duration: @song.audio_file.attached? ? (@song.audio_file.metadata["duration"] || 0) : 0,
+      # Measured by GenerateWaveformJob (the album's is stored on the album);
+      # the player estimates when these are nil
+      loudness: @song.loudness_lufs,
+      albumLoudness: @song.album&.loudness_lufs
     }
   end
 
   private
 
+  # The album's genre, or the song's own when the album has none
+  def genre
+    @genre ||= @song.album&.genre || @song.genres.min_by(&:id)
+  end
+
   # Generates a stable, redirecting URL for a blob.
   def url_for_blob(attachment)
     return nil unless attachment.attached?
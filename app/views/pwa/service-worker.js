@@ -1,5 +1,10 @@
 // Zuke Music Player Service Worker
-const CACHE_VERSION = 'zuke-v4'; // Bumped for Range/ActiveStorage fix
+const CACHE_VERSION = 'zuke-v5'; // Bumped for offline downloads
+// Songs downloaded for offline play. Kept across versions, only the page removes entries.
+// Must match OFFLINE_CACHE and OFFLINE_PATH in app/javascript/zuke/offline_store.js
+const OFFLINE_CACHE = 'zuke-offline-v1';
+// Downloads are keyed by song id under this path, not by their (signed) URLs
+const OFFLINE_PATH = '/zuke/offline/';
 const CACHE_ASSETS = [
   '/zuke/music',
   '/icon.png'
@@ -41,7 +46,7 @@ self.addEventListener('activate', (event) => {
 
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_VERSION) {
+          if (cacheName !== CACHE_VERSION && cacheName !== OFFLINE_CACHE) {
             console.log(`Service Worker: Deleting old cache: ${cacheName}`);
             return caches.delete(cacheName);
           }
@@ -54,22 +59,79 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// ========================
+//  Offline Downloads
+// ========================
+
+// Answer a request from a downloaded file, slicing it for Range requests
+// (media elements seek with Range requests and expect 206 responses)
+async function offlineResponse(request) {
+  const cache = await caches.open(OFFLINE_CACHE);
+  const cached = await cache.match(request.url, { ignoreSearch: true });
+  if (!cached) {
+    return new Response(null, { status: 404, statusText: 'Not Downloaded' });
+  }
+
+  const range = request.headers.get('range');
+  if (!range) return cached;
+
+  const blob = await cached.blob();
+  const size = blob.size;
+  const match = /bytes=(\d*)-(\d*)/.exec(range);
+
+  let start = 0;
+  let end = size - 1;
+  if (match && match[1]) {
+    start = Number(match[1]);
+    if (match[2]) end = Math.min(Number(match[2]), size - 1);
+  } else if (match && match[2]) {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+  }
+
+  if (start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || 'application/octet-stream',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
 // Fetch event - network first, fall back to cache
 self.addEventListener('fetch', (event) => {
   // Skip non-GET requests
   if (event.request.method !== 'GET') return;
 
-  // Skip audio files, Range requests, ActiveStorage blobs, and SoundCloud CDN
-  // Letting the browser handle these directly ensures proper streaming and avoids CORS/Range issues.
   const url = event.request.url;
-  if (url.includes('.mp3') || 
+
+  // Downloaded songs play from Cache Storage, online or not
+  if (new URL(url).pathname.startsWith(OFFLINE_PATH)) {
+    event.respondWith(offlineResponse(event.request));
+    return;
+  }
+
+  // Audio files, Range requests, ActiveStorage blobs, and SoundCloud CDN
+  // Letting the browser handle these directly ensures proper streaming and avoids CORS/Range issues.
+  const isStreamingRequest = url.includes('.mp3') ||
       url.includes('.wav') ||
       url.includes('/rails/active_storage/') ||
       url.includes('sndcdn.com') ||
       url.includes('soundcloud.com') ||
-      event.request.headers.has('range')) {
-    return;
-  }
+      event.request.headers.has('range');
+
+  if (isStreamingRequest) return;
 
   event.respondWith(
     fetch(event.request)
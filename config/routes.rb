@@ -192,6 +192,11 @@ Rails.application.routes.draw do
       get "about", to: "zuke#about", as: :music_about
       get "search", to: "zuke#search", as: :search  # Search across songs, artists, albums
       get "refresh_soundcloud_track/:id", to: "zuke#refresh_soundcloud_track", as: :refresh_soundcloud_track
+      post "waveform/:id", to: "zuke#upload_waveform", as: :upload_waveform  # Browser-generated peaks (admins only)
+      get "preferences", to: "player_preferences#show", as: :preferences  # Synced player preferences (signed-in users)
+      patch "preferences", to: "player_preferences#update"
+      get "recent", to: "listens#index", as: :music_recent  # Recently played (signed-in users)
+      post "listens", to: "listens#create", as: :listens  # Batched listening history from the player
     end
   end
 
@@ -0,0 +1,15 @@
+class CreatePlayerPreferences < ActiveRecord::Migration[8.0]
+  def change
+    create_table :player_preferences do |t|
+      t.references :user, null: false, foreign_key: true
+      t.string :key, null: false
+      t.text :value
+      # When the value changed on the device that set it (ms since epoch), for last-write-wins
+      t.bigint :changed_at, null: false, default: 0
+
+      t.timestamps
+    end
+
+    add_index :player_preferences, [ :user_id, :key ], unique: true
+  end
+end
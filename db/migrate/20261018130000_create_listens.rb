@@ -0,0 +1,21 @@
+class CreateListens < ActiveRecord::Migration[8.0]
+  def change
+    create_table :listens do |t|
+      t.references :user, null: false, foreign_key: true
+      t.references :song, null: false, foreign_key: true
+      # Id the player gave the listen, so retried and beaconed reports update one row
+      t.string :client_id, null: false
+      t.datetime :started_at, null: false
+      t.float :listened_seconds, null: false, default: 0
+      t.float :duration_seconds
+      t.boolean :counted, null: false, default: false
+      t.boolean :completed, null: false, default: false
+      t.boolean :skipped, null: false, default: false
+
+      t.timestamps
+    end
+
+    add_index :listens, [ :user_id, :client_id ], unique: true
+    add_index :listens, [ :user_id, :started_at ]
+  end
+end
@@ -0,0 +1,7 @@
+class AddLoudnessLufsToAlbums < ActiveRecord::Migration[8.0]
+  def change
+    # Combined loudness of the album's measured tracks, kept up to date by Album#refresh_loudness!
+    # Existing albums are filled in by `bin/rails zuke:refresh_album_loudness`
+    add_column :albums, :loudness_lufs, :float
+  end
+end
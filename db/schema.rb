@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2026_07_08_225703) do
+ActiveRecord::Schema[8.0].define(version: 2026_10_18_140000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -59,6 +59,7 @@ ActiveRecord::Schema[8.0].define(version: 2026_07_08_225703) do
     t.bigint "artist_id", null: false
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.float "loudness_lufs"
     t.index ["artist_id"], name: "index_albums_on_artist_id"
     t.index ["genre_id"], name: "index_albums_on_genre_id"
     t.index ["title", "artist_id"], name: "index_albums_on_title_and_artist_id", unique: true
@@ -513,6 +514,24 @@ ActiveRecord::Schema[8.0].define(version: 2026_07_08_225703) do
     t.index ["restaurant_id"], name: "index_hours_on_restaurant_id"
   end
 
+  create_table "listens", force: :cascade do |t|
+    t.bigint "user_id", null: false
+    t.bigint "song_id", null: false
+    t.string "client_id", null: false
+    t.datetime "started_at", null: false
+    t.float "listened_seconds", default: 0.0, null: false
+    t.float "duration_seconds"
+    t.boolean "counted", default: false, null: false
+    t.boolean "completed", default: false, null: false
+    t.boolean "skipped", default: false, null: false
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["song_id"], name: "index_listens_on_song_id"
+    t.index ["user_id", "client_id"], name: "index_listens_on_user_id_and_client_id", unique: true
+    t.index ["user_id", "started_at"], name: "index_listens_on_user_id_and_started_at"
+    t.index ["user_id"], name: "index_listens_on_user_id"
+  end
+
   create_table "menu_categories", force: :cascade do |t|
     t.bigint "restaurant_id", null: false
     t.string "name", null: false
@@ -594,6 +613,17 @@ ActiveRecord::Schema[8.0].define(version: 2026_07_08_225703) do
     t.index ["resume_id"], name: "index_pills_on_resume_id"
   end
 
+  create_table "player_preferences", force: :cascade do |t|
+    t.bigint "user_id", null: false
+    t.string "key", null: false
+    t.text "value"
+    t.bigint "changed_at", default: 0, null: false
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["user_id", "key"], name: "index_player_preferences_on_user_id_and_key", unique: true
+    t.index ["user_id"], name: "index_player_preferences_on_user_id"
+  end
+
   create_table "playlist_songs", force: :cascade do |t|
     t.bigint "playlist_id", null: false
     t.bigint "song_id", null: false
@@ -1023,6 +1053,8 @@ ActiveRecord::Schema[8.0].define(version: 2026_07_08_225703) do
   add_foreign_key "hermit_crew_memberships", "hermits"
   add_foreign_key "hermit_videos", "hermits"
   add_foreign_key "hours", "restaurants"
+  add_foreign_key "listens", "songs"
+  add_foreign_key "listens", "users"
   add_foreign_key "menu_categories", "restaurants"
   add_foreign_key "menu_items", "menu_categories"
   add_foreign_key "menu_items", "restaurants"
@@ -1031,6 +1063,7 @@ ActiveRecord::Schema[8.0].define(version: 2026_07_08_225703) do
   add_foreign_key "order_items", "orders"
   add_foreign_key "orders", "restaurants"
   add_foreign_key "pills", "resumes"
+  add_foreign_key "player_preferences", "users"
   add_foreign_key "playlist_songs", "playlists"
   add_foreign_key "playlist_songs", "songs"
   add_foreign_key "projects", "resumes"
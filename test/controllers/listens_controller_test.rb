@@ -0,0 +1,71 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class ListensControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = User.create!(email: "listener@example.com", password: "password123")
+    @song = songs(:one)
+  end
+
+  def listen_report(overrides = {})
+    {
+      id: "listen-0001",
+      songId: @song.id,
+      startedAt: 1_760_000_000_000,
+      listenedSeconds: 95.0,
+      duration: 180.0,
+      counted: true,
+      completed: false,
+      skipped: true
+    }.merge(overrides)
+  end
+
+  test "guest cannot report listens" do
+    post listens_zuke_index_url, params: { listens: [ listen_report ] }, as: :json
+    assert_response :unauthorized
+  end
+
+  test "user reports a batch of listens" do
+    sign_in @user
+
+    post listens_zuke_index_url, params: {
+      listens: [ listen_report, listen_report(id: "listen-0002", songId: "soundcloud-99") ]
+    }, as: :json
+    assert_response :success
+
+    assert_equal 1, response.parsed_body["recorded"]
+    assert_equal [ "listen-0001" ], @user.listens.pluck(:client_id)
+  end
+
+  test "a batch without listens records nothing" do
+    sign_in @user
+
+    post listens_zuke_index_url, params: { listens: "nope" }, as: :json
+    assert_response :success
+
+    assert_equal 0, response.parsed_body["recorded"]
+  end
+
+  test "recently played shows the user's counted plays" do
+    Listen.record_batch!(@user, [ listen_report.stringify_keys ])
+    sign_in @user
+
+    get music_recent_zuke_index_url
+    assert_response :success
+
+    assert_equal [ @song.id ], assigns(:songs_for_display).map { |song| song[:id] }
+    assert_match "1 play", response.body
+  end
+
+  test "recently played is empty for a new listener" do
+    sign_in @user
+
+    get music_recent_zuke_index_url
+    assert_response :success
+
+    assert_empty assigns(:songs_for_display)
+  end
+end
@@ -0,0 +1,56 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class PlayerPreferencesControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = User.create!(email: "listener@example.com", password: "password123")
+  end
+
+  test "guest cannot read preferences" do
+    get preferences_zuke_index_url, as: :json
+    assert_response :unauthorized
+  end
+
+  test "user reads their preferences" do
+    @user.player_preferences.create!(key: "playerRepeat", value: "all", changed_at: 1_000)
+    sign_in @user
+
+    get preferences_zuke_index_url, as: :json
+    assert_response :success
+
+    assert_equal({ "value" => "all", "changedAt" => 1_000 }, response.parsed_body.dig("preferences", "playerRepeat"))
+  end
+
+  test "update merges changes and returns the merged set" do
+    @user.player_preferences.create!(key: "playerRepeat", value: "one", changed_at: 5_000)
+    sign_in @user
+
+    patch preferences_zuke_index_url, params: {
+      preferences: {
+        playerRepeat: { value: "all", changedAt: 1_000 },
+        playerShuffle: { value: "true", changedAt: 1_000 }
+      }
+    }, as: :json
+    assert_response :success
+
+    preferences = response.parsed_body["preferences"]
+    assert_equal "one", preferences.dig("playerRepeat", "value")
+    assert_equal "true", preferences.dig("playerShuffle", "value")
+  end
+
+  test "update rejects invalid keys" do
+    sign_in @user
+
+    patch preferences_zuke_index_url, params: { preferences: { "bad key": { value: "x", changedAt: 1 } } }, as: :json
+    assert_response :unprocessable_entity
+    assert_empty @user.player_preferences
+  end
+
+  test "guest cannot update preferences" do
+    patch preferences_zuke_index_url, params: { preferences: { playerRepeat: { value: "all", changedAt: 1 } } }, as: :json
+    assert_response :unauthorized
+  end
+end
@@ -55,4 +55,54 @@ class ZukeControllerTest < ActionDispatch::IntegrationTest
     # Pop genre has 1 song in fixtures
     assert_equal 1, grouped_genres[@pop_genre].size
   end
+
+  test "admin can upload a browser-generated waveform" do
+    sign_in @milk_admin
+    @song_one.audio_file.attach(io: file_fixture("test_audio.mp3").open, filename: "test_audio.mp3", content_type: "audio/mpeg")
+    @song_one.waveform_data.purge if @song_one.waveform_data.attached?
+
+    post upload_waveform_zuke_index_url(id: @song_one.id), params: { peaks: [ 0, 0.5, 1 ], peaks_per_second: 100 }, as: :json
+    assert_response :created
+
+    waveform = JSON.parse(@song_one.reload.waveform_data.download)
+    assert_equal [ 0, 0, -64, 64, -127, 127 ], waveform["data"]
+    assert_equal 3, waveform["length"]
+    assert_equal 441, waveform["samples_per_pixel"]
+  end
+
+  test "uploading a waveform refreshes the album's loudness" do
+    sign_in @milk_admin
+    @song_one.audio_file.attach(io: file_fixture("test_audio.mp3").open, filename: "test_audio.mp3", content_type: "audio/mpeg")
+    @song_one.waveform_data.purge if @song_one.waveform_data.attached?
+    @song_one.album.update!(loudness_lufs: -14.0)
+
+    post upload_waveform_zuke_index_url(id: @song_one.id), params: { peaks: [ 0.5 ] }, as: :json
+    assert_response :created
+    assert_nil @song_one.album.reload.loudness_lufs
+  end
+
+  test "uploaded waveform does not replace an existing one" do
+    sign_in @milk_admin
+    @song_one.audio_file.attach(io: file_fixture("test_audio.mp3").open, filename: "test_audio.mp3", content_type: "audio/mpeg")
+    @song_one.waveform_data.attach(io: StringIO.new('{"data":[1]}'), filename: "existing.json", content_type: "application/json")
+
+    post upload_waveform_zuke_index_url(id: @song_one.id), params: { peaks: [ 0.5 ] }, as: :json
+    assert_response :no_content
+    assert_equal '{"data":[1]}', @song_one.reload.waveform_data.download
+  end
+
+  test "invalid peaks are rejected" do
+    sign_in @milk_admin
+    @song_one.audio_file.attach(io: file_fixture("test_audio.mp3").open, filename: "test_audio.mp3", content_type: "audio/mpeg")
+    @song_one.waveform_data.purge if @song_one.waveform_data.attached?
+
+    post upload_waveform_zuke_index_url(id: @song_one.id), params: { peaks: [ 0.5, 2 ] }, as: :json
+    assert_response :unprocessable_entity
+    assert_not @song_one.reload.waveform_data.attached?
+  end
+
+  test "guest cannot upload a waveform" do
+    post upload_waveform_zuke_index_url(id: @song_one.id), params: { peaks: [ 0.5 ] }, as: :json
+    assert_response :unauthorized
+  end
 end
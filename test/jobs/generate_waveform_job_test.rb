@@ -51,4 +51,49 @@ class GenerateWaveformJobTest < ActiveJob::TestCase
       end
     end
   end
+
+  test "perform stores measured loudness with the waveform" do
+    GenerateWaveformJob.class_eval do
+      alias_method :original_system, :system
+      def system(cmd)
+        output_path = cmd.split("-o ")[1].split(" ")[0]
+        File.write(output_path, '{"version": 2, "channels": 1, "data": [0, 128, 255]}')
+        true
+      end
+    end
+
+    ffmpeg_output = <<~OUTPUT
+      [Parsed_ebur128_0] Summary:
+
+        Integrated loudness:
+          I:         -9.8 LUFS
+          Threshold: -19.9 LUFS
+
+        True peak:
+          Peak:       0.4 dBFS
+    OUTPUT
+    status = Minitest::Mock.new
+    status.expect(:success?, true)
+
+    begin
+      Open3.stub(:capture2e, [ ffmpeg_output, status ]) do
+        perform_enqueued_jobs do
+          GenerateWaveformJob.perform_later(@song)
+        end
+      end
+
+      @song.reload
+      assert_equal(-9.8, @song.loudness_lufs)
+      assert_equal 0.4, @song.waveform_data.metadata.dig("loudness", "true_peak_db")
+      assert_equal(-9.8, @song.album.reload.loudness_lufs, "Album loudness refreshed with the new track")
+
+      waveform = JSON.parse(@song.waveform_data.download)
+      assert_equal(-9.8, waveform.dig("loudness", "integrated_lufs"))
+      assert_equal [ 0, 128, 255 ], waveform["data"]
+    ensure
+      GenerateWaveformJob.class_eval do
+        alias_method :system, :original_system
+      end
+    end
+  end
 end
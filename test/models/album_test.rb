@@ -36,6 +36,34 @@ class AlbumTest < ActiveSupport::TestCase
     assert album.valid?
   end
 
+  test "refresh_loudness! stores the energy average of measured tracks" do
+    album = Album.create!(title: "The Wall", artist: @artist)
+    [ -10.0, -20.0 ].each_with_index do |lufs, i|
+      song = album.songs.create!(title: "Track #{i}", artist: @artist)
+      song.waveform_data.attach(
+        io: StringIO.new("{}"),
+        filename: "track_#{i}_waveform.json",
+        content_type: "application/json",
+        metadata: { loudness: { integrated_lufs: lufs } }
+      )
+    end
+    album.songs.create!(title: "Unmeasured", artist: @artist)
+
+    album.refresh_loudness!
+
+    # Energy mean of -10 and -20 LUFS, dominated by the louder track
+    assert_in_delta(-12.6, album.reload.loudness_lufs, 0.05)
+  end
+
+  test "refresh_loudness! stores nil without measured tracks" do
+    album = Album.create!(title: "The Wall", artist: @artist, loudness_lufs: -14.0)
+    album.songs.create!(title: "Unmeasured", artist: @artist)
+
+    album.refresh_loudness!
+
+    assert_nil album.reload.loudness_lufs
+  end
+
   test "should destroy associated songs when destroyed" do
     album = Album.create!(title: "The Wall", artist: @artist)
     album.songs.create!(title: "Another Brick in the Wall", artist: @artist)
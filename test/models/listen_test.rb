@@ -0,0 +1,103 @@
+require "test_helper"
+
+class ListenTest < ActiveSupport::TestCase
+  setup do
+    @user = User.create!(email: "listener@example.com", password: "password123")
+    @song = songs(:one)
+    @other_song = songs(:two)
+  end
+
+  def report(overrides = {})
+    {
+      "id" => "listen-0001",
+      "songId" => @song.id,
+      "startedAt" => 1_760_000_000_000,
+      "listenedSeconds" => 42.5,
+      "duration" => 180.0,
+      "counted" => true,
+      "completed" => false,
+      "skipped" => true
+    }.merge(overrides)
+  end
+
+  test "record_batch! stores listens" do
+    assert_equal 1, Listen.record_batch!(@user, [ report ])
+
+    listen = @user.listens.find_by!(client_id: "listen-0001")
+    assert_equal @song, listen.song
+    assert_equal Time.zone.at(1_760_000_000), listen.started_at
+    assert_in_delta 42.5, listen.listened_seconds
+    assert listen.counted
+    assert listen.skipped
+    assert_not listen.completed
+  end
+
+  test "record_batch! updates a listen reported again instead of adding one" do
+    Listen.record_batch!(@user, [ report("listenedSeconds" => 10.0, "counted" => false, "skipped" => false) ])
+    Listen.record_batch!(@user, [ report("listenedSeconds" => 180.0, "counted" => true, "completed" => true, "skipped" => false) ])
+
+    assert_equal 1, @user.listens.count
+    listen = @user.listens.first
+    assert_in_delta 180.0, listen.listened_seconds
+    assert listen.counted
+    assert listen.completed
+  end
+
+  test "record_batch! never takes back listening time or a counted play" do
+    Listen.record_batch!(@user, [ report("listenedSeconds" => 90.0, "counted" => true) ])
+    Listen.record_batch!(@user, [ report("listenedSeconds" => 5.0, "counted" => false) ])
+
+    listen = @user.listens.first
+    assert_in_delta 90.0, listen.listened_seconds
+    assert listen.counted
+  end
+
+  test "record_batch! keeps a completed listen from turning into a skip" do
+    Listen.record_batch!(@user, [ report("completed" => true, "skipped" => false) ])
+    Listen.record_batch!(@user, [ report("completed" => false, "skipped" => true) ])
+
+    listen = @user.listens.first
+    assert listen.completed
+    assert_not listen.skipped
+  end
+
+  test "record_batch! skips unknown songs and invalid reports but records the rest" do
+    recorded = Listen.record_batch!(@user, [
+      report("id" => "listen-0001", "songId" => "soundcloud-123"),
+      report("id" => "listen-0002", "songId" => 0),
+      report("id" => "bad id!"),
+      report("id" => "listen-0003", "listenedSeconds" => 2.days.to_i),
+      report("id" => "listen-0004", "startedAt" => nil),
+      "not a report",
+      report("id" => "listen-0005", "songId" => @other_song.id)
+    ])
+
+    assert_equal 1, recorded
+    assert_equal [ "listen-0005" ], @user.listens.pluck(:client_id)
+  end
+
+  test "client ids are only unique per user" do
+    other = User.create!(email: "other@example.com", password: "password123")
+
+    Listen.record_batch!(@user, [ report ])
+    Listen.record_batch!(other, [ report ])
+
+    assert_equal 1, @user.listens.count
+    assert_equal 1, other.listens.count
+  end
+
+  test "recently_played lists counted plays newest first with play counts" do
+    Listen.record_batch!(@user, [
+      report("id" => "listen-0001", "startedAt" => 1_000_000, "songId" => @song.id),
+      report("id" => "listen-0002", "startedAt" => 2_000_000, "songId" => @other_song.id),
+      report("id" => "listen-0003", "startedAt" => 3_000_000, "songId" => @song.id),
+      report("id" => "listen-0004", "startedAt" => 4_000_000, "songId" => @other_song.id, "counted" => false)
+    ])
+
+    recent = Listen.recently_played(@user)
+
+    assert_equal [ @song.id, @other_song.id ], recent.map { |entry| entry[:song_id] }
+    assert_equal [ 2, 1 ], recent.map { |entry| entry[:play_count] }
+    assert_equal Time.zone.at(3_000).to_i, recent.first[:last_played_at].to_i
+  end
+end
@@ -0,0 +1,59 @@
+require "test_helper"
+
+class PlayerPreferenceTest < ActiveSupport::TestCase
+  setup do
+    @user = User.create!(email: "listener@example.com", password: "password123")
+  end
+
+  test "merge! stores new keys" do
+    PlayerPreference.merge!(@user, { "playerRepeat" => { "value" => "all", "changedAt" => 1_000 } })
+
+    preference = @user.player_preferences.find_by!(key: "playerRepeat")
+    assert_equal "all", preference.value
+    assert_equal 1_000, preference.changed_at
+  end
+
+  test "merge! keeps the newer value for each key" do
+    @user.player_preferences.create!(key: "playerRepeat", value: "one", changed_at: 2_000)
+    @user.player_preferences.create!(key: "playerShuffle", value: "false", changed_at: 2_000)
+
+    PlayerPreference.merge!(@user, {
+      "playerRepeat" => { "value" => "all", "changedAt" => 1_000 },
+      "playerShuffle" => { "value" => "true", "changedAt" => 3_000 }
+    })
+
+    assert_equal "one", @user.player_preferences.find_by!(key: "playerRepeat").value
+    assert_equal "true", @user.player_preferences.find_by!(key: "playerShuffle").value
+  end
+
+  test "merge! records removed keys as nil" do
+    @user.player_preferences.create!(key: "bannerVideoEnabled", value: "true", changed_at: 1_000)
+
+    PlayerPreference.merge!(@user, { "bannerVideoEnabled" => { "value" => nil, "changedAt" => 2_000 } })
+
+    assert_nil @user.player_preferences.find_by!(key: "bannerVideoEnabled").value
+  end
+
+  test "merge! rejects invalid keys and saves nothing" do
+    assert_raises(ActiveRecord::RecordInvalid) do
+      PlayerPreference.merge!(@user, {
+        "playerRepeat" => { "value" => "all", "changedAt" => 1_000 },
+        "not a key!" => { "value" => "x", "changedAt" => 1_000 }
+      })
+    end
+
+    assert_empty @user.player_preferences
+  end
+
+  test "merge! rejects values that aren't strings" do
+    assert_raises(ActiveRecord::RecordInvalid) do
+      PlayerPreference.merge!(@user, { "playerRepeat" => { "value" => { "nested" => true }, "changedAt" => 1 } })
+    end
+  end
+
+  test "values over the size limit are invalid" do
+    preference = @user.player_preferences.build(key: "zuke_eq_settings", value: "x" * (PlayerPreference::MAX_VALUE_BYTES + 1))
+
+    assert_not preference.valid?
+  end
+end
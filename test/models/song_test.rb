@@ -70,4 +70,37 @@ class SongTest < ActiveSupport::TestCase
     song.image_credit = "Photographer"
     assert song.has_credits?
   end
+
+  test "moving a measured song refreshes the loudness of both albums" do
+    song = measured_song(-10.0)
+    @album.refresh_loudness!
+    other_album = Album.create!(title: "Homework", artist: @artist)
+
+    song.update!(album: other_album)
+
+    assert_nil @album.reload.loudness_lufs
+    assert_in_delta(-10.0, other_album.reload.loudness_lufs, 0.01)
+  end
+
+  test "destroying a measured song refreshes its album's loudness" do
+    song = measured_song(-10.0)
+    @album.refresh_loudness!
+
+    song.destroy
+
+    assert_nil @album.reload.loudness_lufs
+  end
+
+  private
+
+  def measured_song(lufs)
+    song = Song.create!(title: "Digital Love", artist: @artist, album: @album)
+    song.waveform_data.attach(
+      io: StringIO.new("{}"),
+      filename: "digital_love_waveform.json",
+      content_type: "application/json",
+      metadata: { loudness: { integrated_lufs: lufs } }
+    )
+    song
+  end
 end
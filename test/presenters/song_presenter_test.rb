@@ -47,6 +47,25 @@ class SongPresenterTest < ActiveSupport::TestCase
     assert_nil hash[:grid_banner]
     assert_nil hash[:bannerMobile]
     assert_equal 0, hash[:duration]
+    assert_nil hash[:loudness]
+  end
+
+  test "#to_song_hash includes album, artist and genre identifiers" do
+    hash = SongPresenter.new(@song).to_song_hash
+
+    assert_equal @song.artist_id, hash[:artistId]
+    assert_equal @song.album_id, hash[:albumId]
+    assert_equal @song.album.title, hash[:album]
+    assert_equal genres(:rock).id, hash[:genreId]
+    assert_equal "Rock", hash[:genre]
+  end
+
+  test "#to_song_hash falls back to the song's genre when the album has none" do
+    @song.album.update!(genre: nil)
+
+    hash = SongPresenter.new(@song.reload).to_song_hash
+
+    assert_equal genres(:rock).id, hash[:genreId]
   end
 
   test "#to_song_hash includes duration when available" do